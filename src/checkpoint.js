@@ -0,0 +1,127 @@
+/**
+ * Checkpoint Module
+ * Persists scraping progress so interrupted runs can be resumed
+ */
+
+import { readFile, unlink } from 'fs/promises';
+import path from 'path';
+import { writeFileAtomic } from './storage.js';
+
+const CHECKPOINT_VERSION = 1;
+
+/**
+ * Get the checkpoint path that belongs to an output file
+ * @param {string} outputFile - Path to the results JSON file
+ * @returns {string} - e.g. "results.json" -> "results.checkpoint.json"
+ */
+export function getCheckpointPath(outputFile) {
+    const { dir, name } = path.parse(outputFile);
+    return path.join(dir, `${name}.checkpoint.json`);
+}
+
+/**
+ * Build a checkpoint object from run metadata and scraper state
+ * @param {Object} run - Run metadata
+ * @param {string} run.query - Search query
+ * @param {string} run.location - Location searched
+ * @param {string[]|null} run.subQueries - Sub-queries of a subdivided run
+ * @param {Object} state - State returned by GoogleMapsScraper#getCheckpoint
+ * @returns {Object} - Serializable checkpoint
+ */
+export function createCheckpoint(run, state) {
+    return {
+        version: CHECKPOINT_VERSION,
+        updatedAt: new Date().toISOString(),
+        query: run.query,
+        location: run.location,
+        subQueries: run.subQueries || null,
+        completedQueries: state.completedQueries,
+        addedQueries: state.addedQueries,
+        pendingUrls: state.pendingUrls,
+        visitedPlaceIds: state.visitedPlaceIds,
+    };
+}
+
+/**
+ * Load a checkpoint file
+ * @param {string} filename - Path to the checkpoint file
+ * @returns {Promise<Object|null>} - Checkpoint or null if missing/unreadable
+ */
+export async function loadCheckpoint(filename) {
+    try {
+        const content = await readFile(filename, 'utf-8');
+        const data = JSON.parse(content);
+        if (data.version !== CHECKPOINT_VERSION) {
+            console.error(`Ignoring checkpoint with unsupported version: ${data.version}`);
+            return null;
+        }
+        return data;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Error loading checkpoint: ${error.message}`);
+        }
+        return null;
+    }
+}
+
+/**
+ * Save a checkpoint atomically (temp file + rename), so a kill
+ * mid-write never leaves a truncated checkpoint behind
+ * @param {Object} data - Checkpoint to save
+ * @param {string} filename - Path to the checkpoint file
+ * @returns {Promise<boolean>} - True if successful
+ */
+export async function saveCheckpoint(data, filename) {
+    try {
+        await writeFileAtomic(filename, JSON.stringify(data));
+        return true;
+    } catch (error) {
+        console.error(`Error saving checkpoint: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Remove a checkpoint file (missing files are ignored)
+ * @param {string} filename - Path to the checkpoint file
+ * @returns {Promise<void>}
+ */
+export async function deleteCheckpoint(filename) {
+    try {
+        await unlink(filename);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Error deleting checkpoint: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Create a writer that serializes checkpoint saves.
+ * Saves requested while a write is in progress are coalesced,
+ * so only the latest state gets written.
+ * @param {string} filename - Path to the checkpoint file
+ * @returns {{save: Function, flush: Function}}
+ */
+export function createCheckpointWriter(filename) {
+    let latest = null;
+    let scheduled = false;
+    let writing = Promise.resolve();
+
+    return {
+        save(data) {
+            latest = data;
+            if (!scheduled) {
+                scheduled = true;
+                writing = writing.then(() => {
+                    scheduled = false;
+                    return saveCheckpoint(latest, filename);
+                });
+            }
+            return writing;
+        },
+        flush() {
+            return writing;
+        },
+    };
+}
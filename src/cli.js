@@ -9,44 +9,383 @@ import { Command } from 'commander';
 import chalk from 'chalk';
 import ora from 'ora';
 import { GoogleMapsScraper } from './scraper.js';
-import { saveResults, loadExisting, mergeResults, createResultsObject, appendResult } from './storage.js';
-import { smartSubdivide } from './subdivide.js';
+import { openStorage, loadResults, listRuns, detectBackend, repairResults, STORAGE_BACKENDS } from './storage.js';
+import { smartSubdivide, gridSubdivide, parseBounds, parseCenter, boundsFromCenter, getVerticalCategories, loadCategoriesFile, VERTICALS } from './subdivide.js';
+import { getCheckpointPath, loadCheckpoint, createCheckpoint, createCheckpointWriter, deleteCheckpoint } from './checkpoint.js';
+import { openSeenIndex, getSeenIndexPath } from './seen-index.js';
+import { writeFile } from 'fs/promises';
+import { inferCountry } from './phone.js';
+import { runDoctor } from './doctor.js';
+import { runVerify, summarizeVerification } from './verify.js';
+import { startServer } from './server.js';
+import { loadLanguage, DEFAULT_LOCALE } from './language.js';
+import { loadConfig, findConfigFile, resolveProfile, CONFIG_FILES } from './config.js';
+import { loadProxyList, loadUserAgentList, DEFAULT_USER_AGENTS } from './context-pool.js';
+import { PROVIDER_TYPES, parseProviderList, loadProviderConfig, createContactDiscovery } from './contact-providers.js';
+import { parseWebsiteTypes, loadWebsiteDomains } from './website.js';
+import { exportResults, filterResults, EXPORT_FORMATS, FORMAT_EXTENSIONS, DEFAULT_CSV_COLUMNS } from './export.js';
+import { diffResults, diffRows, formatDiff, DIFF_FORMATS, DEFAULT_DIFF_FIELDS } from './diff.js';
+
+// Place detail fields reported in the run summary
+const DETAIL_FIELD_LABELS = {
+    rating: 'rating',
+    reviewCount: 'review count',
+    category: 'category',
+    priceLevel: 'price level',
+    plusCode: 'plus code',
+    coordinates: 'coordinates',
+    openingHours: 'opening hours',
+};
 
 const program = new Command();
 
 program
     .name('google-maps-bot')
     .description('Find Google Maps establishments without websites')
-    .version('1.0.0')
-    .option('-q, --query <type>', 'Type of establishment (e.g., "restaurants"). Omit for ALL types', '')
-    .requiredOption('-l, --location <area>', 'Geographic area to search (e.g., "Madrid, Spain")')
-    .option('-o, --output <filename>', 'Output JSON filename', 'results.json')
-    .option('-c, --concurrency <number>', 'Number of parallel page loads', '10')
+    .version('1.0.0');
+
+program
+    .command('scrape', { isDefault: true })
+    .description('Scrape Google Maps for establishments without websites (default command)')
+    .option('-q, --query <type>', 'Type of establishment (e.g., "restaurants"), also used with -s. Omit for ALL types (food categories with -s)', '')
+    .option('-l, --location <area>', 'Geographic area to search (e.g., "Madrid, Spain"), required unless set in the profile')
+    .option('-o, --output <filename>', 'Output filename (.json, or .db/.sqlite for SQLite)', 'results.json')
+    .option('-b, --backend <type>', `Storage backend (${STORAGE_BACKENDS.join(', ')}), default from output extension`)
+    .option('-c, --concurrency <number>', 'Number of parallel place page loads', '10')
+    .option('--search-concurrency <number>', 'Number of searches running ahead of the place checks (with -s, categories or grid)', '2')
+    .option('--max-rate <n>', 'Most Maps page loads per minute across all workers (0 = no cap)', '120')
+    .option('--proxies <file>', 'Proxy list to rotate browser contexts through (one per line)')
+    .option('--user-agents <file>', 'User agent list to rotate browser contexts through (one per line)')
+    .option('--contexts <n>', 'Browser contexts in use at once (default: one per proxy, up to -c)')
     .option('-s, --subdivide', 'Split area into sub-regions for more results')
+    .option('--vertical <names>', `Category packs to search when no -q is given (${Object.keys(VERTICALS).join(', ')}), default food`)
+    .option('--categories-file <file>', 'Custom categories to search (one per line, or a JSON array)')
+    .option('--bounds <box>', 'Grid mode: search a bounding box "south,west,north,east"')
+    .option('--center <point>', 'Grid mode: search around a center point "lat,lng"')
+    .option('--radius <km>', 'Grid mode: radius around --center in km', '5')
+    .option('--cell-size <km>', 'Grid mode: width of each grid cell in km', '1')
+    .option('--min-cell-size <km>', 'Smallest cell that capped searches get split into', '0.25')
+    .option('--no-adaptive', 'Do not split searches that hit the Maps result cap')
+    .option('--count-as-no-website <types>', 'Website types that still count as "no website" (social, aggregator, menu, own)', 'social,aggregator,menu')
+    .option('--website-domains <file>', 'JSON file with extra domains per website type')
+    .option('--email-providers <list>', `Contact providers to search for emails, in order (${PROVIDER_TYPES.join(', ')})`, 'duckduckgo')
+    .option('--email-providers-file <file>', 'JSON file with provider order, options and rate limits (overrides --email-providers)')
+    .option('--min-email-confidence <score>', 'Lowest confidence (0-1) for a found email to be kept', '0.3')
+    .option('--country <code>', 'Country for phone numbers (ISO code, e.g. "ES"), default inferred from location')
+    .option('--locale <code>', 'Browser locale; also selects the language pack (e.g. "fr-FR")', DEFAULT_LOCALE)
+    .option('--language-pack <file>', 'Extra language pack JSON (phrases and labels, see src/locales)')
+    .option('-r, --resume', 'Resume an interrupted run from its checkpoint file')
+    .option('--seen-index <file>', 'Index of places checked by earlier runs (default: <output>.seen.ndjson)')
+    .option('--fresh-days <n>', 'Skip places the seen index has as checked in the last n days (0 = re-check all)', '7')
+    .option('--refresh', 'Re-check every place, even ones checked recently (the seen index is still updated)')
+    .option('--record <dir>', 'Record every Maps response into a fixture directory')
+    .option('--replay <dir>', 'Serve Maps responses from a recorded fixture directory (offline)')
+    .option('--no-headless', 'Show browser window (for debugging)')
+    .option('--config <file>', `Config file with profiles (default: ${CONFIG_FILES.join(' / ')} if present)`)
+    .option('-p, --profile <name>', 'Use the settings of a named profile from the config file')
+    .action(scrape);
+
+program
+    .command('export <input>')
+    .description('Export a results file or database to JSON, CSV, NDJSON, GeoJSON or vCard')
+    .option('-f, --format <format>', `Output format (${EXPORT_FORMATS.join(', ')})`, 'csv')
+    .option('-o, --output <filename>', 'Output filename (default: input name with the format\'s extension)')
+    .option('--columns <list>', 'Comma-separated CSV columns (dot paths allowed)', DEFAULT_CSV_COLUMNS.join(','))
+    .option('--has-phone', 'Only export results with a phone number')
+    .option('--has-email', 'Only export results with an email')
+    .option('--location <text>', 'Only export results whose address contains this text')
+    .option('-b, --backend <type>', `Input storage backend (${STORAGE_BACKENDS.join(', ')}), default from extension`)
+    .action(exportCommand);
+
+program
+    .command('diff <before> [after]')
+    .description('Compare two results files, or two runs stored in a database: new, removed and changed leads')
+    .option('-f, --format <format>', `Output format (${DIFF_FORMATS.join(', ')})`, 'table')
+    .option('-o, --output <filename>', 'Write JSON/CSV to a file instead of stdout')
+    .option('--fields <list>', 'Comma-separated fields compared for places in both', DEFAULT_DIFF_FIELDS.join(','))
+    .option('--from-run <id>', 'Run of <before> to compare (SQLite; default: second-to-last run when no <after>)')
+    .option('--to-run <id>', 'Run of <after> to compare (SQLite; default: last run when no <after>)')
+    .option('-b, --backend <type>', `Input storage backend (${STORAGE_BACKENDS.join(', ')}), default from extension`)
+    .action(diffCommand);
+
+program
+    .command('repair <file>')
+    .description('Rebuild a JSON results file from its journal (e.g. after a crash)')
+    .action(repairCommand);
+
+program
+    .command('verify <file>')
+    .description('Revisit every lead in a results file and record what changed (status, phone, website, ...)')
+    .option('-b, --backend <type>', `Storage backend (${STORAGE_BACKENDS.join(', ')}), default from extension`)
+    .option('-c, --concurrency <number>', 'Number of parallel place page loads', '5')
+    .option('--max-rate <n>', 'Most Maps page loads per minute across all workers (0 = no cap)', '120')
+    .option('--count-as-no-website <types>', 'Website types that still count as "no website" (social, aggregator, menu, own)', 'social,aggregator,menu')
+    .option('--website-domains <file>', 'JSON file with extra domains per website type')
+    .option('--country <code>', 'Country for phone numbers (ISO code), default inferred from the file\'s location')
+    .option('--locale <code>', 'Browser locale; also selects the language pack (e.g. "fr-FR")', DEFAULT_LOCALE)
+    .option('--language-pack <file>', 'Extra language pack JSON (phrases and labels, see src/locales)')
+    .option('--replay <dir>', 'Serve Maps responses from a recorded fixture directory (offline)')
     .option('--no-headless', 'Show browser window (for debugging)')
-    .parse(process.argv);
+    .action(verifyCommand);
+
+program
+    .command('serve')
+    .description('Start a local HTTP API to launch, follow and cancel scrape jobs')
+    .option('--port <n>', 'Port to listen on', '3000')
+    .option('--host <address>', 'Interface to listen on (keep it local: the API has no authentication)', '127.0.0.1')
+    .option('--max-jobs <n>', 'Jobs running at once (more are queued)', '1')
+    .option('-c, --concurrency <number>', 'Place page loads per job when the job does not set "concurrency"', '10')
+    .option('--max-concurrency <number>', 'Highest "concurrency" a job may ask for', '20')
+    .option('--max-rate <n>', 'Most Maps page loads per minute per job (0 = no cap)', '120')
+    .option('--count-as-no-website <types>', 'Website types that still count as "no website" (social, aggregator, menu, own)', 'social,aggregator,menu')
+    .option('--email-providers <list>', `Contact providers to search for emails, in order (${PROVIDER_TYPES.join(', ')})`, 'duckduckgo')
+    .option('--min-email-confidence <score>', 'Lowest confidence (0-1) for a found email to be kept', '0.3')
+    .option('--locale <code>', 'Browser locale; also selects the language pack (e.g. "fr-FR")', DEFAULT_LOCALE)
+    .option('--language-pack <file>', 'Extra language pack JSON (phrases and labels, see src/locales)')
+    .option('--replay <dir>', 'Serve Maps responses from a recorded fixture directory (offline)')
+    .option('--no-headless', 'Show browser windows (for debugging)')
+    .action(serveCommand);
+
+program
+    .command('doctor')
+    .description('Check which Maps selectors still match on a sample search and place page')
+    .option('-q, --query <type>', 'Sample search term', 'cafes')
+    .option('-l, --location <area>', 'Sample location', 'London, UK')
+    .option('--place <url>', 'Place page to check (default: first search result)')
+    .option('--replay <dir>', 'Check a recorded fixture directory instead of live Maps')
+    .option('--locale <code>', 'Browser locale; also selects the language pack (e.g. "fr-FR")', DEFAULT_LOCALE)
+    .option('--language-pack <file>', 'Extra language pack JSON (phrases and labels, see src/locales)')
+    .option('--no-headless', 'Show browser window (for debugging)')
+    .action(doctorCommand);
+
+/**
+ * Fill in options from the config file: flags given on the command line win,
+ * then the profile, then the config defaults, then the built-in defaults
+ * @param {Object} options - Parsed command options (updated in place)
+ * @param {import('commander').Command} command - Command the options belong to
+ * @returns {Promise<{file: string, profile: string|null}|null>} - Config used, or null without one
+ */
+async function applyConfig(options, command) {
+    const file = options.config || await findConfigFile();
+    if (!file) {
+        if (options.profile) {
+            throw new Error(`--profile needs a config file (${CONFIG_FILES.join(', ')} or --config <file>)`);
+        }
+        return null;
+    }
 
-const options = program.opts();
+    const config = await loadConfig(file);
+    const settings = resolveProfile(config, options.profile || null);
+    for (const [key, value] of Object.entries(settings)) {
+        if (key === 'categories') {
+            options.categories = value; // Profile-only setting, no flag
+            continue;
+        }
+        const source = command.getOptionValueSource(key);
+        if (source === 'cli' || source === 'env') continue;
+        command.setOptionValueWithSource(key, Array.isArray(value) ? value.join(',') : value, 'config');
+        options[key] = command.getOptionValue(key);
+    }
+    return { file, profile: options.profile || null };
+}
 
-async function main() {
+/**
+ * Scrape command: search Maps and save places without websites
+ * @param {Object} options - Parsed command options
+ * @param {import('commander').Command} command - The scrape command
+ */
+async function scrape(options, command) {
     console.log(chalk.bold.blue('\n🗺️  Google Maps Bot\n'));
     console.log(chalk.gray('Finding establishments without websites...\n'));
 
-    console.log(chalk.white('Search Query:'), chalk.cyan(options.query || 'All establishments'));
+    let config;
+    try {
+        config = await applyConfig(options, command);
+        if (!options.location) {
+            throw new Error('No location given: pass -l <area> or set "location" in the profile');
+        }
+    } catch (error) {
+        console.log(chalk.red(`❌ ${error.message}\n`));
+        process.exit(1);
+    }
+    if (config) {
+        console.log(chalk.white('Config:      '), chalk.cyan(`${config.file}${config.profile ? ` (profile "${config.profile}")` : ''}`));
+    }
+
+    let categories;
+    try {
+        const categorySources = [options.vertical && '--vertical', options.categoriesFile && '--categories-file', options.categories && 'categories'].filter(Boolean);
+        if (options.query && categorySources.length > 0) {
+            throw new Error(`Use either -q or ${categorySources.join('/')}, not both`);
+        }
+        if (categorySources.length > 1) {
+            throw new Error(`Use only one of ${categorySources.join(', ')}`);
+        }
+        categories = options.query
+            ? [options.query]
+            : options.categories
+                ? options.categories
+                : options.categoriesFile
+                    ? await loadCategoriesFile(options.categoriesFile)
+                    : getVerticalCategories(options.vertical || 'food');
+    } catch (error) {
+        console.log(chalk.red(`❌ ${error.message}\n`));
+        process.exit(1);
+    }
+    // Verticals and category files search each category, even without -s
+    const categorySearch = Boolean(options.vertical || options.categoriesFile || options.categories);
+
+    if (categorySearch) {
+        console.log(chalk.white('Categories:  '), chalk.cyan(`${options.vertical || options.categoriesFile || 'from profile'} (${categories.length})`));
+    } else {
+        console.log(chalk.white('Search Query:'), chalk.cyan(options.query || 'All establishments'));
+    }
     console.log(chalk.white('Location:    '), chalk.cyan(options.location));
-    console.log(chalk.white('Output File: '), chalk.cyan(options.output));
-    console.log(chalk.white('Concurrency: '), chalk.cyan(options.concurrency));
-    console.log(chalk.white('Subdivide:   '), chalk.cyan(options.subdivide ? 'Yes (multi-region)' : 'No'));
+    let noWebsiteTypes;
+    let websiteDomains;
+    let contactDiscovery;
+    let language;
+    const minEmailConfidence = Number(options.minEmailConfidence);
+    try {
+        noWebsiteTypes = parseWebsiteTypes(options.countAsNoWebsite);
+        language = await loadLanguage(options.locale, options.languagePack ? [options.languagePack] : []);
+        websiteDomains = options.websiteDomains ? await loadWebsiteDomains(options.websiteDomains) : undefined;
+        if (!(minEmailConfidence >= 0 && minEmailConfidence <= 1)) {
+            throw new Error(`Invalid email confidence "${options.minEmailConfidence}" (expected a number from 0 to 1)`);
+        }
+        const providerConfig = options.emailProvidersFile
+            ? await loadProviderConfig(options.emailProvidersFile)
+            : { mode: 'first', providers: parseProviderList(options.emailProviders) };
+        contactDiscovery = createContactDiscovery(providerConfig.providers, { mode: providerConfig.mode, minConfidence: minEmailConfidence });
+    } catch (error) {
+        console.log(chalk.red(`❌ ${error.message}\n`));
+        process.exit(1);
+    }
+    console.log(chalk.white('No Website:  '), chalk.cyan(noWebsiteTypes.join(', ')));
+    console.log(chalk.white('Email Search:'), chalk.cyan(`${contactDiscovery.providers.map(p => p.name).join(' → ') || 'Off'} (min ${minEmailConfidence} confidence)`));
+
+    const country = options.country?.toUpperCase() || inferCountry(options.location);
+    console.log(chalk.white('Language:    '), chalk.cyan(`${language.locale} (${language.names.join(', ')})`));
+    console.log(chalk.white('Phone Region:'), chalk.cyan(country || 'From address (not inferred from location)'));
+    let backend;
+    try {
+        backend = detectBackend(options.output, options.backend);
+    } catch (error) {
+        console.log(chalk.red(`❌ ${error.message}\n`));
+        process.exit(1);
+    }
+    console.log(chalk.white('Output File: '), chalk.cyan(`${options.output} (${backend})`));
+    const freshDays = Number(options.freshDays);
+    let seenIndex;
+    try {
+        if (!(freshDays >= 0)) {
+            throw new Error(`Invalid --fresh-days "${options.freshDays}" (expected a number of days, 0 to re-check all)`);
+        }
+        seenIndex = await openSeenIndex(options.seenIndex || getSeenIndexPath(options.output), { freshDays });
+    } catch (error) {
+        console.log(chalk.red(`❌ ${error.message}\n`));
+        process.exit(1);
+    }
+    console.log(chalk.white('Seen Index:  '), chalk.cyan(`${seenIndex.file} (${seenIndex.size} places, ${options.refresh || freshDays === 0
+        ? 're-checking all'
+        : `skipping those checked in the last ${freshDays} days`})`));
+    const maxRate = Number(options.maxRate);
+    if (!(maxRate >= 0)) {
+        console.log(chalk.red(`❌ Invalid --max-rate "${options.maxRate}" (expected page loads per minute, 0 for no cap)\n`));
+        process.exit(1);
+    }
+    const searchConcurrency = parseInt(options.searchConcurrency, 10);
+    if (!(searchConcurrency >= 1)) {
+        console.log(chalk.red(`❌ Invalid --search-concurrency "${options.searchConcurrency}" (expected 1 or more)\n`));
+        process.exit(1);
+    }
+    const radiusKm = Number(options.radius);
+    const cellSizeKm = Number(options.cellSize);
+    const minCellSizeKm = Number(options.minCellSize);
+    const distances = [
+        ['--radius', radiusKm, options.radius],
+        ['--cell-size', cellSizeKm, options.cellSize],
+        ['--min-cell-size', minCellSizeKm, options.minCellSize],
+    ];
+    for (const [flag, value, raw] of distances) {
+        if (!(value > 0)) {
+            console.log(chalk.red(`❌ Invalid ${flag} "${raw}" (expected a distance in km, more than 0)\n`));
+            process.exit(1);
+        }
+    }
+    console.log(chalk.white('Concurrency: '), chalk.cyan(`${options.concurrency} places, ${searchConcurrency} searches (${maxRate > 0 ? `max ${maxRate} pages/min` : 'no rate cap'})`));
+    let proxies;
+    let userAgents;
+    const contexts = options.contexts ? parseInt(options.contexts, 10) : undefined;
+    try {
+        if (contexts !== undefined && !(contexts >= 1)) {
+            throw new Error(`Invalid --contexts "${options.contexts}" (expected a number of browser contexts, 1 or more)`);
+        }
+        proxies = options.proxies ? await loadProxyList(options.proxies) : [];
+        userAgents = options.userAgents ? await loadUserAgentList(options.userAgents) : DEFAULT_USER_AGENTS;
+    } catch (error) {
+        console.log(chalk.red(`❌ ${error.message}\n`));
+        process.exit(1);
+    }
+    const contextCount = contexts || Math.min(proxies.length, parseInt(options.concurrency, 10)) || 1;
+    console.log(chalk.white('Browser:     '), chalk.cyan(`${contextCount} context${contextCount === 1 ? '' : 's'}, ${proxies.length > 0 ? `${proxies.length} proxies` : 'no proxy'}, ${userAgents.length} user agents`));
+    const gridMode = Boolean(options.bounds || options.center);
+    console.log(chalk.white('Subdivide:   '), chalk.cyan(gridMode
+        ? `Yes (grid, ${options.cellSize} km cells)`
+        : options.subdivide ? 'Yes (multi-region)' : categorySearch ? 'No (one search per category)' : 'No'));
     console.log(chalk.white('Headless:    '), chalk.cyan(options.headless ? 'Yes' : 'No'));
+    if (options.record && options.replay) {
+        console.log(chalk.red('❌ Use either --record or --replay, not both.\n'));
+        process.exit(1);
+    }
+    if (options.record || options.replay) {
+        console.log(chalk.white('Network:     '), chalk.cyan(options.replay ? `Replay from ${options.replay}` : `Recording to ${options.record}`));
+    }
     console.log();
 
-    // Generate sub-locations if subdivide is enabled
+    // Load checkpoint when resuming an interrupted run
+    const checkpointFile = getCheckpointPath(options.output);
+    let checkpoint = null;
+    if (options.resume) {
+        checkpoint = await loadCheckpoint(checkpointFile);
+        if (!checkpoint) {
+            console.log(chalk.yellow(`⚠️  No checkpoint found at ${checkpointFile}, starting a new run.\n`));
+        } else if (checkpoint.location !== options.location || checkpoint.query !== options.query) {
+            console.log(chalk.red(`❌ Checkpoint ${checkpointFile} belongs to a different search ("${checkpoint.query || 'All establishments'}" in ${checkpoint.location}).`));
+            console.log(chalk.yellow('   Run without --resume to start over.\n'));
+            process.exit(1);
+        } else {
+            console.log(chalk.yellow(`↻ Resuming: ${checkpoint.completedQueries.length} searches done, ${checkpoint.pendingUrls.length} places pending, ${checkpoint.visitedPlaceIds.length} already visited\n`));
+        }
+    }
+
+    // Generate sub-locations if subdivide is enabled (a resumed run keeps its original list)
     let subLocations = null;
-    if (options.subdivide) {
-        subLocations = smartSubdivide(options.location);
+    if (checkpoint?.subQueries) {
+        subLocations = checkpoint.subQueries;
+        options.subdivide = true;
+    } else if (gridMode) {
+        try {
+            const bounds = options.bounds
+                ? parseBounds(options.bounds)
+                : boundsFromCenter(parseCenter(options.center), radiusKm);
+            subLocations = gridSubdivide(bounds, { cellSizeKm, categories });
+        } catch (error) {
+            console.log(chalk.red(`❌ ${error.message}\n`));
+            process.exit(1);
+        }
+        options.subdivide = true;
+    } else if (options.subdivide) {
+        subLocations = smartSubdivide(options.location, { categories });
+    } else if (categorySearch) {
+        subLocations = categories.map(category => `${category} in ${options.location}`);
+        options.subdivide = true;
+    }
+
+    if (subLocations && !checkpoint) {
         console.log(chalk.yellow(`📍 Will search ${subLocations.length} sub-regions:\n`));
         subLocations.slice(0, 5).forEach((loc, i) => {
-            console.log(chalk.gray(`   ${i + 1}. ${loc}`));
+            console.log(chalk.gray(`   ${i + 1}. ${typeof loc === 'string' ? loc : loc.label}`));
         });
         if (subLocations.length > 5) {
             console.log(chalk.gray(`   ... and ${subLocations.length - 5} more\n`));
@@ -54,36 +393,91 @@ async function main() {
         console.log();
     }
 
+    let storage;
+    let previousResults;
+    try {
+        storage = await openStorage(options.output, { backend });
+        // What the output held before this run, to report the leads that are new
+        previousResults = (await storage.loadResults())?.results || [];
+        await storage.startRun(options.query, options.location);
+    } catch (error) {
+        console.log(chalk.red(`❌ ${error.message}\n`));
+        process.exit(1);
+    }
+
     const spinner = ora('Initializing scraper...').start();
     const startTime = Date.now();
 
     // Track results found during scraping
     const foundResults = [];
 
+    let interrupted = false;
+    const checkpointWriter = createCheckpointWriter(checkpointFile);
+    const run = { query: options.query, location: options.location, subQueries: subLocations };
+
     const scraper = new GoogleMapsScraper({
         concurrency: parseInt(options.concurrency, 10),
+        searchConcurrency,
         headless: options.headless,
+        country,
+        locale: options.locale,
+        language,
+        noWebsiteTypes,
+        websiteDomains,
+        minEmailConfidence,
+        contactDiscovery,
+        adaptive: options.adaptive,
+        minCellSizeKm,
+        maxRequestsPerMinute: maxRate,
+        proxies,
+        userAgents,
+        contexts: contextCount,
+        seenIndex,
+        refresh: options.refresh,
+        resumeFrom: checkpoint,
+        recordTo: options.record,
+        replayFrom: options.replay,
         onProgress: (message) => {
-            spinner.text = message;
+            if (!interrupted) {
+                spinner.text = message;
+            }
+        },
+        onCheckpoint: (state) => {
+            checkpointWriter.save(createCheckpoint(run, state));
         },
         onResult: async (result) => {
             foundResults.push(result);
 
-            // Save to JSON immediately (streaming save)
-            await appendResult(result, options.output, options.query || 'food & drink', options.location);
+            // Save immediately (streaming save)
+            await storage.appendResult(result);
 
             // Real-time feedback
             spinner.stop();
             console.log(
                 chalk.green('✓'),
                 chalk.white(result.name),
-                result.phone ? chalk.gray(`| ${result.phone}`) : chalk.yellow('| No phone'),
+                result.phone || result.phoneDisplay ? chalk.gray(`| ${result.phoneDisplay || result.phone}`) : chalk.yellow('| No phone'),
                 chalk.gray(`[saved: ${foundResults.length}]`)
             );
             spinner.start();
         },
     });
 
+    // Stop gracefully on Ctrl-C / SIGTERM: let in-flight pages finish,
+    // flush the checkpoint and results, then exit. A second signal forces exit.
+    const onSignal = (signal) => {
+        if (interrupted) {
+            spinner.stop();
+            console.log(chalk.red(`\n${signal} received again, exiting immediately.\n`));
+            process.exit(130);
+        }
+        interrupted = true;
+        spinner.text = `${signal} received, finishing in-flight pages (press Ctrl-C again to force)...`;
+        scraper.stop();
+    };
+    process.on('SIGINT', onSignal);
+    process.on('SIGTERM', onSignal);
+
     try {
         // Run the scraper (with or without subdivision)
         let results;
@@ -95,42 +489,105 @@ async function main() {
 
         spinner.stop();
 
-        const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+        // Keep the checkpoint only if there is something left to resume
+        const blocks = scraper.getBlockSummary();
+        await checkpointWriter.flush();
+        if (interrupted) {
+            console.log(chalk.yellow(`\n⏸  Run interrupted. Progress saved to ${checkpointFile}`));
+            console.log(chalk.yellow('   Re-run the same command with --resume to continue.'));
+        } else if (blocks.gaveUp) {
+            console.log(chalk.yellow(`\n⏸  Run paused: Google kept blocking requests. Progress saved to ${checkpointFile}`));
+            console.log(chalk.yellow('   Wait a while (and lower -c or --max-rate), then re-run the same command with --resume.'));
+        } else {
+            await deleteCheckpoint(checkpointFile);
+        }
 
-        if (results.length === 0) {
-            console.log(chalk.yellow('\n⚠️  No establishments without websites found.\n'));
-            return;
+        await seenIndex.flush();
+        const seen = seenIndex.summary();
+        if (seen.skipped > 0) {
+            console.log(chalk.gray(`\n   Skipped ${seen.skipped} places checked in the last ${freshDays} days (use --refresh to re-check them)`));
         }
 
-        // Load existing data and merge
-        const existing = await loadExisting(options.output);
-        const mergedResults = mergeResults(existing, results);
+        if (blocks.total > 0) {
+            const kinds = Object.entries(blocks.kinds).map(([kind, count]) => `${kind} ${count}`).join(', ');
+            console.log(blocks.gaveUp
+                ? chalk.red(`\n⚠️  Results are incomplete: Google blocked ${blocks.total} page loads (${kinds}) and the run was paused`)
+                : chalk.yellow(`\n⚠️  Google blocked ${blocks.total} page loads (${kinds}); they were retried after backing off`));
+            const { retired } = scraper.contextPool.summary();
+            if (retired > 0) {
+                console.log(chalk.gray(`   Replaced ${retired} blocked browser context${retired === 1 ? '' : 's'} with fresh profiles`));
+            }
+        }
 
-        // Create final data object
-        const data = createResultsObject(options.query, options.location, mergedResults);
+        const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+
+        if (scraper.fixtures?.misses.length > 0) {
+            console.log(chalk.yellow(`\n⚠️  ${scraper.fixtures.misses.length} requests had no recorded response (e.g. ${scraper.fixtures.misses[0]})`));
+        }
+        if (scraper.recorder) {
+            console.log(chalk.gray(`\n   Recorded ${scraper.recorder.count()} responses to ${options.record}`));
+        }
 
-        // Save to file
-        const saved = await saveResults(data, options.output);
+        // Merge into existing results and close the run
+        const { saved, total } = await storage.finishRun(results);
+        await storage.close();
+
+        if (results.length === 0) {
+            console.log(chalk.yellow(blocks.gaveUp
+                ? '\n⚠️  No establishments without websites found before the run was blocked (the area may still have some).\n'
+                : seen.skipped > 0 ? '\n⚠️  No new establishments without websites found.\n' : '\n⚠️  No establishments without websites found.\n'));
+            process.exitCode = interrupted ? 130 : blocks.gaveUp ? 1 : 0;
+            return;
+        }
 
         if (saved) {
             console.log(chalk.green(`\n✅ Found ${results.length} establishments without websites`));
-            console.log(chalk.gray(`   Total in file: ${mergedResults.length}`));
+            if (previousResults.length > 0) {
+                const { added } = diffResults(previousResults, results);
+                console.log(chalk.green(`   ${added.length} new lead${added.length === 1 ? '' : 's'} since last run`));
+            }
+            console.log(chalk.gray(`   Total in file: ${total}`));
             console.log(chalk.gray(`   Saved to: ${options.output}`));
             console.log(chalk.gray(`   Time elapsed: ${elapsed}s\n`));
 
             // Summary statistics
-            const withPhone = results.filter(r => r.phone).length;
+            const withPhone = results.filter(r => r.phone || r.phoneDisplay).length;
+            const withMobile = results.filter(r => r.phoneType === 'mobile' || r.phoneType === 'mobile_or_landline').length;
             const withEmail = results.filter(r => r.emails && r.emails.length > 0).length;
 
             console.log(chalk.white('Summary:'));
             console.log(chalk.gray(`  • With phone number: ${withPhone}/${results.length}`));
-            console.log(chalk.gray(`  • With email: ${withEmail}/${results.length}\n`));
+            console.log(chalk.gray(`  • With mobile number: ${withMobile}/${results.length}`));
+            console.log(chalk.gray(`  • With email: ${withEmail}/${results.length}`));
+
+            const byWebsiteType = {};
+            results.forEach(r => {
+                byWebsiteType[r.websiteType] = (byWebsiteType[r.websiteType] || 0) + 1;
+            });
+            const websiteBreakdown = Object.entries(byWebsiteType).map(([type, count]) => `${type} ${count}`).join(', ');
+            console.log(chalk.gray(`  • Website links: ${websiteBreakdown}`));
+
+            // Coverage of the place panel fields (a drop usually means a selector broke)
+            for (const [field, label] of Object.entries(DETAIL_FIELD_LABELS)) {
+                const count = results.filter(r => r[field] != null).length;
+                console.log(chalk.gray(`  • With ${label}: ${count}/${results.length}`));
+            }
+            console.log();
         } else {
             console.log(chalk.red('\n❌ Failed to save results\n'));
         }
 
+        if (interrupted) {
+            process.exitCode = 130;
+        } else if (blocks.gaveUp) {
+            process.exitCode = 1;
+        }
+
     } catch (error) {
         spinner.stop();
+        await checkpointWriter.flush();
+        await seenIndex.flush();
+        await storage.close().catch(() => { });
         console.log(chalk.red(`\n❌ Error: ${error.message}\n`));
 
         if (error.message.includes('Executable')) {
@@ -141,4 +598,541 @@ async function main() {
     }
 }
 
-main();
+/**
+ * Export command: convert a results file into another format
+ * @param {string} input - Results JSON file
+ * @param {Object} options - Parsed command options
+ */
+async function exportCommand(input, options) {
+    let data;
+    try {
+        data = await loadResults(input, { backend: options.backend });
+    } catch (error) {
+        console.log(chalk.red(`\n❌ ${error.message}\n`));
+        process.exit(1);
+    }
+    if (!data || !Array.isArray(data.results)) {
+        console.log(chalk.red(`\n❌ No results found in ${input}\n`));
+        process.exit(1);
+    }
+
+    const format = options.format.toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+        console.log(chalk.red(`\n❌ Unknown format "${options.format}" (expected one of: ${EXPORT_FORMATS.join(', ')})\n`));
+        process.exit(1);
+    }
+
+    const output = options.output || `${input.replace(/\.(json|db|sqlite3?)$/i, '')}.${FORMAT_EXTENSIONS[format]}`;
+    if (output === input) {
+        console.log(chalk.red(`\n❌ Refusing to overwrite the input file ${input}, pass -o\n`));
+        process.exit(1);
+    }
+    const results = filterResults(data.results, {
+        hasPhone: options.hasPhone,
+        hasEmail: options.hasEmail,
+        location: options.location,
+    });
+    const columns = options.columns.split(',').map(c => c.trim()).filter(Boolean);
+    const { content, count } = exportResults(results, format, { columns, metadata: data });
+
+    try {
+        await writeFile(output, content, 'utf-8');
+    } catch (error) {
+        console.log(chalk.red(`\n❌ Error writing ${output}: ${error.message}\n`));
+        process.exit(1);
+    }
+
+    console.log(chalk.green(`\n✅ Exported ${count} of ${data.results.length} results to ${output}`));
+    if (format === 'geojson' && count < results.length) {
+        console.log(chalk.gray(`   ${results.length - count} results skipped (no coordinates)`));
+    }
+    console.log();
+}
+
+/**
+ * Parse a --from-run/--to-run value
+ * @param {string|undefined} value - Option value
+ * @param {string} flag - Flag name for the error message
+ * @returns {number|null}
+ * @throws {Error} - If the value is not a run ID
+ */
+function parseRunId(value, flag) {
+    if (value === undefined) return null;
+    const id = Number(value);
+    if (!Number.isInteger(id) || id < 1) {
+        throw new Error(`Invalid ${flag} "${value}" (expected a run ID, see the runs table)`);
+    }
+    return id;
+}
+
+/**
+ * Describe one side of a diff, e.g. "leads.db run 3 (2026-03-01, cafes in Madrid)"
+ * @param {string} file - Results file or database
+ * @param {Object} data - Loaded results object
+ * @returns {string}
+ */
+function describeResults(file, data) {
+    const details = [data.scrapedAt?.slice(0, 10), data.query && `${data.query} in ${data.location}`].filter(Boolean).join(', ');
+    return `${file}${data.run ? ` run ${data.run}` : ''}${details ? ` (${details})` : ''}`;
+}
+
+/**
+ * Print rows as a padded table, long cells cut short
+ * @param {Object[]} rows - Rows to print
+ * @param {string[]} columns - Row keys to show, in order
+ */
+function printTable(rows, columns) {
+    const cell = (value) => {
+        const text = value == null ? '' : Array.isArray(value) ? value.join('; ') : String(value);
+        return text.length > 40 ? `${text.slice(0, 39)}…` : text;
+    };
+    const cells = rows.map(row => columns.map(column => cell(row[column])));
+    const widths = columns.map((column, i) => Math.max(column.length, ...cells.map(line => line[i].length)));
+    console.log(chalk.white(`  ${columns.map((column, i) => column.padEnd(widths[i])).join('  ')}`.trimEnd()));
+    for (const line of cells) {
+        console.log(chalk.gray(`  ${line.map((text, i) => text.padEnd(widths[i])).join('  ')}`.trimEnd()));
+    }
+}
+
+/**
+ * Diff command: compare two result sets
+ * @param {string} before - Earlier results file or database
+ * @param {string|undefined} after - Later results file (default: the same database)
+ * @param {Object} options - Parsed command options
+ */
+async function diffCommand(before, after, options) {
+    let previous;
+    let current;
+    let format;
+    let fields;
+    try {
+        format = options.format.toLowerCase();
+        if (!DIFF_FORMATS.includes(format)) {
+            throw new Error(`Unknown format "${options.format}" (expected one of: ${DIFF_FORMATS.join(', ')})`);
+        }
+        fields = options.fields.split(',').map(f => f.trim()).filter(Boolean);
+        let fromRun = parseRunId(options.fromRun, '--from-run');
+        let toRun = parseRunId(options.toRun, '--to-run');
+
+        // One database: compare two of its runs, the last two by default
+        if (!after) {
+            if (fromRun === null && toRun === null) {
+                const runs = await listRuns(before, { backend: options.backend });
+                if (runs.length < 2) {
+                    throw new Error(`Nothing to compare: pass two results files, or a database with at least two runs (${before} has ${runs.length} stored run${runs.length === 1 ? '' : 's'})`);
+                }
+                fromRun = runs.at(-2).id;
+                toRun = runs.at(-1).id;
+            } else if (fromRun === null || toRun === null) {
+                throw new Error('Comparing runs of one database needs both --from-run and --to-run');
+            }
+        }
+
+        previous = await loadResults(before, { backend: options.backend, run: fromRun });
+        current = await loadResults(after || before, { backend: options.backend, run: toRun });
+        for (const [file, data] of [[before, previous], [after || before, current]]) {
+            if (!data || !Array.isArray(data.results)) {
+                throw new Error(`No results found in ${file}`);
+            }
+        }
+    } catch (error) {
+        console.log(chalk.red(`\n❌ ${error.message}\n`));
+        process.exit(1);
+    }
+
+    const diff = diffResults(previous.results, current.results, { fields });
+    const metadata = { before: describeResults(before, previous), after: describeResults(after || before, current) };
+
+    if (format !== 'table') {
+        const content = formatDiff(diff, format, metadata);
+        if (!options.output) {
+            process.stdout.write(content.endsWith('\n') ? content : `${content}\n`);
+            return;
+        }
+        try {
+            await writeFile(options.output, content, 'utf-8');
+        } catch (error) {
+            console.log(chalk.red(`\n❌ Error writing ${options.output}: ${error.message}\n`));
+            process.exit(1);
+        }
+        console.log(chalk.green(`\n✅ Wrote ${diff.added.length} added, ${diff.removed.length} removed and ${diff.changed.length} changed to ${options.output}\n`));
+        return;
+    }
+
+    console.log(chalk.bold.blue('\n🔀 Google Maps Bot Diff\n'));
+    console.log(chalk.white('Before:  '), chalk.cyan(`${metadata.before}, ${previous.results.length} results`));
+    console.log(chalk.white('After:   '), chalk.cyan(`${metadata.after}, ${current.results.length} results`));
+    console.log(chalk.white('Fields:  '), chalk.cyan(fields.join(', ')));
+
+    const rows = diffRows(diff);
+    const sections = [
+        ['added', chalk.green(`\n➕ New leads: ${diff.added.length}`), ['name', 'phone', 'address']],
+        ['removed', chalk.red(`\n➖ Gone: ${diff.removed.length}`), ['name', 'phone', 'address']],
+        ['changed', chalk.yellow(`\n✏️  Changed: ${diff.changed.length}`), ['name', 'field', 'from', 'to']],
+    ];
+    for (const [change, title, columns] of sections) {
+        console.log(title);
+        const sectionRows = rows.filter(row => row.change === change);
+        if (sectionRows.length > 0) {
+            printTable(sectionRows, columns);
+        }
+    }
+    console.log(chalk.gray(`\n   Unchanged: ${diff.unchanged}\n`));
+}
+
+/**
+ * Repair command: rebuild a results file from its journal
+ * @param {string} file - Results JSON file
+ */
+async function repairCommand(file) {
+    let report;
+    try {
+        report = await repairResults(file);
+    } catch (error) {
+        console.log(chalk.red(`\n❌ ${error.message}\n`));
+        process.exit(1);
+    }
+
+    if (!report.saved) {
+        console.log(chalk.red(`\n❌ Failed to write ${file}\n`));
+        process.exit(1);
+    }
+
+    console.log(chalk.green(`\n✅ Rebuilt ${file}: ${report.total} results (${report.recovered} recovered from the journal)`));
+    console.log(chalk.gray(`   Journal entries read: ${report.journalEntries}`));
+    if (report.skippedLines > 0) {
+        console.log(chalk.yellow(`   Skipped ${report.skippedLines} unreadable journal lines`));
+    }
+    if (report.backup) {
+        console.log(chalk.yellow(`   Corrupt file moved to ${report.backup}`));
+    }
+    console.log();
+}
+
+// Verify statuses as shown in the summary
+const STATUS_LABELS = {
+    lead: 'Still leads',
+    got_website: 'Got a website',
+    closed: 'Closed',
+    vanished: 'Vanished from Maps',
+};
+
+/**
+ * Verify command: revisit stored leads and update them in place
+ * @param {string} file - Results file or database
+ * @param {Object} options - Parsed command options
+ */
+async function verifyCommand(file, options) {
+    console.log(chalk.bold.blue('\n🔎 Google Maps Bot Verify\n'));
+
+    let data;
+    let noWebsiteTypes;
+    let websiteDomains;
+    let language;
+    const concurrency = parseInt(options.concurrency, 10);
+    const maxRate = Number(options.maxRate);
+    try {
+        data = await loadResults(file, { backend: options.backend });
+        if (!data || !Array.isArray(data.results) || data.results.length === 0) {
+            throw new Error(`No results found in ${file}`);
+        }
+        if (!(concurrency >= 1)) {
+            throw new Error(`Invalid --concurrency "${options.concurrency}" (expected 1 or more)`);
+        }
+        if (!(maxRate >= 0)) {
+            throw new Error(`Invalid --max-rate "${options.maxRate}" (expected page loads per minute, 0 for no cap)`);
+        }
+        noWebsiteTypes = parseWebsiteTypes(options.countAsNoWebsite);
+        websiteDomains = options.websiteDomains ? await loadWebsiteDomains(options.websiteDomains) : undefined;
+        language = await loadLanguage(options.locale, options.languagePack ? [options.languagePack] : []);
+    } catch (error) {
+        console.log(chalk.red(`❌ ${error.message}\n`));
+        process.exit(1);
+    }
+
+    const lastCheck = data.results.map(r => r.verification?.checkedAt).filter(Boolean).sort().at(-1);
+    const country = options.country?.toUpperCase() || inferCountry(data.location || '');
+    console.log(chalk.white('File:        '), chalk.cyan(`${file} (${data.results.length} results)`));
+    console.log(chalk.white('Last Check:  '), chalk.cyan(lastCheck || 'Never'));
+    console.log(chalk.white('No Website:  '), chalk.cyan(noWebsiteTypes.join(', ')));
+    console.log(chalk.white('Concurrency: '), chalk.cyan(`${concurrency} places (${maxRate > 0 ? `max ${maxRate} pages/min` : 'no rate cap'})`));
+    if (options.replay) {
+        console.log(chalk.white('Network:     '), chalk.cyan(`Replay from ${options.replay}`));
+    }
+    console.log();
+
+    let storage;
+    try {
+        storage = await openStorage(file, { backend: options.backend });
+    } catch (error) {
+        console.log(chalk.red(`❌ ${error.message}\n`));
+        process.exit(1);
+    }
+
+    // Updated results are written back in batches, replacing the stored versions
+    const unsaved = [];
+    let saveError = null;
+    const save = async () => {
+        const batch = unsaved.splice(0);
+        if (batch.length === 0) return;
+        try {
+            const { saved } = await storage.replaceResults(batch);
+            if (!saved) throw new Error(`Failed to write ${file}`);
+            saveError = null;
+        } catch (error) {
+            unsaved.unshift(...batch); // Tried again with the next batch
+            saveError = error;
+        }
+    };
+
+    const spinner = ora('Launching browser...').start();
+    const controller = new AbortController();
+    let interrupted = false;
+    const onSignal = (signal) => {
+        if (interrupted) {
+            spinner.stop();
+            console.log(chalk.red(`\n${signal} received again, exiting immediately.\n`));
+            process.exit(130);
+        }
+        interrupted = true;
+        spinner.text = `${signal} received, finishing in-flight pages (press Ctrl-C again to force)...`;
+        controller.abort();
+    };
+    process.on('SIGINT', onSignal);
+    process.on('SIGTERM', onSignal);
+
+    let run;
+    try {
+        run = await runVerify(data.results, {
+            concurrency,
+            maxRequestsPerMinute: maxRate,
+            noWebsiteTypes,
+            websiteDomains,
+            country,
+            locale: options.locale,
+            language,
+            replayFrom: options.replay,
+            headless: options.headless,
+            signal: controller.signal,
+            onProgress: (message) => {
+                if (!interrupted) spinner.text = message;
+            },
+            onChecked: async ({ previous, result }) => {
+                unsaved.push({ previous, result });
+                if (unsaved.length >= 25) await save();
+            },
+        });
+    } catch (error) {
+        spinner.stop();
+        await save();
+        await storage.close();
+        console.log(chalk.red(`\n❌ Error: ${error.message}\n`));
+        process.exit(1);
+    }
+    spinner.stop();
+    await save();
+    await storage.close();
+
+    const summary = summarizeVerification(run.checks, run.failed);
+    const notChecked = data.results.length - summary.checked - summary.failed;
+    if (saveError) {
+        console.log(chalk.red(`\n❌ Could not save ${unsaved.length} updated results: ${saveError.message}`));
+    }
+    if (interrupted) {
+        console.log(chalk.yellow(`\n⏸  Interrupted: ${notChecked} results not checked (their stored versions are unchanged)`));
+    } else if (run.blocks.gaveUp) {
+        console.log(chalk.yellow(`\n⏸  Paused: Google kept blocking requests, ${notChecked} results not checked. Re-run verify later.`));
+    }
+
+    console.log(chalk.green(`\n✅ Checked ${summary.checked} of ${data.results.length} results${summary.failed > 0 ? ` (${summary.failed} failed to load)` : ''}`));
+    console.log(chalk.gray(`   Updated in: ${file}\n`));
+
+    console.log(chalk.white('Status:'));
+    for (const [status, label] of Object.entries(STATUS_LABELS)) {
+        console.log(chalk.gray(`  • ${label}: ${summary.statuses[status]}`));
+    }
+
+    console.log(chalk.white(`\nChanges since ${lastCheck ? `the last check (${lastCheck})` : 'they were found'}:`));
+    const transitions = Object.entries(summary.transitions);
+    const fields = Object.entries(summary.fields).sort((a, b) => b[1] - a[1]);
+    if (transitions.length === 0 && fields.length === 0) {
+        console.log(chalk.gray('  • None'));
+    }
+    for (const [transition, count] of transitions) {
+        console.log(chalk.gray(`  • ${transition}: ${count}`));
+    }
+    if (fields.length > 0) {
+        console.log(chalk.gray(`  • Fields changed: ${fields.map(([field, count]) => `${field} ${count}`).join(', ')}`));
+    }
+    for (const { name, from, to } of summary.statusChanges.slice(0, 10)) {
+        console.log(chalk.gray(`      ${name}: ${from} → ${to}`));
+    }
+    if (summary.statusChanges.length > 10) {
+        console.log(chalk.gray(`      ... and ${summary.statusChanges.length - 10} more`));
+    }
+    console.log();
+
+    if (interrupted) {
+        process.exitCode = 130;
+    } else if (saveError || run.blocks.gaveUp) {
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Serve command: run the job API until interrupted
+ * @param {Object} options - Parsed command options
+ */
+async function serveCommand(options) {
+    console.log(chalk.bold.blue('\n🛰️  Google Maps Bot API\n'));
+
+    const port = Number(options.port);
+    const maxJobs = parseInt(options.maxJobs, 10);
+    const concurrency = parseInt(options.concurrency, 10);
+    const maxConcurrency = parseInt(options.maxConcurrency, 10);
+    const maxRate = Number(options.maxRate);
+    const minEmailConfidence = Number(options.minEmailConfidence);
+    let scraperOptions;
+    try {
+        if (!(Number.isInteger(port) && port >= 0 && port <= 65535)) {
+            throw new Error(`Invalid --port "${options.port}" (expected 0-65535)`);
+        }
+        if (!(maxJobs >= 1)) {
+            throw new Error(`Invalid --max-jobs "${options.maxJobs}" (expected 1 or more)`);
+        }
+        if (!(maxConcurrency >= 1)) {
+            throw new Error(`Invalid --max-concurrency "${options.maxConcurrency}" (expected 1 or more)`);
+        }
+        if (!(concurrency >= 1 && concurrency <= maxConcurrency)) {
+            throw new Error(`Invalid --concurrency "${options.concurrency}" (expected 1 to ${maxConcurrency})`);
+        }
+        if (!(maxRate >= 0)) {
+            throw new Error(`Invalid --max-rate "${options.maxRate}" (expected page loads per minute, 0 for no cap)`);
+        }
+        if (!(minEmailConfidence >= 0 && minEmailConfidence <= 1)) {
+            throw new Error(`Invalid email confidence "${options.minEmailConfidence}" (expected a number from 0 to 1)`);
+        }
+        scraperOptions = {
+            headless: options.headless,
+            locale: options.locale,
+            language: await loadLanguage(options.locale, options.languagePack ? [options.languagePack] : []),
+            noWebsiteTypes: parseWebsiteTypes(options.countAsNoWebsite),
+            minEmailConfidence,
+            contactDiscovery: createContactDiscovery(parseProviderList(options.emailProviders), { minConfidence: minEmailConfidence }),
+            maxRequestsPerMinute: maxRate,
+            replayFrom: options.replay,
+        };
+    } catch (error) {
+        console.log(chalk.red(`❌ ${error.message}\n`));
+        process.exit(1);
+    }
+
+    let api;
+    try {
+        api = await startServer({ port, host: options.host, maxRunning: maxJobs, concurrency, maxConcurrency, scraperOptions });
+    } catch (error) {
+        console.log(chalk.red(`❌ Could not listen on ${options.host}:${options.port}: ${error.message}\n`));
+        process.exit(1);
+    }
+
+    console.log(chalk.white('Listening:   '), chalk.cyan(api.url));
+    console.log(chalk.white('Jobs:        '), chalk.cyan(`${maxJobs} at a time, ${concurrency} places each by default (max ${maxConcurrency})`));
+    console.log(chalk.white('Email Search:'), chalk.cyan(scraperOptions.contactDiscovery.providers.map(p => p.name).join(' → ') || 'Off'));
+    if (options.replay) {
+        console.log(chalk.white('Network:     '), chalk.cyan(`Replay from ${options.replay}`));
+    }
+    console.log(chalk.gray(`\n   curl -X POST ${api.url}/jobs -H 'content-type: application/json' -d '{"location": "Madrid, Spain"}'`));
+    console.log(chalk.gray('   Press Ctrl-C to stop (running jobs are cancelled)\n'));
+
+    let stopping = false;
+    const onSignal = async (signal) => {
+        if (stopping) {
+            console.log(chalk.red(`\n${signal} received again, exiting immediately.\n`));
+            process.exit(130);
+        }
+        stopping = true;
+        console.log(chalk.yellow(`\n${signal} received, cancelling jobs (press Ctrl-C again to force)...`));
+        await api.close();
+        console.log(chalk.gray('   Server stopped\n'));
+        process.exit(0);
+    };
+    process.on('SIGINT', onSignal);
+    process.on('SIGTERM', onSignal);
+}
+
+/**
+ * Doctor command: report which selector fallbacks still work
+ * @param {Object} options - Parsed command options
+ */
+async function doctorCommand(options) {
+    console.log(chalk.bold.blue('\n🩺 Google Maps Bot Doctor\n'));
+    console.log(chalk.white('Sample:'), chalk.cyan(`${options.query} in ${options.location}`), chalk.gray(options.replay ? `(replay from ${options.replay})` : '(live)'));
+    console.log();
+
+    let language;
+    try {
+        language = await loadLanguage(options.locale, options.languagePack ? [options.languagePack] : []);
+    } catch (error) {
+        console.log(chalk.red(`❌ ${error.message}\n`));
+        process.exit(1);
+    }
+
+    const spinner = ora('Launching browser...').start();
+    const report = await runDoctor({
+        locale: options.locale,
+        language,
+        query: options.query,
+        location: options.location,
+        placeUrl: options.place,
+        replayFrom: options.replay,
+        headless: options.headless,
+        onProgress: (message) => { spinner.text = message; },
+    });
+    spinner.stop();
+
+    for (const pageName of ['home', 'search', 'place']) {
+        console.log(chalk.white(`${pageName[0].toUpperCase()}${pageName.slice(1)} page:`), chalk.gray(report.pages[pageName] || 'not opened'));
+
+        for (const group of report.groups.filter(g => g.page === pageName)) {
+            const label = `${group.name}${group.required ? ' (required)' : ''}`;
+            if (group.candidates.every(c => c.count == null)) {
+                console.log(chalk.gray(`  ? ${label} not checked`));
+                continue;
+            }
+            if (group.matched) {
+                const index = group.candidates.findIndex(c => c.selector === group.matched);
+                console.log(chalk.green(`  ✓ ${label}`), chalk.gray(index > 0 ? `fallback #${index + 1}` : 'primary'));
+            } else if (group.required) {
+                console.log(chalk.red(`  ✗ ${label}`));
+            } else {
+                console.log(chalk.yellow(`  - ${label}`), chalk.gray('not found (may not be on this page)'));
+            }
+
+            for (const { selector, count } of group.candidates) {
+                const status = count == null ? chalk.gray('not checked') : count > 0 ? chalk.green(`${count} match${count === 1 ? '' : 'es'}`) : chalk.gray('no match');
+                console.log(chalk.gray(`      ${selector}`), status);
+            }
+        }
+        console.log();
+    }
+
+    for (const error of report.errors) {
+        console.log(chalk.red(`❌ ${error}`));
+    }
+
+    const missing = report.groups.filter(g => g.required && !g.matched).map(g => g.name);
+    if (report.ok) {
+        console.log(chalk.green('✅ All required selectors found\n'));
+    } else {
+        if (missing.length > 0) {
+            console.log(chalk.red(`❌ Required selectors not found: ${missing.join(', ')}`));
+            if (report.errors.length === 0) {
+                console.log(chalk.yellow('   Update SELECTORS in src/extractor.js'));
+            }
+        }
+        console.log();
+        process.exitCode = 1;
+    }
+}
+
+program.parseAsync(process.argv);
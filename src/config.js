@@ -0,0 +1,237 @@
+/**
+ * Config Module
+ * Loads a project config file (JSON or YAML) with named run profiles
+ */
+
+import { readFile, access } from 'fs/promises';
+import path from 'path';
+import YAML from 'yaml';
+
+// Looked up in the working directory when no --config is given
+export const CONFIG_FILES = ['gmaps-bot.config.json', 'gmaps-bot.config.yaml', 'gmaps-bot.config.yml'];
+
+// Profile keys (scrape option names) and the type each one accepts
+export const PROFILE_KEYS = {
+    query: 'string',
+    location: 'string',
+    output: 'string',
+    backend: 'string',
+    concurrency: 'number',
+    searchConcurrency: 'number',
+    subdivide: 'boolean',
+    vertical: 'list',
+    categories: 'list',
+    categoriesFile: 'file',
+    bounds: 'coordinates',
+    center: 'coordinates',
+    radius: 'number',
+    cellSize: 'number',
+    minCellSize: 'number',
+    adaptive: 'boolean',
+    countAsNoWebsite: 'list',
+    websiteDomains: 'file',
+    emailProviders: 'list',
+    emailProvidersFile: 'file',
+    minEmailConfidence: 'number',
+    maxRate: 'number',
+    seenIndex: 'file',
+    freshDays: 'number',
+    country: 'string',
+    locale: 'string',
+    languagePack: 'file',
+    proxies: 'file',
+    userAgents: 'file',
+    contexts: 'number',
+    headless: 'boolean',
+};
+
+/**
+ * "cell-size" -> "cellSize", so profiles can use the flag names too
+ * @param {string} key - Profile key
+ * @returns {string}
+ */
+function camelCase(key) {
+    return key.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+/**
+ * Edit distance between two strings, for "did you mean" hints
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number}
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Suggest the closest known key
+ * @param {string} key - Unknown key
+ * @param {string[]} known - Known keys
+ * @returns {string} - ' (did you mean "x"?)' or ''
+ */
+function suggest(key, known) {
+    const best = known
+        .map(candidate => ({ candidate, distance: editDistance(key.toLowerCase(), candidate.toLowerCase()) }))
+        .sort((a, b) => a.distance - b.distance)[0];
+    return best && best.distance <= 2 ? ` (did you mean "${best.candidate}"?)` : '';
+}
+
+/**
+ * Validate one setting and convert it to the string/boolean form the CLI options use
+ * @param {string} type - Type from PROFILE_KEYS
+ * @param {*} value - Value from the config file
+ * @param {string} configDir - Directory of the config file (file paths are relative to it)
+ * @returns {{value: *}|{error: string}}
+ */
+function convertValue(type, value, configDir) {
+    switch (type) {
+        case 'string':
+            return typeof value === 'string' ? { value } : { error: `expected a string, got ${JSON.stringify(value)}` };
+        case 'file':
+            return typeof value === 'string'
+                ? { value: path.resolve(configDir, value) }
+                : { error: `expected a file path, got ${JSON.stringify(value)}` };
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value)
+                ? { value: String(value) }
+                : { error: `expected a number, got ${JSON.stringify(value)}` };
+        case 'boolean':
+            return typeof value === 'boolean' ? { value } : { error: `expected true or false, got ${JSON.stringify(value)}` };
+        case 'list':
+            if (typeof value === 'string') return { value: value.split(',').map(v => v.trim()).filter(Boolean) };
+            return Array.isArray(value) && value.every(v => typeof v === 'string')
+                ? { value }
+                : { error: `expected a list of strings, got ${JSON.stringify(value)}` };
+        case 'coordinates':
+            if (typeof value === 'string') return { value };
+            return Array.isArray(value) && value.every(v => typeof v === 'number')
+                ? { value: value.join(',') }
+                : { error: `expected "lat,lng"-style text or a list of numbers, got ${JSON.stringify(value)}` };
+        default:
+            return { error: `unsupported type ${type}` };
+    }
+}
+
+/**
+ * Validate a profile and normalize its keys and values
+ * @param {Object} profile - Raw profile from the config file
+ * @param {string} where - Location for error messages (e.g. "profiles.madrid")
+ * @param {string} configDir - Directory of the config file
+ * @param {string[]} errors - Collected error messages
+ * @returns {Object} - Settings keyed by scrape option name
+ */
+function validateProfile(profile, where, configDir, errors) {
+    const settings = {};
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+        errors.push(`${where}: expected an object of settings`);
+        return settings;
+    }
+
+    for (const [rawKey, rawValue] of Object.entries(profile)) {
+        const key = camelCase(rawKey);
+        const type = PROFILE_KEYS[key];
+        if (!type) {
+            errors.push(`${where}.${rawKey}: unknown setting${suggest(key, Object.keys(PROFILE_KEYS))}`);
+            continue;
+        }
+        const result = convertValue(type, rawValue, configDir);
+        if (result.error) {
+            errors.push(`${where}.${rawKey}: ${result.error}`);
+        } else {
+            settings[key] = result.value;
+        }
+    }
+    return settings;
+}
+
+/**
+ * Find the config file in a directory
+ * @param {string} dir - Directory to look in
+ * @returns {Promise<string|null>} - Path of the first CONFIG_FILES match
+ */
+export async function findConfigFile(dir = process.cwd()) {
+    for (const name of CONFIG_FILES) {
+        const file = path.join(dir, name);
+        try {
+            await access(file);
+            return file;
+        } catch {
+            // Try the next name
+        }
+    }
+    return null;
+}
+
+/**
+ * Load and validate a config file
+ * @param {string} filename - JSON or YAML config file
+ * @returns {Promise<{file: string, defaults: Object, profiles: Object}>}
+ * @throws {Error} - If the file is unreadable, unparseable or has invalid settings
+ */
+export async function loadConfig(filename) {
+    const content = await readFile(filename, 'utf-8');
+    const isYaml = /\.ya?ml$/i.test(filename);
+
+    let raw;
+    try {
+        raw = isYaml ? YAML.parse(content) : JSON.parse(content);
+    } catch (error) {
+        throw new Error(`Cannot parse ${filename}: ${error.message}`);
+    }
+    raw = raw ?? {};
+
+    const errors = [];
+    const configDir = path.dirname(path.resolve(filename));
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+        errors.push('expected an object with "defaults" and/or "profiles"');
+    } else {
+        for (const key of Object.keys(raw)) {
+            if (key !== 'defaults' && key !== 'profiles') {
+                errors.push(`${key}: unknown section${suggest(key, ['defaults', 'profiles'])} (expected "defaults" or "profiles")`);
+            }
+        }
+    }
+
+    const defaults = raw.defaults ? validateProfile(raw.defaults, 'defaults', configDir, errors) : {};
+    const profiles = {};
+    if (raw.profiles != null) {
+        if (typeof raw.profiles !== 'object' || Array.isArray(raw.profiles)) {
+            errors.push('profiles: expected an object of named profiles');
+        } else {
+            for (const [name, profile] of Object.entries(raw.profiles)) {
+                profiles[name] = validateProfile(profile, `profiles.${name}`, configDir, errors);
+            }
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid config file ${filename}:\n  ${errors.join('\n  ')}`);
+    }
+    return { file: filename, defaults, profiles };
+}
+
+/**
+ * Get the settings of a profile, on top of the config defaults
+ * @param {Object} config - Loaded config
+ * @param {string|null} name - Profile name, or null for the defaults only
+ * @returns {Object} - Settings keyed by scrape option name
+ * @throws {Error} - If the profile doesn't exist
+ */
+export function resolveProfile(config, name) {
+    if (name && !config.profiles[name]) {
+        const names = Object.keys(config.profiles);
+        throw new Error(`Unknown profile "${name}" in ${config.file}${suggest(name, names)} (available: ${names.join(', ') || 'none'})`);
+    }
+    return { ...config.defaults, ...(name ? config.profiles[name] : {}) };
+}
+
+export default { loadConfig, findConfigFile, resolveProfile, CONFIG_FILES, PROFILE_KEYS };
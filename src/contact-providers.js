@@ -0,0 +1,301 @@
+/**
+ * Contact Discovery Module
+ * Pluggable providers that search the web for a business' email address
+ */
+
+import { readFile } from 'fs/promises';
+import { scoreEmailCandidates } from './email.js';
+import { createRateLimiter } from './throttle.js';
+
+export const PROVIDER_TYPES = ['duckduckgo', 'bing', 'url-template', 'stub'];
+
+export const DISCOVERY_MODES = ['first', 'all'];
+
+// Minimum delay between two requests to the same provider
+const DEFAULT_RATE_LIMITS_MS = {
+    'duckduckgo': 2000,
+    'bing': 3000,
+    'url-template': 1000,
+    'stub': 0,
+};
+
+/**
+ * Get the city part of a Maps address
+ * @param {string|null} address - e.g. "Calle Mayor 15, 28013 Madrid, Spain"
+ * @returns {string} - e.g. "28013 Madrid" or "" if unknown
+ */
+function getCity(address) {
+    return address ? address.split(',').slice(-2, -1)[0]?.trim() || '' : '';
+}
+
+/**
+ * Build the search text for a business
+ * @param {Object} business - { businessName, address }
+ * @returns {string} - e.g. "Bar El Rincón Madrid email"
+ */
+function buildContactQuery({ businessName, address }) {
+    // Simpler is better: name, city and the word "email"
+    return [businessName, getCity(address), 'email'].filter(Boolean).join(' ');
+}
+
+/**
+ * Load a page and collect one snippet per search result
+ * @param {import('playwright').BrowserContext} context - Browser context
+ * @param {string} url - Results page URL
+ * @param {string|null} resultSelector - Selector of one result block
+ * @param {string|null} linkSelector - Selector of the result's link inside the block
+ * @returns {Promise<Object[]>} - Snippets { text, url }
+ */
+async function fetchSnippets(context, url, resultSelector, linkSelector) {
+    const page = await context.newPage();
+
+    try {
+        await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 15000 });
+        // Wait for the results to render; pages of unknown layout are read once loaded
+        if (resultSelector) {
+            await page.waitForSelector(resultSelector, { timeout: 5000 }).catch(() => { });
+        } else {
+            await page.waitForLoadState('load', { timeout: 5000 }).catch(() => { });
+        }
+
+        return await page.evaluate(({ resultSelector, linkSelector }) => {
+            // Visible text plus mailto/href values, which often hold the address
+            const withLinks = (root, text) => {
+                root.querySelectorAll('a[href]').forEach(link => {
+                    const href = link.getAttribute('href') || '';
+                    if (href.includes('mailto:') || href.includes('@')) {
+                        text += ' ' + href;
+                    }
+                });
+                return text;
+            };
+
+            const results = resultSelector
+                ? [...document.querySelectorAll(resultSelector)].map(result => ({
+                    text: withLinks(result, result.innerText || ''),
+                    url: (linkSelector && result.querySelector(linkSelector)?.getAttribute('href')) || null,
+                }))
+                : [];
+
+            // Unknown layout: treat the whole page as one snippet
+            return results.length > 0
+                ? results
+                : [{ text: withLinks(document, document.body?.innerText || ''), url: location.href }];
+        }, { resultSelector, linkSelector });
+    } finally {
+        await page.close();
+    }
+}
+
+/**
+ * DuckDuckGo HTML provider (no JavaScript needed, rarely blocks)
+ * @param {Object} config - Provider config
+ * @returns {Object} - Provider
+ */
+function createDuckDuckGoProvider(config = {}) {
+    return {
+        name: config.name || 'duckduckgo',
+        async search(context, business) {
+            const url = `https://html.duckduckgo.com/html/?q=${encodeURIComponent(buildContactQuery(business))}`;
+            return fetchSnippets(context, url, '.result', 'a.result__a');
+        },
+    };
+}
+
+/**
+ * Bing HTML provider
+ * @param {Object} config - Provider config
+ * @returns {Object} - Provider
+ */
+function createBingProvider(config = {}) {
+    return {
+        name: config.name || 'bing',
+        async search(context, business) {
+            const url = `https://www.bing.com/search?q=${encodeURIComponent(buildContactQuery(business))}`;
+            return fetchSnippets(context, url, 'li.b_algo', 'h2 a');
+        },
+    };
+}
+
+/**
+ * Generic provider that loads a URL built from a template.
+ * Placeholders: {query}, {name}, {city}, {address} (all URL-encoded)
+ * @param {Object} config - Provider config
+ * @param {string} config.template - e.g. "https://directory.example/search?q={name}+{city}"
+ * @param {string} config.resultSelector - Selector of one result block (default: whole page)
+ * @param {string} config.linkSelector - Selector of the result's link inside the block
+ * @returns {Object} - Provider
+ * @throws {Error} - If the template is missing
+ */
+function createUrlTemplateProvider(config = {}) {
+    if (!config.template) {
+        throw new Error('url-template provider needs a "template" (e.g. "https://example.org/search?q={query}")');
+    }
+
+    return {
+        name: config.name || 'url-template',
+        async search(context, business) {
+            const values = {
+                query: buildContactQuery(business),
+                name: business.businessName || '',
+                city: getCity(business.address),
+                address: business.address || '',
+            };
+            const url = config.template.replace(/\{(query|name|city|address)\}/g, (_, key) => encodeURIComponent(values[key]));
+            return fetchSnippets(context, url, config.resultSelector || null, config.linkSelector || null);
+        },
+    };
+}
+
+/**
+ * Local provider that never touches the network, for exercising enrichment offline.
+ * With `data` or `file` it answers from a map of business name -> snippets (or emails);
+ * otherwise it makes up "info@<name>.test" for every business.
+ * @param {Object} config - Provider config
+ * @param {Object} config.data - { "Bar El Rincón": ["Contact: info@elrincon.es", ...] }
+ * @param {string} config.file - JSON file with the same shape as data
+ * @returns {Object} - Provider
+ */
+function createStubProvider(config = {}) {
+    let data = config.data || null;
+
+    return {
+        name: config.name || 'stub',
+        async search(context, business) {
+            if (!data && config.file) {
+                data = JSON.parse(await readFile(config.file, 'utf-8'));
+            }
+
+            const name = business.businessName || '';
+            if (!data) {
+                const slug = name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+                return slug ? [{ text: `${name} contact: info@${slug}.test`, url: null }] : [];
+            }
+
+            const key = Object.keys(data).find(k => k.toLowerCase() === name.toLowerCase());
+            // Bare emails are wrapped in a snippet that mentions the business
+            return (key ? data[key] : []).map(entry => ({
+                text: entry.includes(' ') ? entry : `${name} ${entry}`,
+                url: null,
+            }));
+        },
+    };
+}
+
+const PROVIDER_FACTORIES = {
+    'duckduckgo': createDuckDuckGoProvider,
+    'bing': createBingProvider,
+    'url-template': createUrlTemplateProvider,
+    'stub': createStubProvider,
+};
+
+/**
+ * Create a rate-limited provider from its config
+ * @param {Object} config - { type, name, rateLimitMs, ...type options }
+ * @returns {Object} - Provider { name, type, search(context, business) }
+ * @throws {Error} - On unknown provider types
+ */
+export function createProvider(config) {
+    const factory = PROVIDER_FACTORIES[config.type];
+    if (!factory) {
+        throw new Error(`Unknown contact provider "${config.type}" (expected one of: ${PROVIDER_TYPES.join(', ')})`);
+    }
+
+    const provider = factory(config);
+    const waitForSlot = createRateLimiter(config.rateLimitMs ?? DEFAULT_RATE_LIMITS_MS[config.type]);
+
+    return {
+        name: provider.name,
+        type: config.type,
+        async search(context, business) {
+            await waitForSlot();
+            return provider.search(context, business);
+        },
+    };
+}
+
+/**
+ * Parse a comma-separated provider list into provider configs
+ * @param {string} text - e.g. "duckduckgo,bing"
+ * @returns {Object[]} - Provider configs in order
+ * @throws {Error} - On unknown provider types
+ */
+export function parseProviderList(text) {
+    const types = text.split(',').map(t => t.trim().toLowerCase()).filter(Boolean);
+    const unknown = types.filter(t => !PROVIDER_TYPES.includes(t));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown contact provider(s): ${unknown.join(', ')} (expected: ${PROVIDER_TYPES.join(', ')})`);
+    }
+    return types.map(type => ({ type }));
+}
+
+/**
+ * Load provider configs from a JSON file
+ * @param {string} filename - JSON file like { "mode": "first", "providers": [{ "type": "bing", "rateLimitMs": 5000 }] }
+ * @returns {Promise<{mode: string, providers: Object[]}>}
+ * @throws {Error} - If the file is unreadable or invalid
+ */
+export async function loadProviderConfig(filename) {
+    const config = JSON.parse(await readFile(filename, 'utf-8'));
+    const providers = Array.isArray(config) ? config : config.providers;
+
+    if (!Array.isArray(providers) || providers.some(p => !p || typeof p.type !== 'string')) {
+        throw new Error(`Invalid provider config in ${filename} (expected "providers": [{ "type": ... }, ...])`);
+    }
+    return { mode: config.mode || 'first', providers };
+}
+
+/**
+ * Combine providers into one contact discovery step
+ * @param {Object[]} configs - Provider configs, in the order they are asked
+ * @param {Object} options - Discovery options
+ * @param {string} options.mode - "first": stop at the first provider with a confident email;
+ *                                "all": ask every provider and merge the candidates
+ * @param {number} options.minConfidence - Confidence that counts as found in "first" mode
+ * @returns {{providers: Object[], discover: Function}}
+ * @throws {Error} - On unknown provider types or modes
+ */
+export function createContactDiscovery(configs, options = {}) {
+    const { mode = 'first', minConfidence = 0.3 } = options;
+    if (!DISCOVERY_MODES.includes(mode)) {
+        throw new Error(`Unknown discovery mode "${mode}" (expected one of: ${DISCOVERY_MODES.join(', ')})`);
+    }
+
+    const providers = configs.map(createProvider);
+
+    /**
+     * Find email candidates for a business
+     * @param {import('playwright').BrowserContext} context - Browser context for page-based providers
+     * @param {Object} business - { businessName, address }
+     * @returns {Promise<Object[]>} - Scored candidates, best first
+     */
+    async function discover(context, business) {
+        const candidates = new Map();
+
+        for (const provider of providers) {
+            let snippets;
+            try {
+                snippets = await provider.search(context, business);
+            } catch {
+                continue; // Email search is optional, try the next provider
+            }
+
+            for (const candidate of scoreEmailCandidates(business.businessName, snippets, { source: provider.name })) {
+                const existing = candidates.get(candidate.email);
+                if (!existing || candidate.confidence > existing.confidence) {
+                    candidates.set(candidate.email, candidate);
+                }
+            }
+
+            if (mode === 'first' && [...candidates.values()].some(c => c.confidence >= minConfidence)) {
+                break;
+            }
+        }
+
+        return [...candidates.values()].sort((a, b) => b.confidence - a.confidence);
+    }
+
+    return { providers, discover };
+}
+
+export default { createContactDiscovery, createProvider, parseProviderList, loadProviderConfig };
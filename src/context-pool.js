@@ -0,0 +1,319 @@
+/**
+ * Context Pool Module
+ * Browser contexts with rotating proxies, user agents and viewports,
+ * retired and replaced once Google starts blocking them
+ */
+
+import { readFile } from 'fs/promises';
+
+// Current desktop browsers; each new context takes the next one
+export const DEFAULT_USER_AGENTS = [
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
+    'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36 Edg/131.0.0.0',
+    'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/130.0.0.0 Safari/537.36',
+    'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/130.0.0.0 Safari/537.36',
+];
+
+// Common desktop window sizes
+export const DEFAULT_VIEWPORTS = [
+    { width: 1280, height: 720 },
+    { width: 1366, height: 768 },
+    { width: 1440, height: 900 },
+    { width: 1536, height: 864 },
+    { width: 1920, height: 1080 },
+];
+
+/**
+ * Parse one proxy line
+ * @param {string} text - "host:port", "scheme://[user:pass@]host:port" or "host:port:user:pass"
+ * @returns {{server: string, username?: string, password?: string}} - Playwright proxy settings
+ * @throws {Error} - If the line is not a proxy address
+ */
+export function parseProxy(text) {
+    const value = text.trim();
+
+    // Provider export format: host:port:user:pass
+    const parts = value.split(':');
+    if (!value.includes('://') && parts.length === 4) {
+        const [host, port, username, password] = parts;
+        return parseProxy(`http://${encodeURIComponent(username)}:${encodeURIComponent(password)}@${host}:${port}`);
+    }
+
+    let url;
+    try {
+        url = new URL(value.includes('://') ? value : `http://${value}`);
+    } catch {
+        url = null;
+    }
+    if (!url || !url.hostname || !url.port || !['http:', 'https:', 'socks5:'].includes(url.protocol)) {
+        throw new Error(`Invalid proxy "${text}" (expected [http|https|socks5://][user:pass@]host:port)`);
+    }
+
+    const proxy = { server: `${url.protocol}//${url.hostname}:${url.port}` };
+    if (url.username) {
+        proxy.username = decodeURIComponent(url.username);
+        proxy.password = decodeURIComponent(url.password);
+    }
+    return proxy;
+}
+
+/**
+ * Read a list file: one entry per line, # starts a comment
+ * @param {string} filename - Text file
+ * @returns {Promise<string[]>}
+ */
+async function readListFile(filename) {
+    const content = await readFile(filename, 'utf-8');
+    return content.split('\n')
+        .map(line => line.replace(/(^|\s)#.*$/, '').trim())
+        .filter(Boolean);
+}
+
+/**
+ * Load a proxy list file
+ * @param {string} filename - One proxy per line (see parseProxy)
+ * @returns {Promise<Object[]>} - Playwright proxy settings
+ * @throws {Error} - If the file is unreadable, empty or has an invalid line
+ */
+export async function loadProxyList(filename) {
+    const proxies = (await readListFile(filename)).map(parseProxy);
+    if (proxies.length === 0) {
+        throw new Error(`No proxies in ${filename}`);
+    }
+    return proxies;
+}
+
+/**
+ * Load a user agent list file
+ * @param {string} filename - One user agent per line
+ * @returns {Promise<string[]>}
+ * @throws {Error} - If the file is unreadable or empty
+ */
+export async function loadUserAgentList(filename) {
+    const userAgents = await readListFile(filename);
+    if (userAgents.length === 0) {
+        throw new Error(`No user agents in ${filename}`);
+    }
+    return userAgents;
+}
+
+/**
+ * Create a pool of browser contexts. Each context gets the next proxy, user agent
+ * and viewport in turn; a context that gets blocked is retired (closed once its
+ * open pages are done) and replaced by one with the next proxy and user agent.
+ * @param {import('playwright').Browser} browser - Launched browser
+ * @param {Object} options - Pool options
+ * @param {number} options.size - Contexts in use at once
+ * @param {Object[]} options.proxies - Playwright proxy settings to rotate through (none: direct)
+ * @param {string[]} options.userAgents - User agents to rotate through
+ * @param {Object[]} options.viewports - Viewports to rotate through
+ * @param {string} options.locale - Browser locale
+ * @param {number} options.retireAfterBlocks - Blocks after which a context is replaced
+ * @param {number} options.maxIdlePages - Released pages kept per context for reuse
+ * @param {Function} options.setup - Called with each new context (e.g. to add routes), awaited
+ * @returns {Object} - { open, newPage, acquirePage, releasePage, pickContext, reportBlock, close, summary, profiles }
+ */
+export function createContextPool(browser, options = {}) {
+    const {
+        size = 1,
+        proxies = [],
+        userAgents = DEFAULT_USER_AGENTS,
+        viewports = DEFAULT_VIEWPORTS,
+        locale,
+        retireAfterBlocks = 1,
+        maxIdlePages = 2,
+        setup = async () => { },
+    } = options;
+
+    let active = [];
+    let created = 0;
+    let retired = 0;
+    let pagesOpened = 0;
+    let turn = 0;
+    const retiredSlots = [];
+
+    /**
+     * Start a context with the next profile in the rotation
+     * @returns {Object} - Slot { id, proxy, userAgent, viewport, blocks, ready }
+     */
+    function createSlot() {
+        const id = created++;
+        const slot = {
+            id,
+            proxy: proxies.length > 0 ? proxies[id % proxies.length] : null,
+            userAgent: userAgents[id % userAgents.length],
+            viewport: viewports[id % viewports.length],
+            blocks: 0,
+            context: null,
+            idlePages: [],
+        };
+        slot.ready = browser.newContext({
+            viewport: slot.viewport,
+            locale,
+            userAgent: slot.userAgent,
+            proxy: slot.proxy || undefined,
+        }).then(async (context) => {
+            slot.context = context;
+            await setup(context);
+            return context;
+        });
+        return slot;
+    }
+
+    /**
+     * Close a retired context once its last open page is closed
+     * @param {Object} slot - Retired slot
+     */
+    function closeWhenIdle(slot) {
+        retiredSlots.push(slot);
+        slot.idlePages.splice(0).forEach(page => page.close().catch(() => { }));
+        slot.ready.then((context) => {
+            const closeIfIdle = () => {
+                if (context.pages().every(page => page.isClosed())) {
+                    context.close().catch(() => { });
+                }
+            };
+            closeIfIdle();
+            context.pages().forEach(page => page.once('close', closeIfIdle));
+        }).catch(() => { });
+    }
+
+    /**
+     * Create the initial contexts
+     * @returns {Promise<void>}
+     */
+    async function open() {
+        active = Array.from({ length: Math.max(1, size) }, createSlot);
+        await Promise.all(active.map(slot => slot.ready));
+    }
+
+    /**
+     * Get the next context in turn
+     * @returns {Promise<import('playwright').BrowserContext>}
+     */
+    async function pickContext() {
+        const slot = active[turn++ % active.length];
+        return slot.ready;
+    }
+
+    /**
+     * Open a page in the next context in turn
+     * @returns {Promise<import('playwright').Page>}
+     */
+    async function newPage() {
+        for (let attempt = 0; ; attempt++) {
+            const context = await pickContext();
+            try {
+                const page = await context.newPage();
+                pagesOpened++;
+                return page;
+            } catch (error) {
+                // The context was retired and closed in the meantime, try the next one
+                if (attempt >= active.length) throw error;
+            }
+        }
+    }
+
+    /**
+     * Take an idle page from the next context in turn, or open a new one
+     * @returns {Promise<import('playwright').Page>}
+     */
+    async function acquirePage() {
+        const slot = active[turn % active.length];
+        const page = slot?.idlePages.pop();
+        if (page && !page.isClosed()) {
+            turn++;
+            return page;
+        }
+        return newPage();
+    }
+
+    /**
+     * Keep a page for reuse, or close it if its context was retired or enough are idle
+     * @param {import('playwright').Page} page - Page from acquirePage or newPage
+     * @returns {Promise<void>}
+     */
+    async function releasePage(page) {
+        if (page.isClosed()) return;
+        const slot = active.find(candidate => candidate.context === page.context());
+        if (slot && slot.idlePages.length < maxIdlePages) {
+            // Stop the page's scripts and requests while it waits
+            const blank = await page.goto('about:blank').then(() => true, () => false);
+            if (blank && active.includes(slot)) {
+                slot.idlePages.push(page);
+                return;
+            }
+        }
+        await page.close().catch(() => { });
+    }
+
+    /**
+     * Count a block against the context a page belongs to
+     * @param {import('playwright').BrowserContext} context - Context that was blocked
+     * @returns {{retired: boolean, replacement: Object|null}} - Whether it was replaced, and the new profile
+     */
+    function reportBlock(context) {
+        const index = active.findIndex(slot => slot.context === context);
+        if (index === -1) {
+            return { retired: false, replacement: null }; // Already retired
+        }
+
+        const slot = active[index];
+        slot.blocks++;
+        if (slot.blocks < retireAfterBlocks) {
+            return { retired: false, replacement: null };
+        }
+
+        const replacement = createSlot();
+        active[index] = replacement;
+        retired++;
+        closeWhenIdle(slot);
+        return { retired: true, replacement: describe(replacement) };
+    }
+
+    /**
+     * Close every context, retired ones included
+     * @returns {Promise<void>}
+     */
+    async function close() {
+        const slots = [...active, ...retiredSlots];
+        active = [];
+        const contexts = await Promise.all(slots.map(slot => slot.ready.catch(() => null)));
+        await Promise.all(contexts.filter(Boolean).map(context => context.close().catch(() => { })));
+    }
+
+    /**
+     * Public view of a slot
+     * @param {Object} slot - Pool slot
+     * @returns {{id: number, proxy: string|null, userAgent: string, viewport: Object}}
+     */
+    function describe(slot) {
+        return { id: slot.id, proxy: slot.proxy?.server || null, userAgent: slot.userAgent, viewport: slot.viewport };
+    }
+
+    return {
+        open,
+        newPage,
+        acquirePage,
+        releasePage,
+        pickContext,
+        reportBlock,
+        close,
+        /**
+         * @returns {Object[]} - Profiles of the contexts in use
+         */
+        profiles() {
+            return active.map(describe);
+        },
+        /**
+         * @returns {{active: number, created: number, retired: number, pagesOpened: number}}
+         */
+        summary() {
+            return { active: active.length, created, retired, pagesOpened };
+        },
+    };
+}
+
+export default { createContextPool, parseProxy, loadProxyList, loadUserAgentList, DEFAULT_USER_AGENTS, DEFAULT_VIEWPORTS };
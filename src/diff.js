@@ -0,0 +1,121 @@
+/**
+ * Diff Module
+ * Compares two result sets by place identity (see identity.js): which leads
+ * are new, which are gone and which fields changed
+ */
+
+import { createPlaceIndex } from './identity.js';
+import { toCsv } from './export.js';
+
+export const DIFF_FORMATS = ['table', 'json', 'csv'];
+
+// Fields compared between the two sightings of a place
+export const DEFAULT_DIFF_FIELDS = ['phone', 'emails', 'isActive'];
+
+// Columns of a diff row (CSV and table output)
+export const DIFF_COLUMNS = ['change', 'name', 'address', 'phone', 'field', 'from', 'to'];
+
+/**
+ * Normalize a field value for comparison: missing is null, lists are order-independent
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+function comparable(value) {
+    if (Array.isArray(value)) return JSON.stringify([...value].sort());
+    return JSON.stringify(value ?? null);
+}
+
+/**
+ * Compare two result sets
+ * @param {Object[]} before - Earlier results
+ * @param {Object[]} after - Later results
+ * @param {Object} options - Diff options
+ * @param {string[]} options.fields - Fields to compare for places in both (default DEFAULT_DIFF_FIELDS)
+ * @returns {{added: Object[], removed: Object[], changed: Object[], unchanged: number}} - changed items are
+ *          { before, after, changes: [{ field, from, to }] }
+ */
+export function diffResults(before, after, options = {}) {
+    const fields = options.fields || DEFAULT_DIFF_FIELDS;
+    const index = createPlaceIndex();
+    before.forEach(place => index.add(place));
+
+    const matched = new Set();
+    const added = [];
+    const changed = [];
+    let unchanged = 0;
+    for (const place of after) {
+        const previous = index.find(place);
+        if (!previous) {
+            added.push(place);
+            continue;
+        }
+        matched.add(previous);
+        const changes = fields
+            .filter(field => comparable(previous[field]) !== comparable(place[field]))
+            .map(field => ({ field, from: previous[field] ?? null, to: place[field] ?? null }));
+        if (changes.length > 0) {
+            changed.push({ before: previous, after: place, changes });
+        } else {
+            unchanged++;
+        }
+    }
+
+    const removed = before.filter(place => !matched.has(place));
+    return { added, removed, changed, unchanged };
+}
+
+/**
+ * Flatten a diff into rows: one per added or removed place, one per changed field
+ * @param {Object} diff - Result of diffResults
+ * @returns {Object[]} - Rows with DIFF_COLUMNS keys
+ */
+export function diffRows(diff) {
+    const row = (change, place, extra = {}) => ({
+        change,
+        name: place.name,
+        address: place.address,
+        phone: place.phone,
+        field: null,
+        from: null,
+        to: null,
+        ...extra,
+    });
+    return [
+        ...diff.added.map(place => row('added', place)),
+        ...diff.removed.map(place => row('removed', place)),
+        ...diff.changed.flatMap(({ after, changes }) => changes.map(change => row('changed', after, change))),
+    ];
+}
+
+/**
+ * Render a diff as a file
+ * @param {Object} diff - Result of diffResults
+ * @param {string} format - "json" or "csv"
+ * @param {Object} metadata - Descriptions of the two sides { before, after }
+ * @returns {string}
+ * @throws {Error} - If the format is not a file format
+ */
+export function formatDiff(diff, format, metadata = {}) {
+    switch (format) {
+        case 'json':
+            return JSON.stringify({
+                before: metadata.before ?? null,
+                after: metadata.after ?? null,
+                summary: {
+                    added: diff.added.length,
+                    removed: diff.removed.length,
+                    changed: diff.changed.length,
+                    unchanged: diff.unchanged,
+                },
+                added: diff.added,
+                removed: diff.removed,
+                changed: diff.changed.map(({ after, changes }) => ({ ...after, changes })),
+            }, null, 2);
+        case 'csv':
+            return toCsv(diffRows(diff), DIFF_COLUMNS);
+        default:
+            throw new Error(`Unknown diff file format "${format}" (expected json or csv)`);
+    }
+}
+
+export default { diffResults, diffRows, formatDiff, DIFF_FORMATS, DEFAULT_DIFF_FIELDS, DIFF_COLUMNS };
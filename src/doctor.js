@@ -0,0 +1,166 @@
+/**
+ * Doctor Module
+ * Opens a sample search and place page and reports which selectors still match
+ */
+
+import { GoogleMapsScraper, GOOGLE_MAPS_URL } from './scraper.js';
+import { SELECTORS } from './extractor.js';
+
+// Selector fallback chains (SELECTORS keys), the page they live on and whether scraping fails without them
+export const SELECTOR_GROUPS = [
+    { name: 'consentButton', page: 'home', keys: ['consentButton'], required: false },
+    { name: 'searchBox', page: 'home', keys: ['searchBox'], required: false }, // Scrapes open search URLs directly
+    { name: 'searchResultsContainer', page: 'search', keys: ['searchResultsContainer'], required: true },
+    { name: 'searchResultLink', page: 'search', keys: ['searchResultLink'], required: true },
+    { name: 'endOfList', page: 'search', keys: ['endOfList'], required: false },
+    { name: 'placeName', page: 'place', keys: ['placeName'], required: true },
+    { name: 'address', page: 'place', keys: ['placeAddress', 'addressAlt'], required: true },
+    { name: 'phone', page: 'place', keys: ['placePhone', 'phoneAlt'], required: false },
+    { name: 'website', page: 'place', keys: ['placeWebsite', 'websiteAlt'], required: false },
+    { name: 'rating', page: 'place', keys: ['rating'], required: false },
+    { name: 'reviewCount', page: 'place', keys: ['reviewCount'], required: false },
+    { name: 'category', page: 'place', keys: ['category'], required: false },
+    { name: 'priceLevel', page: 'place', keys: ['priceLevel'], required: false },
+    { name: 'plusCode', page: 'place', keys: ['plusCode'], required: false },
+    { name: 'openingHours', page: 'place', keys: ['openingHours'], required: false },
+];
+
+/**
+ * Resolve selector groups to their candidate selectors
+ * @param {Object} selectors - Selectors in the shape of SELECTORS (e.g. localized)
+ * @returns {Object[]} - Groups with a flat `selectors` list
+ */
+export function getSelectorGroups(selectors = SELECTORS) {
+    return SELECTOR_GROUPS.map(group => ({
+        ...group,
+        selectors: group.keys.flatMap(key => selectors[key]),
+    }));
+}
+
+/**
+ * Count the matches of every candidate in each group on a page
+ * @param {import('playwright').Page} page - Page to check
+ * @param {Object[]} groups - Selector groups (see getSelectorGroups)
+ * @returns {Promise<Object[]>} - { name, page, required, matched, candidates: [{ selector, count }] }
+ */
+export async function checkSelectors(page, groups) {
+    const results = [];
+    for (const group of groups) {
+        const candidates = [];
+        for (const selector of group.selectors) {
+            // page.$$ understands Playwright extensions like :has-text()
+            const count = await page.$$(selector).then(els => els.length).catch(() => 0);
+            candidates.push({ selector, count });
+        }
+        results.push({
+            name: group.name,
+            page: group.page,
+            required: group.required,
+            matched: candidates.find(c => c.count > 0)?.selector || null,
+            candidates,
+        });
+    }
+    return results;
+}
+
+/**
+ * Results for groups whose page could not be opened
+ * @param {Object[]} groups - Selector groups
+ * @returns {Object[]}
+ */
+function notChecked(groups) {
+    return groups.map(group => ({
+        name: group.name,
+        page: group.page,
+        required: group.required,
+        matched: null,
+        candidates: group.selectors.map(selector => ({ selector, count: null })),
+    }));
+}
+
+/**
+ * Run every selector check against a sample search
+ * @param {Object} options - Doctor options
+ * @param {string} options.query - Sample search term
+ * @param {string} options.location - Sample location
+ * @param {string} options.placeUrl - Place page to check (default: first search result)
+ * @param {string} options.replayFrom - Fixture directory to check instead of live Maps
+ * @param {string} options.locale - Browser locale
+ * @param {Object} options.language - Language profile for the locale
+ * @param {boolean} options.headless - Run browser in headless mode
+ * @param {Function} options.onProgress - Progress callback
+ * @returns {Promise<{ok: boolean, groups: Object[], pages: Object, errors: string[]}>}
+ */
+export async function runDoctor(options = {}) {
+    const onProgress = options.onProgress || (() => { });
+    const scraper = new GoogleMapsScraper({
+        headless: options.headless ?? true,
+        replayFrom: options.replayFrom,
+        locale: options.locale,
+        language: options.language,
+    });
+    const allGroups = getSelectorGroups(scraper.selectors);
+    const groupsOn = (name) => allGroups.filter(group => group.page === name);
+
+    const pages = { home: GOOGLE_MAPS_URL, search: null, place: null };
+    const groups = [];
+    const errors = [];
+
+    try {
+        await scraper.launch();
+        const page = await scraper.newPage();
+
+        try {
+            // Home page: consent dialog first, then the search box behind it
+            onProgress('Checking home page...');
+            await page.goto(GOOGLE_MAPS_URL, { waitUntil: 'domcontentloaded', timeout: 30000 });
+            await page.waitForTimeout(2000);
+            const [consent] = await checkSelectors(page, groupsOn('home').filter(g => g.name === 'consentButton'));
+            await scraper.acceptCookies(page);
+            const [searchBox] = await checkSelectors(page, groupsOn('home').filter(g => g.name === 'searchBox'));
+            groups.push(consent, searchBox);
+
+            // Search results, opened the way scrapes open them
+            onProgress('Checking search results...');
+            const searchUrl = scraper.buildSearchUrl(scraper.buildSearchQuery(options.query, options.location));
+            await page.goto(searchUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
+            await scraper.waitForResults(page);
+            pages.search = page.url();
+            groups.push(...await checkSelectors(page, groupsOn('search')));
+
+            // Place page: the given one or the first result
+            let placeUrl = options.placeUrl || null;
+            if (!placeUrl && pages.search) {
+                placeUrl = await page.$eval(SELECTORS.searchResultLink, el => el.href).catch(() => null);
+            }
+            if (placeUrl) {
+                onProgress('Checking place page...');
+                await page.goto(placeUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
+                await page.waitForSelector(SELECTORS.placeName, { timeout: 5000 }).catch(() => { });
+                await page.waitForTimeout(1500);
+                pages.place = page.url();
+                groups.push(...await checkSelectors(page, groupsOn('place')));
+            } else {
+                errors.push('No place link found, place page not checked (pass one with --place)');
+                groups.push(...notChecked(groupsOn('place')));
+            }
+        } finally {
+            await page.close();
+        }
+    } catch (error) {
+        errors.push(error.message.split('\n')[0]);
+        const checked = new Set(groups.map(g => g.name));
+        groups.push(...notChecked(allGroups.filter(g => !checked.has(g.name))));
+    } finally {
+        await scraper.close();
+    }
+
+    return {
+        ok: errors.length === 0 && groups.every(g => !g.required || g.matched),
+        groups,
+        pages,
+        errors,
+    };
+}
+
+export default { runDoctor, checkSelectors, getSelectorGroups, SELECTOR_GROUPS };
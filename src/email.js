@@ -0,0 +1,185 @@
+/**
+ * Email Scoring Module
+ * Scores how likely a found email address belongs to a given business
+ */
+
+import { extractEmails } from './extractor.js';
+
+// Free mail providers: an address there says nothing about who owns it
+const FREEMAIL_DOMAINS = [
+    'gmail.com', 'googlemail.com', 'hotmail.com', 'hotmail.es', 'hotmail.co.uk', 'hotmail.fr',
+    'outlook.com', 'outlook.es', 'live.com', 'msn.com', 'yahoo.com', 'yahoo.es', 'yahoo.co.uk',
+    'yahoo.fr', 'icloud.com', 'me.com', 'aol.com', 'protonmail.com', 'proton.me', 'gmx.com',
+    'gmx.de', 'gmx.net', 'web.de', 't-online.de', 'orange.fr', 'free.fr', 'wanadoo.fr',
+    'laposte.net', 'libero.it', 'virgilio.it', 'sapo.pt', 'yandex.com', 'mail.ru', 'telefonica.net',
+];
+
+// Local parts of shared business mailboxes
+const ROLE_LOCAL_PARTS = [
+    'info', 'contact', 'contacto', 'contato', 'hello', 'hola', 'hi', 'admin', 'office', 'oficina',
+    'reservas', 'reservations', 'reserve', 'booking', 'bookings', 'events', 'eventos', 'sales',
+    'ventas', 'orders', 'pedidos', 'enquiries', 'inquiries', 'mail', 'email', 'bonjour', 'kontakt',
+];
+
+// Words too common in business names to say anything about a match
+const NAME_STOPWORDS = [
+    'the', 'and', 'los', 'las', 'del', 'les', 'und', 'der', 'die', 'das', 'dos', 'des',
+    'bar', 'bars', 'cafe', 'cafeteria', 'restaurant', 'restaurante', 'ristorante', 'pub',
+    'taberna', 'tavern', 'bistro', 'pizzeria', 'hotel', 'shop', 'tienda', 'store',
+];
+
+// Signal weights, summing to 1
+const WEIGHTS = {
+    nameOverlap: 0.45, // Scaled by the share of name tokens found
+    sameSnippet: 0.25,
+    customDomain: 0.15,
+    roleAddress: 0.1,
+    repeated: 0.05,
+};
+
+/**
+ * Lowercase, strip accents and split into words
+ * @param {string} text - Text to tokenize
+ * @returns {string[]}
+ */
+function tokenize(text) {
+    return (text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean);
+}
+
+/**
+ * Significant words of a business name
+ * @param {string} name - Business name
+ * @returns {string[]}
+ */
+function nameTokens(name) {
+    const tokens = tokenize(name).filter(t => t.length >= 3);
+    const significant = tokens.filter(t => !NAME_STOPWORDS.includes(t));
+    // Names made only of common words ("Bar Dos") still have to match as a whole
+    return [...new Set(significant.length > 0 ? significant : tokens)];
+}
+
+/**
+ * Check whether an address is at a free mail provider
+ * @param {string} email - Email address
+ * @returns {boolean}
+ */
+export function isFreemail(email) {
+    const domain = email.split('@')[1]?.toLowerCase() || '';
+    return FREEMAIL_DOMAINS.includes(domain);
+}
+
+/**
+ * Check whether an address is a shared role mailbox (info@, reservas@, ...)
+ * @param {string} email - Email address
+ * @returns {boolean}
+ */
+export function isRoleAddress(email) {
+    const local = email.split('@')[0].toLowerCase();
+    return ROLE_LOCAL_PARTS.some(role => local === role || local.startsWith(`${role}.`) || local.startsWith(`${role}-`));
+}
+
+/**
+ * Share of business name tokens found in the email's local part or domain
+ * @param {string} businessName - Business name
+ * @param {string} email - Email address
+ * @returns {number} - 0 to 1
+ */
+export function nameOverlap(businessName, email) {
+    const tokens = nameTokens(businessName);
+    if (tokens.length === 0) return 0;
+
+    const [local, domain = ''] = email.toLowerCase().split('@');
+    // Ignore the TLD and free mail provider names, they never identify the business
+    const domainName = isFreemail(email) ? '' : domain.split('.').slice(0, -1).join('.');
+    const haystack = tokenize(`${local} ${domainName}`).join('');
+
+    const matched = tokens.filter(token => haystack.includes(token));
+    return matched.length / tokens.length;
+}
+
+/**
+ * Score email candidates found in search results for a business
+ * @param {string} businessName - Business name
+ * @param {Object[]} snippets - Search results: { text, url } (text of one result)
+ * @param {Object} options - Scoring options
+ * @param {string} options.source - Source label stored with each candidate (e.g. "duckduckgo")
+ * @returns {Object[]} - Candidates { email, confidence, source, url, signals }, best first
+ */
+export function scoreEmailCandidates(businessName, snippets, options = {}) {
+    const { source = 'search' } = options;
+    const tokens = nameTokens(businessName);
+    const candidates = new Map();
+
+    for (const snippet of snippets) {
+        const text = snippet.text || '';
+        const matches = extractEmails(text);
+        if (matches.length === 0) continue;
+
+        // The snippet talks about this business if it mentions most of its name
+        const snippetWords = tokenize(text);
+        const mentioned = tokens.filter(t => snippetWords.includes(t)).length;
+        const mentionsName = tokens.length > 0 && mentioned / tokens.length >= 0.5;
+
+        for (const match of new Set(matches.map(m => m.toLowerCase()))) {
+            const existing = candidates.get(match);
+            if (existing) {
+                existing.occurrences++;
+                existing.sameSnippet = existing.sameSnippet || mentionsName;
+            } else {
+                candidates.set(match, { email: match, url: snippet.url || null, occurrences: 1, sameSnippet: mentionsName });
+            }
+        }
+    }
+
+    return [...candidates.values()]
+        .map(candidate => scoreEmail(businessName, candidate.email, {
+            sameSnippet: candidate.sameSnippet,
+            occurrences: candidate.occurrences,
+            source,
+            url: candidate.url,
+        }))
+        .sort((a, b) => b.confidence - a.confidence);
+}
+
+/**
+ * Score a single email address
+ * @param {string} businessName - Business name
+ * @param {string} email - Email address
+ * @param {Object} context - Where it was found
+ * @param {boolean} context.sameSnippet - Found next to the business name
+ * @param {number} context.occurrences - Number of results it appeared in
+ * @param {string} context.source - Source label
+ * @param {string|null} context.url - Page it was found on
+ * @returns {Object} - { email, confidence, source, url, signals }
+ */
+export function scoreEmail(businessName, email, context = {}) {
+    const signals = {
+        nameOverlap: Math.round(nameOverlap(businessName, email) * 100) / 100,
+        sameSnippet: Boolean(context.sameSnippet),
+        customDomain: !isFreemail(email),
+        roleAddress: isRoleAddress(email),
+        repeated: (context.occurrences || 1) > 1,
+    };
+
+    let confidence = WEIGHTS.nameOverlap * signals.nameOverlap;
+    if (signals.sameSnippet) confidence += WEIGHTS.sameSnippet;
+    // A custom domain only vouches for the business if something else ties it to the name
+    if (signals.customDomain && (signals.nameOverlap > 0 || signals.sameSnippet)) confidence += WEIGHTS.customDomain;
+    if (signals.roleAddress) confidence += WEIGHTS.roleAddress;
+    if (signals.repeated) confidence += WEIGHTS.repeated;
+
+    return {
+        email: email.toLowerCase(),
+        confidence: Math.round(Math.min(confidence, 1) * 100) / 100,
+        source: context.source || 'search',
+        url: context.url || null,
+        signals,
+    };
+}
+
+export default { scoreEmailCandidates, scoreEmail, nameOverlap, isFreemail, isRoleAddress };
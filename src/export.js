@@ -0,0 +1,202 @@
+/**
+ * Export Module
+ * Converts a results file into JSON, CSV, NDJSON, GeoJSON or vCard
+ */
+
+import { createResultsObject } from './storage.js';
+
+export const EXPORT_FORMATS = ['json', 'csv', 'ndjson', 'geojson', 'vcard'];
+
+export const DEFAULT_CSV_COLUMNS = ['name', 'phone', 'emails', 'address', 'placeId'];
+
+// File extension used when no output filename is given
+export const FORMAT_EXTENSIONS = {
+    json: 'json',
+    csv: 'csv',
+    ndjson: 'ndjson',
+    geojson: 'geojson',
+    vcard: 'vcf',
+};
+
+/**
+ * Read a (possibly nested) field from a result, e.g. "coordinates.lat"
+ * @param {Object} result - Result item
+ * @param {string} path - Dot-separated field path
+ * @returns {*}
+ */
+function getField(result, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), result);
+}
+
+/**
+ * Get the coordinates of a result, if it has any
+ * @param {Object} result - Result item
+ * @returns {{lat: number, lng: number}|null}
+ */
+function getCoordinates(result) {
+    const lat = result.coordinates?.lat;
+    const lng = result.coordinates?.lng;
+    if (typeof lat !== 'number' || typeof lng !== 'number') return null;
+    return { lat, lng };
+}
+
+/**
+ * Filter results before export
+ * @param {Object[]} results - Result items
+ * @param {Object} filters - Filters to apply
+ * @param {boolean} filters.hasPhone - Keep only results with a phone number
+ * @param {boolean} filters.hasEmail - Keep only results with at least one email
+ * @param {string} filters.location - Keep only results whose address contains this text
+ * @returns {Object[]} - Filtered results
+ */
+export function filterResults(results, filters = {}) {
+    const location = filters.location?.toLowerCase();
+
+    return results.filter(result => {
+        if (filters.hasPhone && !(result.phone || result.phoneDisplay)) return false;
+        if (filters.hasEmail && !(result.emails && result.emails.length > 0)) return false;
+        if (location && !(result.address || '').toLowerCase().includes(location)) return false;
+        return true;
+    });
+}
+
+/**
+ * Convert results to the classic results JSON (same shape as createResultsObject)
+ * @param {Object[]} results - Result items
+ * @param {Object} metadata - Query and location of the source file
+ * @returns {string}
+ */
+export function toJson(results, metadata = {}) {
+    const data = createResultsObject(metadata.query ?? '', metadata.location ?? '', results);
+    return JSON.stringify(data, null, 2);
+}
+
+/**
+ * Escape a value for a CSV cell (RFC 4180)
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+function csvCell(value) {
+    if (value == null) return '';
+    const text = Array.isArray(value)
+        ? value.join('; ')
+        : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Convert results to CSV
+ * @param {Object[]} results - Result items
+ * @param {string[]} columns - Field paths to include, in order
+ * @returns {string}
+ */
+export function toCsv(results, columns = DEFAULT_CSV_COLUMNS) {
+    const lines = [columns.map(csvCell).join(',')];
+    for (const result of results) {
+        lines.push(columns.map(column => csvCell(getField(result, column))).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Convert results to newline-delimited JSON (one result per line)
+ * @param {Object[]} results - Result items
+ * @returns {string}
+ */
+export function toNdjson(results) {
+    return results.map(result => JSON.stringify(result) + '\n').join('');
+}
+
+/**
+ * Convert results to a GeoJSON FeatureCollection.
+ * Results without coordinates are left out.
+ * @param {Object[]} results - Result items
+ * @returns {string}
+ */
+export function toGeoJson(results) {
+    const features = [];
+    for (const result of results) {
+        const coordinates = getCoordinates(result);
+        if (!coordinates) continue;
+
+        const { coordinates: _, ...properties } = result;
+        features.push({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [coordinates.lng, coordinates.lat] },
+            properties,
+        });
+    }
+    return JSON.stringify({ type: 'FeatureCollection', features }, null, 2) + '\n';
+}
+
+/**
+ * Escape a value for a vCard property (RFC 2426)
+ * @param {string} value - Property value
+ * @returns {string}
+ */
+function vcardText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/\r?\n/g, '\\n')
+        .replace(/,/g, '\\,')
+        .replace(/;/g, '\\;');
+}
+
+/**
+ * Convert results to a vCard 3.0 bundle for phone/contacts import
+ * @param {Object[]} results - Result items
+ * @returns {string}
+ */
+export function toVcard(results) {
+    const cards = results.filter(result => result.name).map(result => {
+        const lines = [
+            'BEGIN:VCARD',
+            'VERSION:3.0',
+            `FN:${vcardText(result.name)}`,
+            `ORG:${vcardText(result.name)}`,
+        ];
+        if (result.phone || result.phoneDisplay) {
+            lines.push(`TEL;TYPE=WORK,VOICE:${vcardText(result.phone || result.phoneDisplay)}`);
+        }
+        for (const email of result.emails || []) {
+            lines.push(`EMAIL;TYPE=INTERNET,WORK:${vcardText(email)}`);
+        }
+        if (result.address) {
+            // Structured address with everything in the street field
+            lines.push(`ADR;TYPE=WORK:;;${vcardText(result.address)};;;;`);
+        }
+        const coordinates = getCoordinates(result);
+        if (coordinates) {
+            lines.push(`GEO:${coordinates.lat};${coordinates.lng}`);
+        }
+        lines.push('END:VCARD');
+        return lines.join('\r\n');
+    });
+    return cards.length > 0 ? cards.join('\r\n') + '\r\n' : '';
+}
+
+/**
+ * Convert results to the requested export format
+ * @param {Object[]} results - Result items (already filtered)
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {Object} options - Format options
+ * @param {string[]} options.columns - CSV columns
+ * @param {Object} options.metadata - Results file metadata kept in JSON exports (query, location)
+ * @returns {{content: string, count: number}} - File content and number of records written
+ */
+export function exportResults(results, format, options = {}) {
+    switch (format) {
+        case 'json':
+            return { content: toJson(results, options.metadata), count: results.length };
+        case 'csv':
+            return { content: toCsv(results, options.columns), count: results.length };
+        case 'ndjson':
+            return { content: toNdjson(results), count: results.length };
+        case 'geojson':
+            return { content: toGeoJson(results), count: results.filter(getCoordinates).length };
+        case 'vcard':
+            return { content: toVcard(results), count: results.filter(r => r.name).length };
+        default:
+            throw new Error(`Unknown export format "${format}" (expected one of: ${EXPORT_FORMATS.join(', ')})`);
+    }
+}
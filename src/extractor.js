@@ -3,8 +3,26 @@
  * Extracts contact information and business details from Google Maps place pages
  */
 
+import { inferCountry, normalizePhone, findPhone } from './phone.js';
+import { classifyWebsite, unwrapUrl, DEFAULT_WEBSITE_DOMAINS } from './website.js';
+import { DEFAULT_LANGUAGE } from './language.js';
+
 // CSS Selectors for Google Maps elements (may need updates if Google changes their UI)
 export const SELECTORS = {
+    // Consent dialog buttons, first match is clicked.
+    // Text and label selectors come from the language pack, see getLocalizedSelectors
+    consentButton: [
+        'form[action*="consent"] button',
+    ],
+
+    // Maps search box (plus aria-labels from the language pack)
+    searchBox: [
+        'input#searchboxinput',
+        'input[name="q"]',
+        '#searchbox input',
+        'input.searchboxinput',
+    ],
+
     // Search results - multiple fallback selectors
     searchResultsContainer: [
         'div[role="feed"]',
@@ -14,6 +32,7 @@ export const SELECTORS = {
     ],
     searchResultItem: 'div[role="feed"] > div > div[jsaction]',
     searchResultLink: 'a[href*="/maps/place/"]',
+    endOfList: 'span.HlvSq',
 
     // Place details panel
     placeName: 'h1',
@@ -25,8 +44,59 @@ export const SELECTORS = {
     phoneAlt: '[data-tooltip="Copy phone number"]',
     websiteAlt: '[data-tooltip="Open website"]',
     addressAlt: '[data-tooltip="Copy address"]',
+
+    // Lead scoring fields - fallback lists, first match wins
+    rating: [
+        'div.F7nice span[aria-hidden="true"]',
+        'span[role="img"][aria-label*="star"]',
+    ],
+    reviewCount: [
+        'div.F7nice span[aria-label*="review"]',
+        'span[aria-label*="reviews"]',
+        'button[jsaction*="reviewChart"]',
+    ],
+    category: [
+        'button[jsaction*="category"]',
+        'span.DkEaL',
+    ],
+    priceLevel: [
+        'span.mgr77e span', // After the language pack's aria-labels
+    ],
+    plusCode: [
+        'button[data-item-id="oloc"]',
+        '[data-tooltip="Copy plus code"]',
+    ],
+    openingHours: [
+        'table.eK4R0e',
+        'div.t39EBf table',
+        'div[aria-label*="hours"] table',
+    ],
 };
 
+/**
+ * SELECTORS with the text and aria-label selectors of a language added
+ * @param {Object} language - Language profile (see language.js)
+ * @returns {Object} - Selectors in the same shape as SELECTORS
+ */
+export function getLocalizedSelectors(language = DEFAULT_LANGUAGE) {
+    return {
+        ...SELECTORS,
+        consentButton: [
+            ...language.consentButtons.map(text => `button:has-text(${JSON.stringify(text)})`),
+            ...SELECTORS.consentButton,
+            ...language.consentButtons.map(text => `[aria-label*=${JSON.stringify(text)}]`),
+        ],
+        searchBox: [
+            ...SELECTORS.searchBox,
+            ...language.searchBoxLabels.map(label => `input[aria-label*=${JSON.stringify(label)}]`),
+        ],
+        priceLevel: [
+            ...language.priceLabels.map(label => `span[aria-label^=${JSON.stringify(label)}]`),
+            ...SELECTORS.priceLevel,
+        ],
+    };
+}
+
 // Phone number regex patterns for various formats
 const PHONE_PATTERNS = [
     /\+?\d{1,4}[-.\s]?\(?\d{1,4}\)?[-.\s]?\d{1,4}[-.\s]?\d{1,9}/g,
@@ -37,6 +107,14 @@ const PHONE_PATTERNS = [
 // Email regex pattern
 const EMAIL_PATTERN = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
 
+// Addresses at these domains are page furniture (platforms, search engines, placeholders), not contacts
+const EXCLUDED_EMAIL_DOMAINS = [
+    'example.com', 'google.com', 'gstatic.com', 'googleapis.com', 'schema.org', 'w3.org',
+    'duckduckgo.com', 'bing.com', 'microsoft.com', 'apple.com', 'amazon.com',
+    'facebook.com', 'twitter.com', 'instagram.com', 'linkedin.com', 'youtube.com',
+    'whatsapp.com', 'tripadvisor.com', 'sentry.io', 'wixpress.com',
+];
+
 /**
  * Extract phone number from text
  * @param {string} text - Text to search for phone numbers
@@ -73,42 +151,188 @@ export function extractEmails(text) {
 
     // Filter out common false positives
     const filtered = matches.filter(email => {
-        const lower = email.toLowerCase();
-        // Exclude common non-business emails
-        if (lower.includes('example.com')) return false;
-        if (lower.includes('google.com')) return false;
-        if (lower.includes('gstatic.com')) return false;
-        if (lower.includes('googleapis.com')) return false;
-        return true;
+        const domain = email.split('@')[1].toLowerCase();
+        return !EXCLUDED_EMAIL_DOMAINS.some(excluded => domain === excluded || domain.endsWith(`.${excluded}`));
     });
 
     // Return unique emails
     return [...new Set(filtered)];
 }
 
+/**
+ * Parse the place ID from a Google Maps place URL or link
+ * @param {string} url - Place URL (absolute or relative)
+ * @returns {string|null} - Place ID or null if the URL has none
+ */
+export function parsePlaceId(url) {
+    const match = url?.match(/place\/([^/]+)/);
+    if (!match) return null;
+    try {
+        return decodeURIComponent(match[1]).split('/')[0];
+    } catch {
+        return match[1];
+    }
+}
+
+/**
+ * Parse Google's feature ID ("0x...:0x...") from the data part of a place link.
+ * Unlike the name in the path it tells apart places with the same name.
+ * @param {string} url - Place URL (absolute or relative)
+ * @returns {string|null} - Feature ID or null if the link has none
+ */
+export function parseFeatureId(url) {
+    return url?.match(/!1s(0x[0-9a-f]+:0x[0-9a-f]+)/i)?.[1].toLowerCase() || null;
+}
+
+/**
+ * Parse the map viewport (center and zoom) from a Google Maps URL
+ * @param {string} url - Maps URL containing "/@lat,lng,zoomz"
+ * @returns {{lat: number, lng: number, zoom: number}|null} - Viewport or null if absent
+ */
+export function parseViewport(url) {
+    const match = url?.match(/\/@(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?),(\d+(?:\.\d+)?)z/);
+    if (!match) return null;
+    return {
+        lat: parseFloat(match[1]),
+        lng: parseFloat(match[2]),
+        zoom: Math.floor(parseFloat(match[3])),
+    };
+}
+
+/**
+ * Remove icon glyphs (private use area characters) Maps puts before button text
+ * @param {string|null} text - Raw element text
+ * @returns {string|null}
+ */
+function cleanText(text) {
+    const cleaned = text?.replace(/[\uE000-\uF8FF]/g, '').replace(/\s+/g, ' ').trim();
+    return cleaned || null;
+}
+
+/**
+ * Parse a star rating ("4.5", "4,5 stars")
+ * @param {string|null} text - Rating text or aria-label
+ * @returns {number|null} - Rating between 0 and 5
+ */
+export function parseRating(text) {
+    const match = text?.match(/\d+(?:[.,]\d+)?/);
+    if (!match) return null;
+    const rating = parseFloat(match[0].replace(',', '.'));
+    return rating >= 0 && rating <= 5 ? rating : null;
+}
+
+/**
+ * Parse a review count ("(1,234)", "1.234 reviews", "1.2K")
+ * @param {string|null} text - Review count text or aria-label
+ * @returns {number|null}
+ */
+export function parseReviewCount(text) {
+    const match = text?.match(/(\d[\d.,\s]*)\s*(?:([KkMm])\b)?/);
+    if (!match) return null;
+    if (match[2]) {
+        const multiplier = match[2].toLowerCase() === 'k' ? 1e3 : 1e6;
+        return Math.round(parseFloat(match[1].replace(',', '.')) * multiplier);
+    }
+    const count = parseInt(match[1].replace(/\D/g, ''), 10);
+    return Number.isNaN(count) ? null : count;
+}
+
+/**
+ * Parse a price level ("€€", "Price: Moderate") into 1-4
+ * @param {string|null} text - Price text or aria-label
+ * @param {Object} priceLevels - Lowercase price descriptions -> level, from the language pack
+ * @returns {number|null}
+ */
+export function parsePriceLevel(text, priceLevels = DEFAULT_LANGUAGE.priceLevels) {
+    if (!text) return null;
+    const lower = text.toLowerCase();
+    // Longest descriptions first, so "very expensive" wins over "expensive"
+    const words = Object.keys(priceLevels).sort((a, b) => b.length - a.length);
+    const word = words.find(w => lower.includes(w));
+    if (word) return priceLevels[word];
+
+    const symbols = text.match(/[€$£¥₹]/g);
+    // Price ranges like "€10–20" contain digits and aren't a level
+    if (symbols && !/\d/.test(text)) {
+        return Math.min(symbols.length, 4);
+    }
+    return null;
+}
+
+/**
+ * Parse place coordinates from a Maps place URL.
+ * Prefers the pin position ("!3d<lat>!4d<lng>") over the viewport center.
+ * @param {string} url - Place URL
+ * @returns {{lat: number, lng: number}|null}
+ */
+export function parseCoordinates(url) {
+    const match = url?.match(/!3d(-?\d+(?:\.\d+)?)!4d(-?\d+(?:\.\d+)?)/);
+    if (match) {
+        return { lat: parseFloat(match[1]), lng: parseFloat(match[2]) };
+    }
+    const viewport = parseViewport(url);
+    return viewport ? { lat: viewport.lat, lng: viewport.lng } : null;
+}
+
+/**
+ * Turn opening hours table rows into a day -> hours map
+ * @param {string[][]} rows - [day, hours] cell texts
+ * @returns {Object|null} - e.g. { Monday: "9 AM–5 PM", Sunday: "Closed" }
+ */
+export function parseOpeningHours(rows) {
+    const hours = {};
+    for (const [day, time] of rows || []) {
+        const dayText = cleanText(day);
+        const timeText = cleanText(time);
+        if (dayText && timeText) {
+            hours[dayText] = timeText;
+        }
+    }
+    return Object.keys(hours).length > 0 ? hours : null;
+}
+
 /**
  * Extract place details from a Google Maps page
  * @param {import('playwright').Page} page - Playwright page object
+ * @param {Object} options - Extraction options
+ * @param {string} options.defaultCountry - Country for phone numbers when the address doesn't name one
+ * @param {Object} options.websiteDomains - Domain lists used to classify the website link
+ * @param {Object} options.language - Language profile for closed-business phrases and labels
  * @returns {Promise<Object>} - Extracted place details
  */
-export async function extractPlaceDetails(page) {
+export async function extractPlaceDetails(page, options = {}) {
+    const language = options.language || DEFAULT_LANGUAGE;
+    const selectors = getLocalizedSelectors(language);
     const details = {
         name: null,
         address: null,
-        phone: null,
+        phone: null, // E.164, e.g. "+34912345678"
+        phoneDisplay: null,
+        phoneType: null,
         emails: [],
-        hasWebsite: false,
+        emailCandidates: [], // Scored emails incl. those below the confidence threshold, set by the scraper
+        hasWebsite: false, // Any website link at all, see websiteType
+        website: null,
+        websiteType: 'none', // none | own | social | aggregator | menu
         placeId: null,
+        featureId: null, // Maps feature ID "0x...:0x...", tells same-name places apart
+        mapsUrl: null, // Place page the details were read from
         isActive: true, // Assume active unless we find evidence otherwise
+        rating: null,
+        reviewCount: null,
+        category: null,
+        priceLevel: null, // 1 (cheap) - 4 (very expensive)
+        plusCode: null,
+        coordinates: null, // { lat, lng }
+        openingHours: null, // { Monday: "9 AM–5 PM", ... }
     };
 
     try {
-        // Extract place ID from URL
-        const url = page.url();
-        const placeIdMatch = url.match(/place\/([^/]+)/);
-        if (placeIdMatch) {
-            details.placeId = decodeURIComponent(placeIdMatch[1]).split('/')[0];
-        }
+        // Extract place ID and coordinates from URL
+        details.placeId = parsePlaceId(page.url());
+        details.featureId = parseFeatureId(page.url());
+        details.mapsUrl = page.url();
+        details.coordinates = parseCoordinates(page.url());
 
         // Wait for the place panel to load
         await page.waitForSelector('h1', { timeout: 5000 }).catch(() => { });
@@ -122,53 +346,101 @@ export async function extractPlaceDetails(page) {
 
         // Check if business is closed/inactive
         const pageText = await page.evaluate(() => document.body.textContent);
-        const closedIndicators = [
-            'permanently closed',
-            'cerrado permanentemente',
-            'temporarily closed',
-            'cerrado temporalmente',
-            'business has closed',
-            'no longer in business',
-            'this place is closed',
-        ];
         const lowerPageText = pageText.toLowerCase();
-        for (const indicator of closedIndicators) {
+        for (const indicator of language.closedPhrases) {
             if (lowerPageText.includes(indicator)) {
                 details.isActive = false;
                 break;
             }
         }
 
+        // Extract address
+        const addressEl = await page.$(SELECTORS.placeAddress) || await page.$(SELECTORS.addressAlt);
+        if (addressEl) {
+            details.address = cleanText(await addressEl.textContent());
+        }
+
+        // Phone numbers are validated for the address' country, or the searched one
+        const country = inferCountry(details.address) || options.defaultCountry || null;
+
         // Extract phone - try multiple selectors
+        let phone = null;
         const phoneEl = await page.$(SELECTORS.placePhone) || await page.$(SELECTORS.phoneAlt);
         if (phoneEl) {
-            const phoneText = await phoneEl.textContent();
-            details.phone = extractPhone(phoneText);
+            const phoneText = extractPhone(await phoneEl.textContent());
+            phone = normalizePhone(phoneText, country);
+            // The phone button is reliable, show its number even if we can't validate it,
+            // but only E.164 numbers go into phone
+            if (!phone && phoneText) {
+                phone = { phone: null, phoneDisplay: phoneText, phoneType: 'unknown' };
+            }
         }
 
-        // If no phone found via button, try looking in the entire panel
-        if (!details.phone) {
+        // If no phone found via button, try looking in the entire panel (valid numbers only)
+        if (!phone) {
             const panelText = await page.evaluate(() => {
                 const panel = document.querySelector('[role="main"]');
                 return panel ? panel.textContent : '';
             });
-            details.phone = extractPhone(panelText);
+            phone = findPhone(panelText, country);
         }
 
-        // Extract address
-        const addressEl = await page.$(SELECTORS.placeAddress) || await page.$(SELECTORS.addressAlt);
-        if (addressEl) {
-            const addressText = await addressEl.textContent();
-            details.address = addressText?.trim() || null;
+        if (phone) {
+            Object.assign(details, phone);
         }
 
-        // Check for website
+        // Check for website, and what kind of site it actually is
         const websiteEl = await page.$(SELECTORS.placeWebsite) || await page.$(SELECTORS.websiteAlt);
         details.hasWebsite = websiteEl !== null;
+        if (websiteEl) {
+            details.website = unwrapUrl(await websiteEl.getAttribute('href'));
+            details.websiteType = details.website
+                ? classifyWebsite(details.website, options.websiteDomains || DEFAULT_WEBSITE_DOMAINS)
+                : 'own';
+        }
 
         // Try to extract emails from the page content
         details.emails = extractEmails(pageText);
 
+        // Lead scoring fields
+        const raw = await page.evaluate((selectors) => {
+            const first = (list) => {
+                for (const selector of list) {
+                    const el = document.querySelector(selector);
+                    if (el) return el;
+                }
+                return null;
+            };
+            const labelOrText = (el) => el ? (el.getAttribute('aria-label') || el.textContent) : null;
+
+            const hoursTable = first(selectors.openingHours);
+            return {
+                rating: labelOrText(first(selectors.rating)),
+                reviewCount: labelOrText(first(selectors.reviewCount)),
+                category: first(selectors.category)?.textContent ?? null,
+                priceLevel: labelOrText(first(selectors.priceLevel)),
+                plusCode: first(selectors.plusCode)?.textContent ?? null,
+                hours: hoursTable
+                    ? [...hoursTable.querySelectorAll('tr')].map(row =>
+                        [...row.querySelectorAll('td, th')].map(cell => cell.getAttribute('aria-label') || cell.textContent))
+                    : [],
+            };
+        }, {
+            rating: SELECTORS.rating,
+            reviewCount: SELECTORS.reviewCount,
+            category: SELECTORS.category,
+            priceLevel: selectors.priceLevel,
+            plusCode: SELECTORS.plusCode,
+            openingHours: SELECTORS.openingHours,
+        });
+
+        details.rating = parseRating(raw.rating);
+        details.reviewCount = parseReviewCount(raw.reviewCount);
+        details.category = cleanText(raw.category);
+        details.priceLevel = parsePriceLevel(raw.priceLevel, language.priceLevels);
+        details.plusCode = cleanText(raw.plusCode);
+        details.openingHours = parseOpeningHours(raw.hours);
+
     } catch (error) {
         console.error('Error extracting place details:', error.message);
     }
@@ -196,3 +468,19 @@ export async function extractPlaceLinks(page) {
 
     return links;
 }
+
+/**
+ * Check whether the results list shows its end-of-list marker
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {string} containerSelector - Selector of the scrollable results list
+ * @param {string[]} phrases - Lowercase end-of-list texts, from the language pack
+ * @returns {Promise<boolean>} - True if Maps says there are no more results
+ */
+export async function hasReachedEndOfList(page, containerSelector, phrases = DEFAULT_LANGUAGE.endOfListPhrases) {
+    return page.evaluate(({ containerSelector, markerSelector, phrases }) => {
+        if (document.querySelector(markerSelector)) return true;
+        const container = document.querySelector(containerSelector);
+        const text = (container?.textContent || '').toLowerCase();
+        return phrases.some(phrase => text.includes(phrase));
+    }, { containerSelector, markerSelector: SELECTORS.endOfList, phrases });
+}
@@ -0,0 +1,332 @@
+/**
+ * Identity Module
+ * Decides when two results are the same place (Maps feature ID, else name plus
+ * address/phone, with fuzzy matching for near-duplicates) and merges sightings
+ */
+
+// Street-type words shortened so "Calle Mayor 5" and "C. Mayor, 5" compare equal
+const ADDRESS_ABBREVIATIONS = {
+    street: 'st', avenue: 'ave', road: 'rd', boulevard: 'blvd', drive: 'dr', lane: 'ln', square: 'sq',
+    calle: 'c', carrer: 'c', avenida: 'av', avinguda: 'av', plaza: 'pl', placa: 'pl', paseo: 'p', passeig: 'p',
+    rue: 'r', strasse: 'str', platz: 'pl', via: 'v', viale: 'v', piazza: 'p', rua: 'r', praca: 'pr',
+};
+
+// Names at least this similar (0-1) count as the same when a location signal agrees
+const NAME_SIMILARITY = 0.8;
+// Addresses at least this similar count as the same, below DIFFERENT_ADDRESS as different
+const ADDRESS_SIMILARITY = 0.9;
+const DIFFERENT_ADDRESS = 0.6;
+// Coordinates closer than this (km) are the same spot, further than FAR_KM different places
+const NEAR_KM = 0.05;
+const FAR_KM = 0.2;
+
+/**
+ * Lowercase, strip accents and punctuation, collapse whitespace
+ * @param {string|null} text - Text to normalize
+ * @returns {string} - e.g. "Café & Bar Manolo's" -> "cafe and bar manolo s"
+ */
+export function normalizeText(text) {
+    return (text || '')
+        .toLowerCase()
+        .replace(/ß/g, 'ss')
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '')
+        .replace(/&/g, ' and ')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+/**
+ * Normalize a place name for comparison
+ * @param {string|null} name - Place name
+ * @returns {string|null}
+ */
+export function normalizeName(name) {
+    return normalizeText(name) || null;
+}
+
+/**
+ * Normalize an address for comparison (street types abbreviated)
+ * @param {string|null} address - Address as shown on Maps
+ * @returns {string|null}
+ */
+export function normalizeAddress(address) {
+    const text = normalizeText(address);
+    if (!text) return null;
+    return text.split(' ').map(word => ADDRESS_ABBREVIATIONS[word] || word).join(' ');
+}
+
+/**
+ * Digits of a phone number, for comparison
+ * @param {string|null} phone - E.164 or displayed number
+ * @returns {string|null} - null for numbers too short to identify a place
+ */
+export function phoneDigits(phone) {
+    const digits = (phone || '').replace(/\D/g, '');
+    return digits.length >= 6 ? digits : null;
+}
+
+/**
+ * Similarity of two strings (Dice coefficient of character bigrams)
+ * @param {string} a - First normalized string
+ * @param {string} b - Second normalized string
+ * @returns {number} - 0 (nothing in common) to 1 (equal)
+ */
+export function similarity(a, b) {
+    if (a === b) return 1;
+    const bigrams = (text) => {
+        const compact = text.replace(/ /g, '');
+        const counts = new Map();
+        for (let i = 0; i < compact.length - 1; i++) {
+            const bigram = compact.slice(i, i + 2);
+            counts.set(bigram, (counts.get(bigram) || 0) + 1);
+        }
+        return counts;
+    };
+    const first = bigrams(a);
+    const second = bigrams(b);
+    let total = 0;
+    let common = 0;
+    first.forEach(count => { total += count; });
+    second.forEach((count, bigram) => {
+        total += count;
+        common += Math.min(count, first.get(bigram) || 0);
+    });
+    return total === 0 ? 0 : (2 * common) / total;
+}
+
+/**
+ * Similarity of two place names; a name whose words all appear in the
+ * other ("Bar Manolo" / "Bar Manolo Madrid") counts as similar
+ * @param {string} a - First normalized name
+ * @param {string} b - Second normalized name
+ * @returns {number} - 0 to 1
+ */
+function nameSimilarity(a, b) {
+    const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+    const words = new Set(longer.split(' '));
+    if (shorter.split(' ').every(word => words.has(word))) return Math.max(NAME_SIMILARITY, similarity(a, b));
+    return similarity(a, b);
+}
+
+/**
+ * Distance between two points (equirectangular, accurate at place scale)
+ * @param {{lat: number, lng: number}} a - First point
+ * @param {{lat: number, lng: number}} b - Second point
+ * @returns {number} - Kilometres
+ */
+function distanceKm(a, b) {
+    const x = (b.lng - a.lng) * Math.cos(((a.lat + b.lat) / 2) * Math.PI / 180);
+    const y = b.lat - a.lat;
+    return Math.sqrt(x * x + y * y) * 111.32;
+}
+
+/**
+ * Primary identity key of a result: its Maps feature ID, else its normalized
+ * name plus address, else name plus phone, else the name alone
+ * @param {Object} result - Result item
+ * @returns {string|null} - e.g. "fid:0x0:0x1", "na:bar manolo|c mayor 5 madrid"
+ */
+export function placeIdentity(result) {
+    if (result.featureId) return `fid:${result.featureId}`;
+    const name = normalizeName(result.name);
+    if (!name) return null;
+    const address = normalizeAddress(result.address);
+    if (address) return `na:${name}|${address}`;
+    const phone = phoneDigits(result.phone);
+    if (phone) return `np:${name}|${phone}`;
+    return `name:${name}`;
+}
+
+/**
+ * Decide whether two results are sightings of the same place.
+ * Different feature IDs are always different places. Otherwise the names must
+ * be (nearly) the same and the best location signal both have must agree:
+ * coordinates, then address, then phone. Results without a comparable
+ * location signal match on an exactly equal name only.
+ * @param {Object} a - First result
+ * @param {Object} b - Second result
+ * @returns {boolean}
+ */
+export function samePlace(a, b) {
+    if (a.featureId && b.featureId) return a.featureId === b.featureId;
+
+    const nameA = normalizeName(a.name);
+    const nameB = normalizeName(b.name);
+    if (!nameA || !nameB || nameSimilarity(nameA, nameB) < NAME_SIMILARITY) return false;
+
+    if (a.coordinates && b.coordinates) {
+        const km = distanceKm(a.coordinates, b.coordinates);
+        if (km <= NEAR_KM) return true;
+        if (km > FAR_KM) return false;
+    }
+
+    const addressA = normalizeAddress(a.address);
+    const addressB = normalizeAddress(b.address);
+    if (addressA && addressB) {
+        const addresses = similarity(addressA, addressB);
+        if (addresses >= ADDRESS_SIMILARITY) return true;
+        if (addresses < DIFFERENT_ADDRESS) return false;
+    }
+
+    const phoneA = phoneDigits(a.phone);
+    const phoneB = phoneDigits(b.phone);
+    if (phoneA && phoneB) return phoneA === phoneB;
+
+    const comparable = (a.coordinates && b.coordinates) || (addressA && addressB);
+    return !comparable && nameA === nameB;
+}
+
+/**
+ * Merge two sightings of the same place. Fields of the newer sighting win
+ * unless they are missing; emails and email candidates are combined.
+ * @param {Object} older - Earlier sighting
+ * @param {Object} newer - Later sighting
+ * @returns {Object} - Combined result
+ */
+export function mergePlaces(older, newer) {
+    const merged = { ...older };
+    for (const [field, value] of Object.entries(newer)) {
+        if (value == null) continue;
+        if (field === 'emails') {
+            merged.emails = [...new Set([...(older.emails || []), ...value])];
+        } else if (field === 'emailCandidates') {
+            const byEmail = new Map();
+            for (const candidate of [...(older.emailCandidates || []), ...value]) {
+                const known = byEmail.get(candidate.email);
+                if (!known || candidate.confidence > known.confidence) byEmail.set(candidate.email, candidate);
+            }
+            merged.emailCandidates = [...byEmail.values()].sort((x, y) => y.confidence - x.confidence);
+        } else {
+            merged[field] = value;
+        }
+    }
+    return merged;
+}
+
+/**
+ * Lookup keys an entry is filed under, so that possible matches are found
+ * without comparing against every place
+ * @param {Object} result - Result item
+ * @returns {string[]}
+ */
+function bucketKeys(result) {
+    const keys = [];
+    if (result.featureId) keys.push(`fid:${result.featureId}`);
+    const name = normalizeName(result.name);
+    if (name) keys.push(`name:${name}`);
+    const address = normalizeAddress(result.address);
+    if (address) keys.push(`address:${address}`);
+    const phone = phoneDigits(result.phone);
+    if (phone) keys.push(`phone:${phone}`);
+    if (result.coordinates) {
+        // ~100 m cells; lookups also check the neighbouring cells
+        keys.push(`cell:${Math.round(result.coordinates.lat * 1000)},${Math.round(result.coordinates.lng * 1000)}`);
+    }
+    return keys;
+}
+
+/**
+ * Keys to look a result up under: its own bucket keys plus neighbouring cells
+ * @param {Object} result - Result item
+ * @returns {string[]}
+ */
+function lookupKeys(result) {
+    const keys = bucketKeys(result).filter(key => !key.startsWith('cell:'));
+    if (result.coordinates) {
+        const lat = Math.round(result.coordinates.lat * 1000);
+        const lng = Math.round(result.coordinates.lng * 1000);
+        for (let dLat = -1; dLat <= 1; dLat++) {
+            for (let dLng = -1; dLng <= 1; dLng++) {
+                keys.push(`cell:${lat + dLat},${lng + dLng}`);
+            }
+        }
+    }
+    return keys;
+}
+
+/**
+ * Create an index of places that merges repeated sightings (see samePlace)
+ * @returns {Object} - { find, add, upsert, values, size }
+ */
+export function createPlaceIndex() {
+    const entries = [];
+    const buckets = new Map();
+
+    /**
+     * File an entry under the bucket keys of a result
+     * @param {Object} entry - { place }
+     * @param {Object} result - Result whose keys to use
+     */
+    function file(entry, result) {
+        for (const key of bucketKeys(result)) {
+            if (!buckets.has(key)) buckets.set(key, new Set());
+            buckets.get(key).add(entry);
+        }
+    }
+
+    /**
+     * Find the entry of a place already in the index
+     * @param {Object} result - Result item
+     * @returns {Object|null} - Entry { place } or null
+     */
+    function findEntry(result) {
+        const seen = new Set();
+        for (const key of lookupKeys(result)) {
+            for (const entry of buckets.get(key) || []) {
+                if (seen.has(entry)) continue;
+                seen.add(entry);
+                if (samePlace(entry.place, result)) return entry;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Add a place without looking for a match
+     * @param {Object} result - Result item
+     * @returns {Object} - The result
+     */
+    function add(result) {
+        const entry = { place: result };
+        entries.push(entry);
+        file(entry, result);
+        return result;
+    }
+
+    return {
+        add,
+        /**
+         * @param {Object} result - Result item
+         * @returns {Object|null} - The indexed place this result is a sighting of
+         */
+        find(result) {
+            return findEntry(result)?.place || null;
+        },
+        /**
+         * Add a result, merging it into the matching place if there is one
+         * @param {Object} result - Result item
+         * @returns {{place: Object, merged: boolean}} - The indexed (possibly merged) place
+         */
+        upsert(result) {
+            const entry = findEntry(result);
+            if (!entry) {
+                return { place: add(result), merged: false };
+            }
+            entry.place = mergePlaces(entry.place, result);
+            file(entry, entry.place);
+            return { place: entry.place, merged: true };
+        },
+        /**
+         * @returns {Object[]} - Places in the order they were first added
+         */
+        values() {
+            return entries.map(entry => entry.place);
+        },
+        get size() {
+            return entries.length;
+        },
+    };
+}
+
+export default { createPlaceIndex, samePlace, mergePlaces, placeIdentity, normalizeName, normalizeAddress, phoneDigits, similarity };
@@ -0,0 +1,145 @@
+/**
+ * Journal Module
+ * Append-only NDJSON journal and advisory lock for JSON results files
+ */
+
+import { appendFile, readFile, truncate, unlink, open } from 'fs/promises';
+import path from 'path';
+
+/**
+ * Get the journal path that belongs to a results file
+ * @param {string} filename - Path to the results JSON file
+ * @returns {string} - e.g. "results.json" -> "results.journal.ndjson"
+ */
+export function getJournalPath(filename) {
+    const { dir, name } = path.parse(filename);
+    return path.join(dir, `${name}.journal.ndjson`);
+}
+
+/**
+ * Get the lock path that belongs to a results file
+ * @param {string} filename - Path to the results JSON file
+ * @returns {string}
+ */
+export function getLockPath(filename) {
+    return `${filename}.lock`;
+}
+
+/**
+ * Append one result to the journal. A single appended line is the only write,
+ * so a crash can at worst leave one truncated line at the end.
+ * @param {string} journalFile - Path to the journal
+ * @param {Object} result - Result item
+ * @param {Object} run - Run metadata (query, location)
+ * @returns {Promise<void>}
+ */
+export async function appendJournal(journalFile, result, run = {}) {
+    const entry = {
+        at: new Date().toISOString(),
+        query: run.query,
+        location: run.location,
+        result,
+    };
+    await appendFile(journalFile, JSON.stringify(entry) + '\n', 'utf-8');
+}
+
+/**
+ * Read every intact entry from a journal
+ * @param {string} journalFile - Path to the journal
+ * @returns {Promise<{entries: Object[], skipped: number}>} - Entries and count of unreadable lines
+ */
+export async function readJournal(journalFile) {
+    let content;
+    try {
+        content = await readFile(journalFile, 'utf-8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return { entries: [], skipped: 0 };
+        throw error;
+    }
+
+    const entries = [];
+    let skipped = 0;
+    for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            const entry = JSON.parse(line);
+            if (entry && entry.result) {
+                entries.push(entry);
+            } else {
+                skipped++;
+            }
+        } catch {
+            skipped++; // Truncated by a crash mid-append
+        }
+    }
+    return { entries, skipped };
+}
+
+/**
+ * Empty a journal once everything in it has been written to the results file
+ * @param {string} journalFile - Path to the journal
+ * @returns {Promise<void>}
+ */
+export async function clearJournal(journalFile) {
+    try {
+        await truncate(journalFile, 0);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+}
+
+/**
+ * Check whether a process is still running
+ * @param {number} pid - Process ID
+ * @returns {boolean}
+ */
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM'; // Exists, but owned by someone else
+    }
+}
+
+/**
+ * Take the advisory lock for a results file.
+ * Locks left behind by processes that no longer run are taken over.
+ * @param {string} filename - Path to the results file
+ * @returns {Promise<Function>} - Async function that releases the lock
+ * @throws {Error} - If another running process holds the lock
+ */
+export async function acquireLock(filename) {
+    const lockFile = getLockPath(filename);
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+            const handle = await open(lockFile, 'wx');
+            await handle.writeFile(JSON.stringify({ pid: process.pid, since: new Date().toISOString() }));
+            await handle.close();
+
+            let released = false;
+            return async () => {
+                if (released) return;
+                released = true;
+                await unlink(lockFile).catch(() => { });
+            };
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+
+        // Lock exists: find out whether its owner is still alive
+        let owner = null;
+        try {
+            owner = JSON.parse(await readFile(lockFile, 'utf-8'));
+        } catch {
+            // Unreadable lock file, treat it as stale
+        }
+        if (owner?.pid && isProcessAlive(owner.pid)) {
+            throw new Error(`${filename} is locked by another run (pid ${owner.pid}). Wait for it to finish or use a different output file.`);
+        }
+        await unlink(lockFile).catch(() => { });
+    }
+
+    throw new Error(`Could not lock ${filename}`);
+}
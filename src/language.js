@@ -0,0 +1,146 @@
+/**
+ * Language Pack Module
+ * Loads the phrases and labels the scraper looks for on localized Maps pages
+ */
+
+import { readFileSync } from 'fs';
+import { readFile, readdir } from 'fs/promises';
+
+export const DEFAULT_LOCALE = 'en-US';
+
+const LOCALES_DIR = new URL('./locales/', import.meta.url);
+
+// Pack fields holding lists of phrases
+const LIST_FIELDS = ['consentButtons', 'searchBoxLabels', 'closedPhrases', 'endOfListPhrases', 'blockPhrases', 'priceLabels'];
+
+// Phrases matched against lowercased page text
+const LOWERCASE_FIELDS = ['closedPhrases', 'endOfListPhrases', 'blockPhrases'];
+
+/**
+ * Check that a parsed pack only has known fields of the right shape
+ * @param {Object} pack - Parsed pack
+ * @param {string} source - File name, for error messages
+ * @returns {Object} - The pack
+ * @throws {Error} - On unknown fields or wrong types
+ */
+function validatePack(pack, source) {
+    if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+        throw new Error(`Invalid language pack ${source} (expected a JSON object)`);
+    }
+
+    for (const [field, value] of Object.entries(pack)) {
+        if (field === 'name') continue;
+        if (LIST_FIELDS.includes(field)) {
+            if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) {
+                throw new Error(`Invalid "${field}" in language pack ${source} (expected a list of strings)`);
+            }
+        } else if (field === 'priceLevels') {
+            if (typeof value !== 'object' || Object.values(value).some(v => ![1, 2, 3, 4].includes(v))) {
+                throw new Error(`Invalid "priceLevels" in language pack ${source} (expected { "phrase": 1-4 })`);
+            }
+        } else {
+            throw new Error(`Unknown field "${field}" in language pack ${source} (expected: name, ${LIST_FIELDS.join(', ')}, priceLevels)`);
+        }
+    }
+    return pack;
+}
+
+/**
+ * Combine packs into the language profile the scraper uses.
+ * Phrases from every pack are kept, so English still matches on a localized page.
+ * @param {Object[]} packs - Language packs
+ * @param {string} locale - Browser locale the packs were chosen for
+ * @returns {Object} - { locale, names, consentButtons, searchBoxLabels, closedPhrases, endOfListPhrases, blockPhrases, priceLabels, priceLevels }
+ */
+export function mergeLanguagePacks(packs, locale = DEFAULT_LOCALE) {
+    const language = { locale, names: packs.map(pack => pack.name).filter(Boolean), priceLevels: {} };
+
+    for (const field of LIST_FIELDS) {
+        const values = packs.flatMap(pack => pack[field] || []);
+        language[field] = [...new Set(LOWERCASE_FIELDS.includes(field) ? values.map(v => v.toLowerCase()) : values)];
+    }
+    for (const pack of packs) {
+        for (const [phrase, level] of Object.entries(pack.priceLevels || {})) {
+            language.priceLevels[phrase.toLowerCase()] = level;
+        }
+    }
+    return language;
+}
+
+/**
+ * Read a built-in pack synchronously (used for the default language)
+ * @param {string} code - Pack file name without extension
+ * @returns {Object}
+ */
+function readBuiltInPackSync(code) {
+    return validatePack(JSON.parse(readFileSync(new URL(`${code}.json`, LOCALES_DIR), 'utf-8')), `${code}.json`);
+}
+
+// Spanish phrases recognized before there were language packs; always checked
+// (like English) so runs on Spanish pages still work without --locale
+const BASELINE_PACK = {
+    consentButtons: ['Aceptar todo', 'Acepto', 'Aceptar'],
+    searchBoxLabels: ['Buscar'],
+    closedPhrases: ['cerrado permanentemente', 'cerrado temporalmente'],
+    priceLabels: ['Precio'],
+};
+
+/**
+ * Packs every language profile starts from
+ * @returns {Object[]} - English and the baseline phrases
+ */
+function basePacks() {
+    return [readBuiltInPackSync('en'), BASELINE_PACK];
+}
+
+// English (plus the baseline phrases), used whenever no language is configured
+export const DEFAULT_LANGUAGE = mergeLanguagePacks(basePacks());
+
+/**
+ * List the built-in language packs
+ * @returns {Promise<string[]>} - Pack codes, e.g. ["de", "en", "es", ...]
+ */
+export async function listLanguagePacks() {
+    const files = await readdir(LOCALES_DIR);
+    return files.filter(f => f.endsWith('.json')).map(f => f.slice(0, -'.json'.length)).sort();
+}
+
+/**
+ * Load a language pack file
+ * @param {string} filename - JSON file in the same format as src/locales/*.json
+ * @returns {Promise<Object>}
+ * @throws {Error} - If the file is unreadable or invalid
+ */
+export async function loadLanguagePackFile(filename) {
+    return validatePack(JSON.parse(await readFile(filename, 'utf-8')), filename);
+}
+
+/**
+ * Build the language profile for a browser locale.
+ * Uses English and the baseline Spanish phrases plus the built-in pack for the locale
+ * ("fr-CA" -> fr-CA.json, then fr.json) and any extra pack files on top.
+ * @param {string} locale - Browser locale, e.g. "fr-FR"
+ * @param {string[]} packFiles - Extra language pack files
+ * @returns {Promise<Object>} - Language profile (see mergeLanguagePacks)
+ * @throws {Error} - If no pack matches the locale and no pack file was given
+ */
+export async function loadLanguage(locale = DEFAULT_LOCALE, packFiles = []) {
+    const available = await listLanguagePacks();
+    const [language] = locale.split('-');
+    const code = [locale, language].find(c => available.includes(c));
+
+    if (!code && packFiles.length === 0) {
+        throw new Error(`No language pack for locale "${locale}" (available: ${available.join(', ')}). Add one with --language-pack <file>`);
+    }
+
+    const packs = basePacks();
+    if (code && code !== 'en') {
+        packs.push(readBuiltInPackSync(code));
+    }
+    for (const file of packFiles) {
+        packs.push(await loadLanguagePackFile(file));
+    }
+    return mergeLanguagePacks(packs, locale);
+}
+
+export default { loadLanguage, loadLanguagePackFile, listLanguagePacks, mergeLanguagePacks, DEFAULT_LANGUAGE };
@@ -0,0 +1,120 @@
+/**
+ * Phone Module
+ * Parses, validates and normalizes phone numbers to E.164
+ */
+
+import { parsePhoneNumberFromString, findPhoneNumbersInText } from 'libphonenumber-js/max';
+
+// Country names (English and local) as they appear in locations and Maps addresses
+const COUNTRY_NAMES = {
+    'spain': 'ES', 'españa': 'ES', 'espana': 'ES',
+    'united kingdom': 'GB', 'uk': 'GB', 'great britain': 'GB', 'england': 'GB', 'scotland': 'GB', 'wales': 'GB', 'northern ireland': 'GB',
+    'united states': 'US', 'united states of america': 'US', 'usa': 'US', 'us': 'US',
+    'france': 'FR',
+    'germany': 'DE', 'deutschland': 'DE',
+    'italy': 'IT', 'italia': 'IT',
+    'portugal': 'PT',
+    'netherlands': 'NL', 'the netherlands': 'NL', 'nederland': 'NL',
+    'belgium': 'BE', 'belgique': 'BE', 'belgië': 'BE',
+    'switzerland': 'CH', 'schweiz': 'CH', 'suisse': 'CH',
+    'austria': 'AT', 'österreich': 'AT',
+    'ireland': 'IE',
+    'poland': 'PL', 'polska': 'PL',
+    'greece': 'GR',
+    'sweden': 'SE', 'norway': 'NO', 'denmark': 'DK', 'finland': 'FI',
+    'canada': 'CA',
+    'mexico': 'MX', 'méxico': 'MX',
+    'argentina': 'AR',
+    'colombia': 'CO',
+    'chile': 'CL',
+    'peru': 'PE', 'perú': 'PE',
+    'brazil': 'BR', 'brasil': 'BR',
+    'australia': 'AU',
+    'new zealand': 'NZ',
+};
+
+// US addresses on Maps usually end in "City, ST 12345" without a country
+const US_STATE_ZIP_PATTERN = /\b[A-Z]{2} \d{5}(?:-\d{4})?$/;
+
+// libphonenumber types -> line type stored on results
+const LINE_TYPES = {
+    MOBILE: 'mobile',
+    FIXED_LINE: 'landline',
+    FIXED_LINE_OR_MOBILE: 'mobile_or_landline',
+    TOLL_FREE: 'toll_free',
+    PREMIUM_RATE: 'premium_rate',
+    SHARED_COST: 'shared_cost',
+    VOIP: 'voip',
+    PERSONAL_NUMBER: 'personal',
+    PAGER: 'pager',
+    UAN: 'uan',
+    VOICEMAIL: 'voicemail',
+};
+
+/**
+ * Infer an ISO 3166 country code from a location or address string
+ * @param {string} text - e.g. "Madrid, Spain" or "Calle Mayor 15, 28013 Madrid, España"
+ * @returns {string|null} - Two-letter country code or null if unknown
+ */
+export function inferCountry(text) {
+    if (!text) return null;
+
+    // The country is usually the last comma-separated part, so check from the end
+    const parts = text.split(',').map(p => p.trim()).filter(Boolean).reverse();
+    for (const part of parts) {
+        const code = COUNTRY_NAMES[part.toLowerCase()];
+        if (code) return code;
+        // Postal code glued to the country, e.g. "28013 Spain"
+        const words = part.toLowerCase().replace(/[\d-]+/g, ' ').trim();
+        if (COUNTRY_NAMES[words]) return COUNTRY_NAMES[words];
+    }
+
+    if (US_STATE_ZIP_PATTERN.test(text.trim())) {
+        return 'US';
+    }
+    return null;
+}
+
+/**
+ * Convert a parsed libphonenumber object into result fields
+ * @param {import('libphonenumber-js').PhoneNumber} parsed - Valid parsed number
+ * @returns {{phone: string, phoneDisplay: string, phoneType: string}}
+ */
+function toPhoneFields(parsed) {
+    const type = parsed.getType();
+    return {
+        phone: parsed.number,
+        phoneDisplay: parsed.formatInternational(),
+        phoneType: type ? LINE_TYPES[type] || 'other' : 'unknown',
+    };
+}
+
+/**
+ * Normalize a single phone number
+ * @param {string} raw - Phone number as shown on the page
+ * @param {string|null} defaultCountry - Country for numbers without a +prefix
+ * @returns {Object|null} - { phone (E.164), phoneDisplay, phoneType } or null if invalid
+ */
+export function normalizePhone(raw, defaultCountry = null) {
+    if (!raw) return null;
+    const parsed = parsePhoneNumberFromString(raw, defaultCountry || undefined);
+    if (!parsed || !parsed.isValid()) return null;
+    return toPhoneFields(parsed);
+}
+
+/**
+ * Find the first valid phone number in free text.
+ * Unlike the regexes in extractor.js this rejects opening hours, prices
+ * and other digit runs that are not valid numbers for the country.
+ * @param {string} text - Text to search
+ * @param {string|null} defaultCountry - Country for numbers without a +prefix
+ * @returns {Object|null} - Normalized phone fields or null
+ */
+export function findPhone(text, defaultCountry = null) {
+    if (!text) return null;
+    const found = findPhoneNumbersInText(text, defaultCountry || undefined);
+    const valid = found.find(match => match.number.isValid());
+    return valid ? toPhoneFields(valid.number) : null;
+}
+
+export default { inferCountry, normalizePhone, findPhone };
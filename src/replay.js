@@ -0,0 +1,160 @@
+/**
+ * Record/Replay Module
+ * Captures the responses a scrape sees and serves them back offline,
+ * through the same context.route hook that blocks images and fonts
+ */
+
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import path from 'path';
+import { writeFileAtomic } from './storage.js';
+
+const MANIFEST_FILE = 'manifest.json';
+const BODIES_DIR = 'bodies';
+
+/**
+ * Key a request by method and URL (without the #fragment)
+ * @param {string} method - HTTP method
+ * @param {string} url - Request URL
+ * @returns {string} - e.g. "GET https://www.google.com/maps"
+ */
+export function requestKey(method, url) {
+    return `${method.toUpperCase()} ${url.split('#')[0]}`;
+}
+
+/**
+ * Looser key without the query string, for URLs carrying session tokens
+ * @param {string} method - HTTP method
+ * @param {string} url - Request URL
+ * @returns {string}
+ */
+function looseRequestKey(method, url) {
+    return requestKey(method, url.split('?')[0]);
+}
+
+/**
+ * Turn a URL into a short, filesystem-safe name for its body file
+ * @param {string} url - Request URL
+ * @returns {string}
+ */
+function slugify(url) {
+    const { hostname, pathname } = new URL(url);
+    return `${hostname}${pathname}`.replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60);
+}
+
+/**
+ * Create a recorder that saves every response a run lets through
+ * @param {string} dir - Fixture directory to write
+ * @returns {{handle: Function, save: Function, count: Function}}
+ */
+export function createRecorder(dir) {
+    const entries = [];
+    const recorded = new Set();
+    let bodiesDirReady = null;
+
+    /**
+     * Route handler: fetch the real response, keep a copy and pass it on
+     * @param {import('playwright').Route} route - Intercepted route
+     */
+    async function handle(route) {
+        const request = route.request();
+        let response;
+        try {
+            response = await route.fetch();
+        } catch {
+            await route.abort().catch(() => { });
+            return;
+        }
+
+        const key = requestKey(request.method(), request.url());
+        if (!recorded.has(key)) {
+            recorded.add(key);
+            const body = await response.body();
+            const file = `${String(entries.length + 1).padStart(4, '0')}-${slugify(request.url())}`;
+            const headers = response.headers();
+            entries.push({
+                method: request.method(),
+                url: request.url().split('#')[0],
+                status: response.status(),
+                contentType: headers['content-type'] || null,
+                file: `${BODIES_DIR}/${file}`,
+            });
+
+            bodiesDirReady ??= mkdir(path.join(dir, BODIES_DIR), { recursive: true });
+            await bodiesDirReady;
+            await writeFile(path.join(dir, BODIES_DIR, file), body);
+        }
+
+        await route.fulfill({ response });
+    }
+
+    /**
+     * Write the manifest listing every recorded response
+     * @returns {Promise<void>}
+     */
+    async function save() {
+        await mkdir(dir, { recursive: true });
+        const manifest = { version: 1, recordedAt: new Date().toISOString(), entries };
+        await writeFileAtomic(path.join(dir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+    }
+
+    return { handle, save, count: () => entries.length };
+}
+
+/**
+ * Load a fixture directory for replay
+ * @param {string} dir - Fixture directory written by a recorder (or by hand)
+ * @returns {Promise<{handle: Function, lookup: Function, misses: string[]}>}
+ * @throws {Error} - If the directory has no readable manifest
+ */
+export async function loadFixtures(dir) {
+    let manifest;
+    try {
+        manifest = JSON.parse(await readFile(path.join(dir, MANIFEST_FILE), 'utf-8'));
+    } catch (error) {
+        throw new Error(`Cannot read fixtures from ${dir}: ${error.message}`);
+    }
+
+    const exact = new Map();
+    const loose = new Map();
+    for (const entry of manifest.entries || []) {
+        const method = entry.method || 'GET';
+        if (!exact.has(requestKey(method, entry.url))) exact.set(requestKey(method, entry.url), entry);
+        if (!loose.has(looseRequestKey(method, entry.url))) loose.set(looseRequestKey(method, entry.url), entry);
+    }
+
+    const misses = [];
+
+    /**
+     * Find the recorded response for a request
+     * @param {string} method - HTTP method
+     * @param {string} url - Request URL
+     * @returns {Object|null} - Manifest entry
+     */
+    function lookup(method, url) {
+        return exact.get(requestKey(method, url)) || loose.get(looseRequestKey(method, url)) || null;
+    }
+
+    /**
+     * Route handler: answer from the fixtures, never from the network
+     * @param {import('playwright').Route} route - Intercepted route
+     */
+    async function handle(route) {
+        const request = route.request();
+        const entry = lookup(request.method(), request.url());
+        if (!entry) {
+            misses.push(requestKey(request.method(), request.url()));
+            await route.abort('internetdisconnected').catch(() => { });
+            return;
+        }
+
+        await route.fulfill({
+            status: entry.status || 200,
+            contentType: entry.contentType || undefined,
+            body: await readFile(path.join(dir, entry.file)),
+        });
+    }
+
+    return { handle, lookup, misses };
+}
+
+export default { createRecorder, loadFixtures, requestKey };
@@ -4,9 +4,39 @@
  */
 
 import { chromium } from 'playwright';
-import { extractPlaceDetails, extractPlaceLinks, SELECTORS } from './extractor.js';
+import { extractPlaceDetails, extractPlaceLinks, hasReachedEndOfList, parsePlaceId, parseFeatureId, parseViewport, getLocalizedSelectors, SELECTORS } from './extractor.js';
+import { DEFAULT_LANGUAGE, DEFAULT_LOCALE } from './language.js';
+import { splitCellSearch, cellSearchFromViewport } from './subdivide.js';
+import { DEFAULT_NO_WEBSITE_TYPES } from './website.js';
+import { scoreEmail } from './email.js';
+import { createContactDiscovery } from './contact-providers.js';
+import { createRecorder, loadFixtures } from './replay.js';
+import { createRateLimiter, createBlockGuard, detectBlock, createBlockedError, isBlockedError } from './throttle.js';
+import { createContextPool, DEFAULT_USER_AGENTS } from './context-pool.js';
+import { createPlaceIndex } from './identity.js';
+
+export const GOOGLE_MAPS_URL = 'https://www.google.com/maps';
 
-const GOOGLE_MAPS_URL = 'https://www.google.com/maps';
+/**
+ * Signal workers wait on until something changes (a place queued, checked or
+ * put back, a search done); waits also end after a second so workers re-check
+ * conditions that change without a notify (stop(), concurrency recovering)
+ * @returns {{notify: Function, wait: Function}}
+ */
+function createChangeSignal() {
+    const waiting = [];
+    return {
+        notify() {
+            waiting.splice(0).forEach(resolve => resolve());
+        },
+        wait() {
+            return new Promise((resolve) => {
+                waiting.push(resolve);
+                setTimeout(resolve, 1000);
+            });
+        },
+    };
+}
 
 /**
  * Main scraper class for Google Maps
@@ -14,46 +44,227 @@ const GOOGLE_MAPS_URL = 'https://www.google.com/maps';
 export class GoogleMapsScraper {
     /**
      * @param {Object} options - Scraper configuration
-     * @param {number} options.concurrency - Number of parallel page loads
+     * @param {number} options.concurrency - Number of parallel place page loads
+     * @param {number} options.searchConcurrency - Number of searches running ahead at once (subdivided runs)
+     * @param {number} options.maxQueuedPlaces - Queued places at which searches wait for the detail workers
      * @param {boolean} options.headless - Run browser in headless mode
+     * @param {string} options.country - Default country (ISO code) for phone numbers
+     * @param {string} options.locale - Browser locale (e.g. "fr-FR")
+     * @param {Object} options.language - Language profile matching the locale (see language.js)
+     * @param {string[]} options.noWebsiteTypes - Website types that still count as "no website"
+     * @param {Object} options.websiteDomains - Domain lists used to classify website links
+     * @param {number} options.minEmailConfidence - Lowest confidence (0-1) for an email to be kept in "emails"
+     * @param {Object} options.contactDiscovery - Email search step (see createContactDiscovery), default DuckDuckGo
      * @param {Function} options.onProgress - Progress callback
-     * @param {Function} options.onResult - Called when a result is found
+     * @param {Function} options.onResult - Called when a result is found (awaited)
+     * @param {Function} options.onCheckpoint - Called with resumable state whenever progress is made
+     * @param {Object} options.resumeFrom - Checkpoint state to resume from
+     * @param {string} options.recordTo - Fixture directory to record every response into
+     * @param {string} options.replayFrom - Fixture directory to serve responses from (no network)
+     * @param {boolean} options.adaptive - Split capped sub-query searches into smaller cells
+     * @param {number} options.minCellSizeKm - Smallest cell size adaptive splitting goes down to
+     * @param {number} options.capThreshold - Result count at which a search counts as capped
+     * @param {number} options.maxRequestsPerMinute - Cap on Maps page loads across all workers (0 = no cap)
+     * @param {number} options.blockBackoffMs - Pause after the first block page (doubles on each block in a row)
+     * @param {number} options.maxBlockStrikes - Block pages in a row before the run is paused for good
+     * @param {Object[]} options.proxies - Playwright proxy settings to rotate browser contexts through
+     * @param {string[]} options.userAgents - User agents to rotate browser contexts through
+     * @param {number} options.contexts - Browser contexts in use at once (default: one per proxy, up to concurrency)
+     * @param {Object} options.seenIndex - Places checked by earlier runs (see seen-index.js); fresh ones are skipped
+     * @param {boolean} options.refresh - Re-check places even if the seen index has them as fresh
      */
     constructor(options = {}) {
         this.concurrency = options.concurrency || 5;
+        this.searchConcurrency = options.searchConcurrency || 2;
+        this.maxQueuedPlaces = options.maxQueuedPlaces || 500;
         this.headless = options.headless ?? true;
+        this.country = options.country || null;
+        this.locale = options.locale || DEFAULT_LOCALE;
+        this.language = options.language || DEFAULT_LANGUAGE;
+        this.selectors = getLocalizedSelectors(this.language);
+        this.noWebsiteTypes = options.noWebsiteTypes || DEFAULT_NO_WEBSITE_TYPES;
+        this.websiteDomains = options.websiteDomains;
+        this.minEmailConfidence = options.minEmailConfidence ?? 0.3;
+        this.contactDiscovery = options.contactDiscovery
+            || createContactDiscovery([{ type: 'duckduckgo' }], { minConfidence: this.minEmailConfidence });
         this.onProgress = options.onProgress || (() => { });
         this.onResult = options.onResult || (() => { });
+        this.onCheckpoint = options.onCheckpoint || (() => { });
         this.browser = null;
-        this.context = null;
-        this.checkedNames = new Set(); // Track already checked place names
+        this.contextPool = null;
+        this.consentedContexts = new WeakSet(); // Contexts past the consent prompt
+        this.proxies = options.proxies || [];
+        this.userAgents = options.userAgents || DEFAULT_USER_AGENTS;
+        this.contextCount = options.contexts || Math.min(this.proxies.length, this.concurrency) || 1;
+        this.foundPlaces = createPlaceIndex(); // Leads found in this run, merged by identity
+        this.seenIndex = options.seenIndex || null;
+        this.refresh = options.refresh ?? false;
+        this.stopped = false;
+        this.adaptive = options.adaptive ?? true;
+        this.minCellSizeKm = options.minCellSizeKm || 0.25;
+        this.capThreshold = options.capThreshold || 100; // Maps stops at ~120 results
+
+        // Request pacing and block backoff (see throttle.js)
+        this.maxRequestsPerMinute = options.maxRequestsPerMinute ?? 120;
+        this.waitForRequestSlot = this.maxRequestsPerMinute > 0
+            ? createRateLimiter(60000 / this.maxRequestsPerMinute)
+            : async () => { };
+        this.blockGuard = createBlockGuard({
+            concurrency: this.concurrency,
+            baseDelayMs: options.blockBackoffMs ?? 30000,
+            maxStrikes: options.maxBlockStrikes ?? 5,
+        });
+
+        // Resumable state (see getCheckpoint)
+        const resumeFrom = options.resumeFrom || {};
+        this.completedQueries = new Set(resumeFrom.completedQueries || []);
+        this.addedQueries = [...(resumeFrom.addedQueries || [])];
+        this.pendingUrls = [...(resumeFrom.pendingUrls || [])];
+        this.visitedPlaceIds = new Set(resumeFrom.visitedPlaceIds || []);
+        this.inFlightUrls = new Set();
+
+        // Record/replay (see replay.js)
+        this.recordTo = options.recordTo || null;
+        this.replayFrom = options.replayFrom || null;
+        this.recorder = null;
+        this.fixtures = null;
+    }
+
+    /**
+     * Ask a running scrape to stop. In-flight pages are allowed to finish,
+     * everything not yet visited stays pending in the checkpoint.
+     */
+    stop() {
+        this.stopped = true;
+    }
+
+    /**
+     * Snapshot of the state needed to resume this run
+     * @returns {{completedQueries: string[], addedQueries: Object[], pendingUrls: string[], visitedPlaceIds: string[]}}
+     */
+    getCheckpoint() {
+        return {
+            completedQueries: [...this.completedQueries],
+            addedQueries: [...this.addedQueries],
+            pendingUrls: [...new Set([...this.inFlightUrls, ...this.pendingUrls])],
+            visitedPlaceIds: [...this.visitedPlaceIds],
+        };
+    }
+
+    /**
+     * Notify listeners that resumable state changed
+     */
+    async saveCheckpoint() {
+        await this.onCheckpoint(this.getCheckpoint());
+    }
+
+    /**
+     * Key used to remember visited places across runs
+     * @param {string} placeUrl - Place URL from search results
+     * @returns {string}
+     */
+    visitKey(placeUrl) {
+        return this.seenKey(placeUrl) || placeUrl;
+    }
+
+    /**
+     * Check whether a place was visited earlier in this run or in a resumed run.
+     * Checkpoints written before visit keys were feature IDs list place slugs,
+     * so both keys are checked.
+     * @param {string} placeUrl - Place URL from search results
+     * @returns {boolean}
+     */
+    isVisited(placeUrl) {
+        const slug = parsePlaceId(placeUrl);
+        return this.visitedPlaceIds.has(this.visitKey(placeUrl)) || (slug !== null && this.visitedPlaceIds.has(slug));
+    }
+
+    /**
+     * Key of a place in the seen index: its feature ID, so that same-name
+     * places (chains) elsewhere are not mistaken for it
+     * @param {string} placeUrl - Place URL from search results
+     * @returns {string|null}
+     */
+    seenKey(placeUrl) {
+        return parseFeatureId(placeUrl) || parsePlaceId(placeUrl);
+    }
+
+    /**
+     * Check whether the seen index has a place as checked recently, so it can be
+     * skipped without opening its page
+     * @param {string} placeUrl - Place URL from search results
+     * @returns {boolean}
+     */
+    isFreshlySeen(placeUrl) {
+        return Boolean(this.seenIndex) && !this.refresh && this.seenIndex.isFresh(this.seenKey(placeUrl));
     }
 
     /**
      * Launch browser with optimized settings
      */
     async launch() {
+        if (this.replayFrom) {
+            this.fixtures = await loadFixtures(this.replayFrom);
+        } else if (this.recordTo) {
+            this.recorder = createRecorder(this.recordTo);
+        }
+
         this.browser = await chromium.launch({
             headless: this.headless,
         });
 
-        this.context = await this.browser.newContext({
-            viewport: { width: 1280, height: 720 },
-            locale: 'en-US',
-            userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        });
-
-        // Block unnecessary resources for speed
-        await this.context.route('**/*', (route) => {
+        // Every context (replacements of blocked ones too) gets the same routing
+        const routeRequest = (route) => {
             const resourceType = route.request().resourceType();
             const blockedTypes = ['image', 'media', 'font', 'stylesheet'];
 
+            // Block unnecessary resources for speed
             if (blockedTypes.includes(resourceType)) {
                 route.abort();
+            } else if (this.fixtures) {
+                return this.fixtures.handle(route);
+            } else if (this.recorder) {
+                return this.recorder.handle(route);
             } else {
                 route.continue();
             }
+        };
+
+        this.contextPool = createContextPool(this.browser, {
+            size: this.contextCount,
+            proxies: this.proxies,
+            userAgents: this.userAgents,
+            locale: this.locale,
+            // Enough idle pages for every worker to reuse one
+            maxIdlePages: Math.ceil((this.concurrency + this.searchConcurrency) / this.contextCount),
+            setup: (context) => context.route('**/*', routeRequest),
         });
+        await this.contextPool.open();
+    }
+
+    /**
+     * Open a page in the next browser context of the pool
+     * @returns {Promise<import('playwright').Page>}
+     */
+    async newPage() {
+        return this.contextPool.newPage();
+    }
+
+    /**
+     * Take a page from the pool's idle pages (or open one) for a Maps load
+     * @returns {Promise<import('playwright').Page>}
+     */
+    async acquirePage() {
+        return this.contextPool.acquirePage();
+    }
+
+    /**
+     * Hand a page back for reuse once a Maps load is done
+     * @param {import('playwright').Page} page - Page from acquirePage
+     * @returns {Promise<void>}
+     */
+    async releasePage(page) {
+        await this.contextPool.releasePage(page);
     }
 
     /**
@@ -61,144 +272,254 @@ export class GoogleMapsScraper {
      */
     async close() {
         if (this.browser) {
+            await this.contextPool?.close();
             await this.browser.close();
             this.browser = null;
-            this.context = null;
+        }
+        if (this.recorder) {
+            await this.recorder.save();
         }
     }
 
     /**
-     * Accept cookies/consent dialog if present
+     * Load a Maps URL once any block pause is over and the rate cap allows it
+     * @param {import('playwright').Page} page - Page to navigate
+     * @param {string} url - URL to load
+     * @param {Object} gotoOptions - Options for page.goto
+     * @returns {Promise<number>} - When the request started (for checkForBlock)
+     * @throws {Error} - Blocked error (see throttle.js) if Google answers with a block page
      */
-    async acceptCookies(page) {
-        try {
-            // Wait a bit for consent dialog to appear
-            await page.waitForTimeout(2000);
-
-            // Try multiple consent button selectors (different languages)
-            const consentSelectors = [
-                'button:has-text("Accept all")',
-                'button:has-text("Aceptar todo")',
-                'button:has-text("Acepto")',
-                'button:has-text("Agree")',
-                'button:has-text("I agree")',
-                'form[action*="consent"] button',
-                '[aria-label*="Accept"]',
-                '[aria-label*="Aceptar"]',
-            ];
-
-            for (const selector of consentSelectors) {
-                const button = await page.$(selector);
-                if (button) {
-                    await button.click();
-                    await page.waitForTimeout(2000);
-                    break;
-                }
+    async navigate(page, url, gotoOptions) {
+        const pauseMs = this.blockGuard.remainingPauseMs;
+        if (pauseMs > 0) {
+            this.onProgress(`⏸ Paused after a Google block, resuming in ${Math.ceil(pauseMs / 1000)}s at concurrency ${this.blockGuard.concurrency} - results are incomplete until it clears`);
+        }
+        await this.blockGuard.wait();
+        await this.waitForRequestSlot();
+        const requestedAt = Date.now();
+        await page.goto(url, gotoOptions);
+        await this.checkForBlock(page, requestedAt);
+        return requestedAt;
+    }
+
+    /**
+     * Make sure a page shows Maps and not an "unusual traffic" or CAPTCHA page
+     * @param {import('playwright').Page} page - Loaded page
+     * @param {number} requestedAt - When the request that led here started
+     * @throws {Error} - Blocked error (see throttle.js)
+     */
+    async checkForBlock(page, requestedAt) {
+        const block = await detectBlock(page, this.language.blockPhrases);
+        if (block) {
+            throw this.reportBlock(block, requestedAt, page);
+        }
+        this.blockGuard.success(requestedAt);
+    }
+
+    /**
+     * Back off after a block page: replace the page's browser context, lower
+     * concurrency and pause, or stop the run after too many blocks in a row
+     * @param {Object} block - { kind, url }
+     * @param {number} requestedAt - When the blocked request started
+     * @param {import('playwright').Page} page - Page that got the block
+     * @returns {Error} - Blocked error to throw
+     */
+    reportBlock(block, requestedAt, page) {
+        const { retired, replacement } = this.contextPool.reportBlock(page.context());
+        const { newStrike, delayMs, concurrency, gaveUp } = this.blockGuard.report(block, requestedAt);
+        const via = retired ? `, new browser profile${replacement.proxy ? ` via ${replacement.proxy}` : ''}` : '';
+        if (gaveUp) {
+            if (!this.stopped) {
+                this.onProgress(`⚠ Blocked by Google (${block.kind}) too many times in a row, pausing the run - results are incomplete`);
             }
-        } catch {
-            // Cookies dialog not present or already accepted
+            this.stop();
+        } else if (newStrike) {
+            this.onProgress(`⚠ Blocked by Google (${block.kind}), backing off ${Math.round(delayMs / 1000)}s at concurrency ${concurrency}${via} - results are incomplete until it clears`);
         }
+        return createBlockedError(block);
     }
 
     /**
-     * Search for places on Google Maps
-     * @param {string} query - Search query (e.g., "restaurants"), empty for all types
-     * @param {string} location - Location to search in
-     * @returns {Promise<string[]>} - Array of place URLs
+     * Run a search again after each backoff for as long as Google blocks it
+     * @param {Function} search - Async search to run
+     * @returns {Promise<*>} - The search result, or null if the run stopped first
      */
-    async searchPlaces(query, location) {
-        const page = await this.context.newPage();
-        // Use "businesses" as a catch-all term when no specific query is provided
-        const searchTerm = query && query.trim() ? query : 'businesses';
-        const searchQuery = `${searchTerm} in ${location}`;
+    async retryWhileBlocked(search) {
+        while (!this.stopped) {
+            try {
+                return await search();
+            } catch (error) {
+                if (!isBlockedError(error)) throw error;
+            }
+        }
+        return null;
+    }
 
-        try {
-            this.onProgress(`Searching for "${query ? searchQuery : `all establishments in ${location}`}"...`);
+    /**
+     * Block summary for the run report
+     * @returns {{total: number, kinds: Object, gaveUp: boolean}}
+     */
+    getBlockSummary() {
+        return this.blockGuard.summary();
+    }
 
-            // Navigate to Google Maps
-            await page.goto(GOOGLE_MAPS_URL, { waitUntil: 'networkidle', timeout: 30000 });
-            await this.acceptCookies(page);
+    /**
+     * Accept the cookies/consent page or dialog if it shows up
+     * @param {import('playwright').Page} page - Page that may show the consent prompt
+     * @param {number} timeout - How long to wait for a consent button to appear
+     * @returns {Promise<boolean>} - True if a consent button was clicked
+     */
+    async acceptCookies(page, timeout = 2000) {
+        // Try multiple consent button selectors (different languages) at once
+        const selector = this.selectors.consentButton.join(', ');
+        const button = await page.waitForSelector(selector, { timeout }).catch(() => null);
+        if (!button) return false;
+
+        await button.click().catch(() => { });
+        // Done once the consent page redirects back or the dialog goes away
+        await Promise.race([
+            page.waitForURL(url => !url.hostname.startsWith('consent.'), { timeout: 10000 }),
+            page.waitForSelector(selector, { state: 'detached', timeout: 10000 }),
+        ]).catch(() => { });
+        return true;
+    }
+
+    /**
+     * Load a Maps URL, getting past the consent prompt. Consent is only looked
+     * for on the first page of each browser context, or when Google redirects to it.
+     * @param {import('playwright').Page} page - Page to navigate
+     * @param {string} url - Maps URL to load
+     * @param {Object} gotoOptions - Options for page.goto
+     * @returns {Promise<number>} - When the request that led to the final page started
+     * @throws {Error} - Blocked error (see throttle.js) on block pages or a consent loop
+     */
+    async openMapsUrl(page, url, gotoOptions) {
+        let requestedAt = await this.navigate(page, url, gotoOptions);
+        const context = page.context();
 
-            // Wait for page to stabilize after consent
-            await page.waitForTimeout(2000);
+        if (page.url().includes('consent.google')) {
+            await this.acceptCookies(page, 5000);
 
-            // If we're still on a consent page, try navigating again
+            // Consent sometimes lands on the home page instead of the URL, so load it again
+            if (page.url().includes('consent.google') || !page.url().startsWith(GOOGLE_MAPS_URL)) {
+                requestedAt = await this.navigate(page, url, gotoOptions);
+            }
             if (page.url().includes('consent.google')) {
-                await page.goto(GOOGLE_MAPS_URL, { waitUntil: 'networkidle', timeout: 30000 });
-                await page.waitForTimeout(2000);
+                throw this.reportBlock({ kind: 'consent-loop', url: page.url() }, requestedAt, page);
             }
+        } else if (!this.consentedContexts.has(context)) {
+            await this.acceptCookies(page);
+        }
+        this.consentedContexts.add(context);
+        return requestedAt;
+    }
 
-            // Try multiple search box selectors
-            const searchSelectors = [
-                'input#searchboxinput',
-                'input[name="q"]',
-                'input[aria-label*="Search"]',
-                'input[aria-label*="Buscar"]',
-                '#searchbox input',
-                'input.searchboxinput',
-            ];
-
-            let searchBox = null;
-            for (const selector of searchSelectors) {
-                searchBox = await page.$(selector);
-                if (searchBox) break;
-            }
+    /**
+     * Build the text typed into the Maps search box
+     * @param {string} query - Search query, empty for all types
+     * @param {string} location - Location to search in
+     * @returns {string}
+     */
+    buildSearchQuery(query, location) {
+        // Use "businesses" as a catch-all term when no specific query is provided
+        const searchTerm = query && query.trim() ? query : 'businesses';
+        return `${searchTerm} in ${location}`;
+    }
 
-            if (!searchBox) {
-                throw new Error('Could not find search box. The page may have changed or consent was not accepted.');
-            }
+    /**
+     * Build the results URL for a search, as the Maps search box would
+     * @param {string} searchQuery - Full search query (e.g., "restaurants in Madrid")
+     * @param {Object} viewport - Optional { lat, lng, zoom } to pin the search to
+     * @returns {string}
+     */
+    buildSearchUrl(searchQuery, viewport = null) {
+        const url = `${GOOGLE_MAPS_URL}/search/${encodeURIComponent(searchQuery).replace(/%20/g, '+')}`;
+        return viewport
+            ? `${url}/@${viewport.lat.toFixed(6)},${viewport.lng.toFixed(6)},${viewport.zoom}z`
+            : url;
+    }
 
-            await searchBox.fill(searchQuery);
-            await searchBox.press('Enter');
+    /**
+     * Search for places on Google Maps
+     * @param {string} query - Search query (e.g., "restaurants"), empty for all types
+     * @param {string} location - Location to search in
+     * @returns {Promise<string[]>} - Array of place URLs
+     */
+    async searchPlaces(query, location) {
+        const searchQuery = this.buildSearchQuery(query, location);
+        this.onProgress(`Searching for "${query ? searchQuery : `all establishments in ${location}`}"...`);
 
-            // Wait for results to load - try multiple selectors
-            let foundResultsContainer = false;
-            const containerSelectors = Array.isArray(SELECTORS.searchResultsContainer)
-                ? SELECTORS.searchResultsContainer
-                : [SELECTORS.searchResultsContainer];
+        const { links } = await this.searchPlacesDirect(searchQuery);
+        this.onProgress(`Found ${links.length} places to check`);
+        return links;
+    }
 
-            for (const selector of containerSelectors) {
-                try {
-                    await page.waitForSelector(selector, { timeout: 5000 });
-                    foundResultsContainer = true;
-                    this.activeResultsSelector = selector;
-                    break;
-                } catch {
-                    continue;
-                }
-            }
+    /**
+     * Wait until a search shows its results list (or a single place)
+     * @param {import('playwright').Page} page - Page with a search loaded
+     * @returns {Promise<string|null>} - Selector of the results list, or null if none was found
+     */
+    async waitForResults(page) {
+        const containerSelectors = Array.isArray(SELECTORS.searchResultsContainer)
+            ? SELECTORS.searchResultsContainer
+            : [SELECTORS.searchResultsContainer];
 
-            if (!foundResultsContainer) {
-                // Wait a bit more and check for any place links directly
-                await page.waitForTimeout(3000);
+        // A search with a single match opens that place instead of a list
+        await page.waitForSelector([...containerSelectors, SELECTORS.placeName].join(', '), { timeout: 15000 }).catch(() => { });
+
+        for (const selector of containerSelectors) {
+            if (await page.$(selector)) {
+                // Results render into the list after it appears
+                await page.waitForSelector(`${selector} ${SELECTORS.searchResultLink}`, { timeout: 5000 }).catch(() => { });
+                return selector;
             }
+        }
+        return null;
+    }
 
-            await page.waitForTimeout(2000); // Allow initial results to render
+    /**
+     * Load a search results URL, scroll the list and collect the place links
+     * @param {string} url - Maps search URL (see buildSearchUrl)
+     * @returns {Promise<{links: string[], reachedEnd: boolean, viewport: Object|null}>} - Place URLs and list state
+     */
+    async loadSearchResults(url) {
+        const page = await this.acquirePage();
 
-            // Scroll to load more results
-            this.onProgress('Loading all results...');
-            await this.scrollResults(page);
+        try {
+            const requestedAt = await this.openMapsUrl(page, url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+            const listSelector = await this.waitForResults(page);
+            await this.checkForBlock(page, requestedAt);
 
-            // Extract place links
-            const links = await extractPlaceLinks(page);
-            this.onProgress(`Found ${links.length} places to check`);
+            if (!listSelector && page.url().includes('/maps/place/')) {
+                return { links: [page.url()], reachedEnd: true, viewport: parseViewport(page.url()) };
+            }
+
+            const reachedEnd = await this.scrollResults(page, listSelector);
 
-            return links;
+            return {
+                links: await extractPlaceLinks(page),
+                reachedEnd,
+                viewport: parseViewport(page.url()),
+            };
         } finally {
-            await page.close();
+            await this.releasePage(page);
         }
     }
 
     /**
      * Scroll through search results to load all items
+     * @param {import('playwright').Page} page - Page showing search results
+     * @param {string|null} listSelector - Results list selector from waitForResults (looked up if missing)
+     * @param {number} maxScrolls - Scroll limit
+     * @returns {Promise<boolean>} - True if the end-of-list marker was reached
      */
-    async scrollResults(page, maxScrolls = 50000) {
+    async scrollResults(page, listSelector = null, maxScrolls = 50000) {
         // Find the right selector
         const containerSelectors = Array.isArray(SELECTORS.searchResultsContainer)
             ? SELECTORS.searchResultsContainer
             : [SELECTORS.searchResultsContainer];
 
-        let activeSelector = this.activeResultsSelector;
+        let activeSelector = listSelector;
         if (!activeSelector) {
             for (const selector of containerSelectors) {
                 const el = await page.$(selector);
@@ -209,13 +530,16 @@ export class GoogleMapsScraper {
             }
         }
 
-        if (!activeSelector) return;
+        if (!activeSelector) return false;
 
-        let previousHeight = 0;
         let scrollCount = 0;
         let noChangeCount = 0;
 
-        while (scrollCount < maxScrolls && noChangeCount < 3) {
+        while (scrollCount < maxScrolls && noChangeCount < 3 && !this.stopped) {
+            if (await hasReachedEndOfList(page, activeSelector, this.language.endOfListPhrases)) {
+                return true;
+            }
+
             // Scroll the results container
             const currentHeight = await page.evaluate((selector) => {
                 const el = document.querySelector(selector);
@@ -226,146 +550,195 @@ export class GoogleMapsScraper {
                 return 0;
             }, activeSelector);
 
-            await page.waitForTimeout(1500);
-
-            if (currentHeight === previousHeight) {
-                noChangeCount++;
-            } else {
-                noChangeCount = 0;
-            }
+            // Wait for more results (or the end marker) instead of a fixed pause
+            const loadedMore = await page.waitForFunction(({ selector, height, markerSelector }) => {
+                const el = document.querySelector(selector);
+                return (el && el.scrollHeight > height) || document.querySelector(markerSelector) !== null;
+            }, { selector: activeSelector, height: currentHeight, markerSelector: SELECTORS.endOfList }, { timeout: 2500, polling: 100 })
+                .then(() => true, () => false);
 
-            previousHeight = currentHeight;
+            noChangeCount = loadedMore ? 0 : noChangeCount + 1;
             scrollCount++;
         }
+
+        return hasReachedEndOfList(page, activeSelector, this.language.endOfListPhrases);
     }
 
     /**
-     * Get details for a single place
-     * @param {string} placeUrl - URL of the place
-     * @returns {Promise<Object|null>} - Place details or null if has website/inactive/duplicate
+     * Guess whether Maps truncated a search instead of listing everything
+     * @param {number} linkCount - Number of place links found
+     * @param {boolean} reachedEnd - Whether the end-of-list marker was seen
+     * @returns {boolean}
      */
-    async getPlaceDetails(placeUrl) {
-        const page = await this.context.newPage();
+    isLikelyCapped(linkCount, reachedEnd) {
+        // Near the cap the list is truncated, even when Maps shows the end marker
+        if (linkCount >= this.capThreshold) return true;
+        // A sizeable list without an end marker means scrolling stopped early
+        return !reachedEnd && linkCount >= this.capThreshold / 2;
+    }
+
+    /**
+     * Split a capped sub-query into smaller cell searches
+     * @param {string|Object} subQuery - Text query or cell search that was capped
+     * @param {Object|null} viewport - Viewport the text query ended up showing
+     * @returns {Object[]} - Child cell searches (empty at the minimum cell size)
+     */
+    splitSubQuery(subQuery, viewport) {
+        if (typeof subQuery !== 'string') {
+            return splitCellSearch(subQuery, this.minCellSizeKm);
+        }
+        if (!viewport) return [];
+
+        // "bars in North Madrid" -> search "bars" inside the viewport Maps chose
+        const term = subQuery.split(' in ')[0];
+        return splitCellSearch(cellSearchFromViewport(term, viewport), this.minCellSizeKm);
+    }
+
+    /**
+     * Open a place page and read its details
+     * @param {string} placeUrl - URL of the place (absolute or relative)
+     * @returns {Promise<Object>} - Details (see extractPlaceDetails); name is null if no place panel rendered
+     * @throws {Error} - Blocked error (see throttle.js) if Google answers with a block page
+     */
+    async loadPlace(placeUrl) {
+        const { details } = await this.readPlacePage(placeUrl);
+        return details;
+    }
+
+    /**
+     * Open a place page, read its details and tell a removed place from a failed load
+     * @param {string} placeUrl - URL of the place (absolute or relative)
+     * @returns {Promise<{details: Object, gone: boolean}>} - Details (see loadPlace); gone is true when Maps
+     *          rendered but shows no place: it redirected to a map or search view, or settled without a place panel
+     * @throws {Error} - Blocked error (see throttle.js) if Google answers with a block page
+     */
+    async readPlacePage(placeUrl) {
+        const page = await this.acquirePage();
 
         try {
-            // Navigate to place page
             const fullUrl = placeUrl.startsWith('http')
                 ? placeUrl
                 : `https://www.google.com${placeUrl}`;
 
-            await page.goto(fullUrl, { waitUntil: 'domcontentloaded', timeout: 15000 });
-            await page.waitForTimeout(1500); // Wait for dynamic content
+            await this.openMapsUrl(page, fullUrl, { waitUntil: 'domcontentloaded', timeout: 15000 });
 
-            // Extract details
-            const details = await extractPlaceDetails(page);
+            // Wait for the place panel: name first, then the address rendered below it
+            await page.waitForSelector(SELECTORS.placeName, { timeout: 10000 }).catch(() => { });
+            await page.waitForSelector(`${SELECTORS.placeAddress}, ${SELECTORS.addressAlt}`, { timeout: 3000 }).catch(() => { });
 
-            // Skip if name already checked
-            if (details.name) {
-                const nameLower = details.name.toLowerCase();
-                if (this.checkedNames.has(nameLower)) {
-                    return null; // Already processed this name
-                }
-                this.checkedNames.add(nameLower);
+            const details = await extractPlaceDetails(page, {
+                defaultCountry: this.country,
+                websiteDomains: this.websiteDomains,
+                language: this.language,
+            });
+            details.featureId = details.featureId || parseFeatureId(fullUrl);
+
+            // A page that never got as far as the Maps search box failed to load (slow, transient)
+            let gone = false;
+            if (!details.name) {
+                const redirected = page.url().startsWith(GOOGLE_MAPS_URL) && !page.url().includes('/maps/place/');
+                gone = redirected || await page.$(this.selectors.searchBox.join(', ')) !== null;
             }
+            return { details, gone };
+        } finally {
+            await this.releasePage(page);
+        }
+    }
 
-            // Only return if place has no website AND is active
-            if (!details.hasWebsite && details.name && details.isActive) {
-                // Search for business email if no email found on Maps page
-                if (!details.emails || details.emails.length === 0) {
-                    const foundEmail = await this.searchEmailForBusiness(details.name, details.address);
-                    if (foundEmail) {
-                        details.emails = [foundEmail];
-                    }
+    /**
+     * Get details for a single place
+     * @param {string} placeUrl - URL of the place
+     * @returns {Promise<{outcome: string, details: Object|null}>} - What the check found (see SEEN_OUTCOMES),
+     *          with details only for new leads (null if has website/inactive/already found)
+     * @throws {Error} - Blocked error (see throttle.js) if Google answers with a block page
+     */
+    async getPlaceDetails(placeUrl) {
+        try {
+            const details = await this.loadPlace(placeUrl);
+
+            // No name: the place panel never rendered
+            if (!details.name) {
+                return { outcome: 'error', details: null };
+            }
+            const outcome = !details.isActive ? 'closed'
+                : this.noWebsiteTypes.includes(details.websiteType) ? 'lead' : 'has_website';
+
+            // Only return if place has no (real) website AND is active
+            if (outcome === 'lead') {
+                // Same place as a lead found earlier under another link: combine the two
+                if (this.foundPlaces.find(details)) {
+                    this.foundPlaces.upsert(details);
+                    return { outcome, details: null };
                 }
-                return details;
+                this.foundPlaces.add(details);
+
+                // Emails on the Maps page belong to the place and are always kept (the signals
+                // are recorded for reference); otherwise search for one
+                let candidates = (details.emails || []).map(email => ({
+                    ...scoreEmail(details.name, email, { sameSnippet: true, source: 'maps', url: placeUrl }),
+                    confidence: 1,
+                }));
+                if (candidates.length === 0) {
+                    candidates = await this.searchEmailForBusiness(details.name, details.address);
+                }
+                details.emailCandidates = candidates;
+                details.emails = candidates
+                    .filter(candidate => candidate.confidence >= this.minEmailConfidence)
+                    .map(candidate => candidate.email);
+                return { outcome, details };
             }
 
-            return null;
+            return { outcome, details: null };
         } catch (error) {
+            // Block pages are not "no lead": the place is retried after the backoff
+            if (isBlockedError(error)) throw error;
             console.error(`Error getting place details: ${error.message}`);
-            return null;
-        } finally {
-            await page.close();
+            return { outcome: 'error', details: null };
         }
     }
 
     /**
-     * Search for a business email using DuckDuckGo (doesn't block bots)
+     * Search the web for a business email using the configured contact providers
      * @param {string} businessName - Name of the business
      * @param {string} address - Address for context
-     * @returns {Promise<string|null>} - Email found or null
+     * @returns {Promise<Object[]>} - Scored email candidates, best first (empty if none)
      */
     async searchEmailForBusiness(businessName, address) {
-        const page = await this.context.newPage();
+        return this.contactDiscovery.discover(await this.contextPool.pickContext(), { businessName, address });
+    }
 
+    /**
+     * Check one place from a queue: report it if it is a lead, mark it visited
+     * and record the outcome in the seen index
+     * @param {string} url - Place URL taken from the queue
+     * @param {string[]} queue - Queue it came from (blocked places go back to its front)
+     * @returns {Promise<{details: Object|null, requeued: boolean}>}
+     */
+    async visitPlace(url, queue) {
+        this.inFlightUrls.add(url);
+        let outcome;
+        let details;
         try {
-            // Build search query - simpler is better
-            const city = address ? address.split(',').slice(-2, -1)[0]?.trim() : '';
-            const searchQuery = `${businessName} ${city} email`;
-
-            // Use DuckDuckGo HTML version (no JavaScript needed, no blocking)
-            const url = `https://html.duckduckgo.com/html/?q=${encodeURIComponent(searchQuery)}`;
-
-            await page.goto(url, {
-                waitUntil: 'domcontentloaded',
-                timeout: 15000
-            });
-
-            await page.waitForTimeout(1500);
-
-            // Get all text content including from links
-            const pageContent = await page.evaluate(() => {
-                // Get visible text
-                let text = document.body.innerText || '';
-
-                // Also get href attributes which might contain mailto links
-                const links = document.querySelectorAll('a[href]');
-                links.forEach(link => {
-                    const href = link.getAttribute('href') || '';
-                    if (href.includes('mailto:') || href.includes('@')) {
-                        text += ' ' + href;
-                    }
-                });
-
-                return text;
-            });
-
-            // Find email patterns
-            const emailPattern = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/gi;
-            const matches = pageContent.match(emailPattern);
-
-            if (matches && matches.length > 0) {
-                // Filter out false positives
-                const blacklist = [
-                    'example.com', 'google.com', 'gstatic.com', 'googleapis.com',
-                    'schema.org', 'w3.org', 'facebook.com', 'twitter.com',
-                    'duckduckgo.com', 'bing.com', 'yahoo.com', 'microsoft.com',
-                    'apple.com', 'amazon.com', 'instagram.com', 'linkedin.com',
-                    'youtube.com', 'whatsapp.com', 'tripadvisor.com'
-                ];
-
-                const validEmails = matches.filter(email => {
-                    const lower = email.toLowerCase();
-                    return !blacklist.some(domain => lower.includes(domain));
-                });
-
-                // Prefer gmail addresses
-                const gmail = validEmails.find(e => e.toLowerCase().includes('gmail.com'));
-                if (gmail) return gmail;
-
-                // Otherwise return first valid email
-                if (validEmails.length > 0) {
-                    return validEmails[0];
-                }
-            }
-
-            return null;
+            ({ outcome, details } = await this.getPlaceDetails(url));
         } catch (error) {
-            // Silently fail - email search is optional
-            return null;
-        } finally {
-            await page.close();
+            this.inFlightUrls.delete(url);
+            if (!isBlockedError(error)) throw error;
+            // Back in line for after the pause, or for --resume if the run gives up
+            queue.unshift(url);
+            return { details: null, requeued: true };
         }
+
+        if (details) {
+            await this.onResult(details);
+        }
+        this.inFlightUrls.delete(url);
+        this.visitedPlaceIds.add(this.visitKey(url));
+        const seenKey = this.seenKey(url);
+        if (this.seenIndex && seenKey) {
+            await this.seenIndex.record(seenKey, outcome, details ? { name: details.name } : {});
+        }
+        await this.saveCheckpoint();
+        return { details, requeued: false };
     }
 
     /**
@@ -375,22 +748,37 @@ export class GoogleMapsScraper {
      */
     async processPlaces(placeUrls) {
         const results = [];
-        const queue = [...placeUrls];
+        // Skip places visited earlier in this run or in a resumed run
+        const unvisited = [...new Set(placeUrls)].filter(url => !this.isVisited(url));
+        // ...and places an earlier run checked recently
+        const queue = unvisited.filter(url => !this.isFreshlySeen(url));
+        this.pendingUrls = queue;
+        if (queue.length < unvisited.length) {
+            const skipped = unvisited.length - queue.length;
+            this.seenIndex.skip(skipped);
+            this.onProgress(`Skipping ${skipped} places checked in the last ${this.seenIndex.freshDays} days`);
+        }
         let processed = 0;
-        const total = placeUrls.length;
-
-        // Worker function
-        const worker = async () => {
-            while (queue.length > 0) {
-                const url = queue.shift();
-                if (!url) break;
+        const total = queue.length;
+
+        // Workers above the (block-lowered) concurrency wait until it recovers; a worker
+        // only leaves once no place is queued or in flight (a blocked one comes back)
+        const changes = createChangeSignal();
+        const worker = async (index) => {
+            while (!this.stopped) {
+                const url = index < this.blockGuard.concurrency ? queue.shift() : null;
+                if (!url) {
+                    if (queue.length === 0 && this.inFlightUrls.size === 0) break;
+                    await changes.wait();
+                    continue;
+                }
 
-                const details = await this.getPlaceDetails(url);
+                const visit = await this.visitPlace(url, queue);
+                changes.notify();
+                if (visit.requeued) continue;
                 processed++;
-
-                if (details) {
-                    results.push(details);
-                    this.onResult(details);
+                if (visit.details) {
+                    results.push(visit.details);
                 }
 
                 this.onProgress(`Processing: ${processed}/${total} (found ${results.length} without websites)`);
@@ -400,7 +788,7 @@ export class GoogleMapsScraper {
         // Create worker pool
         const workers = Array(Math.min(this.concurrency, queue.length))
             .fill(null)
-            .map(() => worker());
+            .map((_, index) => worker(index));
 
         await Promise.all(workers);
 
@@ -417,71 +805,167 @@ export class GoogleMapsScraper {
         try {
             await this.launch();
 
-            // Search and get all place links
-            const placeUrls = await this.searchPlaces(query, location);
+            // Search and get all place links, unless a resumed run already did
+            const searchKey = this.buildSearchQuery(query, location);
+            let placeUrls = this.pendingUrls;
+            if (!this.completedQueries.has(searchKey)) {
+                placeUrls = await this.retryWhileBlocked(() => this.searchPlaces(query, location));
+                if (this.stopped) return [];
+                this.completedQueries.add(searchKey);
+                this.pendingUrls = placeUrls;
+                await this.saveCheckpoint();
+            }
 
             if (placeUrls.length === 0) {
                 this.onProgress('No places found for this search');
                 return [];
             }
 
-            // Process all places
-            const results = await this.processPlaces(placeUrls);
+            // Process all places; leads seen under several links come back merged
+            await this.processPlaces(placeUrls);
 
-            return results;
+            return this.foundPlaces.values();
         } finally {
             await this.close();
         }
     }
 
     /**
-     * Scrape with automatic area subdivision for more results
-     * Now handles full search queries like "restaurants in North Madrid"
+     * Scrape with automatic area subdivision for more results.
+     * Searches run ahead (up to searchConcurrency at a time) into one place queue,
+     * deduplicated by feature ID, while up to `concurrency` detail workers drain it.
+     * Handles full search queries like "restaurants in North Madrid" as well as
+     * grid cell searches ({ label, query, lat, lng, zoom }) from gridSubdivide
      * @param {string} query - Search query (ignored when using subdivided queries)
      * @param {string} location - Main location (for reference)
-     * @param {string[]} subQueries - Array of full search queries to run
+     * @param {Array<string|Object>} subQueries - Search queries or grid cells to run
      * @returns {Promise<Object[]>} - Deduplicated array of places without websites
      */
     async scrapeWithSubdivision(query, location, subQueries) {
-        const allResults = new Map(); // Use Map for deduplication by placeId/name
-
         try {
             await this.launch();
 
-            for (let i = 0; i < subQueries.length; i++) {
-                const searchQuery = subQueries[i];
-                this.onProgress(`[${i + 1}/${subQueries.length}] ${searchQuery}`);
-
-                try {
-                    // Search using the full query directly
-                    const placeUrls = await this.searchPlacesDirect(searchQuery);
-
-                    if (placeUrls.length > 0) {
-                        this.onProgress(`[${i + 1}/${subQueries.length}] Found ${placeUrls.length} places`);
-
-                        // Process places from this search
-                        const results = await this.processPlaces(placeUrls);
+            // Places left over from an interrupted run are checked first
+            const queue = [...new Set(this.pendingUrls)]
+                .filter(url => !this.isVisited(url) && !this.isFreshlySeen(url));
+            const queuedKeys = new Set([...this.visitedPlaceIds, ...queue.map(url => this.visitKey(url))]);
+            this.pendingUrls = queue;
+            if (queue.length > 0) {
+                this.onProgress(`Resuming ${queue.length} pending places`);
+            }
 
-                        // Add to map, deduplicating by placeId or name
-                        for (const result of results) {
-                            const key = result.placeId || result.name?.toLowerCase();
-                            if (key && !allResults.has(key)) {
-                                allResults.set(key, result);
+            // Cells added by adaptive splitting are searched after the original list
+            const searches = [...subQueries, ...this.addedQueries];
+            const labelOf = (subQuery) => typeof subQuery === 'string' ? subQuery : subQuery.label;
+            const queued = new Set(searches.map(labelOf));
+
+            let nextSearch = 0;
+            let runningSearches = 0;
+            let checked = 0;
+            let seen = 0;
+            const searchesLeft = () => !this.stopped && (runningSearches > 0 || nextSearch < searches.length);
+
+            // Workers waiting for places (or for room in the queue) wake on any change
+            const changes = createChangeSignal();
+            const notify = changes.notify;
+            const waitForChange = changes.wait;
+
+            const reportProgress = () => {
+                const done = searches.filter(subQuery => this.completedQueries.has(labelOf(subQuery))).length;
+                this.onProgress(`Searches: ${done}/${searches.length} done, ${runningSearches} running | Places: ${queue.length} queued, ${this.inFlightUrls.size} checking, ${checked} checked${seen > 0 ? `, ${seen} seen recently` : ''} | Found: ${this.foundPlaces.size}`);
+            };
+
+            const searchWorker = async () => {
+                while (!this.stopped) {
+                    // Don't run too far ahead of the detail workers
+                    if (queue.length >= this.maxQueuedPlaces) {
+                        await waitForChange();
+                        continue;
+                    }
+                    if (nextSearch >= searches.length) break;
+
+                    const i = nextSearch++;
+                    const subQuery = searches[i];
+                    const searchQuery = labelOf(subQuery);
+                    if (this.completedQueries.has(searchQuery)) continue;
+
+                    runningSearches++;
+                    reportProgress();
+                    try {
+                        // Text queries open their results URL, grid cells a pinned viewport
+                        const search = await this.retryWhileBlocked(() => typeof subQuery === 'string'
+                            ? this.searchPlacesDirect(subQuery)
+                            : this.searchPlacesAt(subQuery.query, subQuery));
+                        if (this.stopped) break;
+
+                        const placeUrls = search.links;
+
+                        // Dense area: search it again in smaller pieces
+                        if (this.adaptive && this.isLikelyCapped(placeUrls.length, search.reachedEnd)) {
+                            const children = this.splitSubQuery(subQuery, search.viewport)
+                                .filter(child => !queued.has(child.label));
+                            children.forEach(child => queued.add(child.label));
+                            this.addedQueries.push(...children);
+                            searches.push(...children);
+
+                            if (children.length > 0) {
+                                this.onProgress(`[${i + 1}/${searches.length}] ${placeUrls.length} results looks capped, split into ${children.length} smaller cells`);
                             }
                         }
 
-                        this.onProgress(`[${i + 1}/${subQueries.length}] Total unique: ${allResults.size}`);
+                        // Queue places no other search has queued and no earlier run checked
+                        // recently; from here on the search is done
+                        for (const url of placeUrls) {
+                            const key = this.visitKey(url);
+                            if (queuedKeys.has(key) || this.isVisited(url)) continue;
+                            queuedKeys.add(key);
+                            if (this.isFreshlySeen(url)) {
+                                this.seenIndex.skip();
+                                seen++;
+                            } else {
+                                queue.push(url);
+                            }
+                        }
+                        this.completedQueries.add(searchQuery);
+                        await this.saveCheckpoint();
+                    } catch (error) {
+                        this.onProgress(`[${i + 1}/${searches.length}] Error: ${error.message}`);
+                        // Continue with next query
+                    } finally {
+                        runningSearches--;
+                        notify();
                     }
-                } catch (error) {
-                    this.onProgress(`[${i + 1}/${subQueries.length}] Error: ${error.message}`);
-                    // Continue with next query
+                    reportProgress();
                 }
+            };
+
+            // Workers above the (block-lowered) concurrency wait until it recovers; a worker
+            // only leaves once no search is left and no place is queued or in flight
+            const detailWorker = async (index) => {
+                while (!this.stopped) {
+                    const url = index < this.blockGuard.concurrency ? queue.shift() : null;
+                    if (!url) {
+                        if (!searchesLeft() && queue.length === 0 && this.inFlightUrls.size === 0) break;
+                        await waitForChange();
+                        continue;
+                    }
+                    notify(); // Room in the queue for searches waiting on it
 
-                // Small delay between searches to be gentle
-                await new Promise(resolve => setTimeout(resolve, 2000));
-            }
+                    const visit = await this.visitPlace(url, queue);
+                    notify(); // A blocked place is back in the queue, or nothing is left
+                    if (visit.requeued) continue;
+                    checked++;
+                    reportProgress();
+                }
+            };
+
+            await Promise.all([
+                ...Array.from({ length: this.searchConcurrency }, () => searchWorker()),
+                ...Array.from({ length: this.concurrency }, (_, index) => detailWorker(index)),
+            ]);
 
-            return [...allResults.values()];
+            // Leads are deduplicated and merged as they are found (see getPlaceDetails)
+            return this.foundPlaces.values();
         } finally {
             await this.close();
         }
@@ -490,64 +974,23 @@ export class GoogleMapsScraper {
     /**
      * Search places using a direct query string
      * @param {string} searchQuery - Full search query (e.g., "restaurants in Madrid")
-     * @returns {Promise<string[]>} - Array of place URLs
+     * @returns {Promise<{links: string[], reachedEnd: boolean, viewport: Object|null}>} - Place URLs and list state
      */
     async searchPlacesDirect(searchQuery) {
-        const page = await this.context.newPage();
-
-        try {
-            // Navigate to Google Maps
-            await page.goto(GOOGLE_MAPS_URL, { waitUntil: 'networkidle', timeout: 30000 });
-            await this.acceptCookies(page);
-            await page.waitForTimeout(2000);
-
-            // Handle consent redirect
-            if (page.url().includes('consent.google')) {
-                await page.goto(GOOGLE_MAPS_URL, { waitUntil: 'networkidle', timeout: 30000 });
-                await page.waitForTimeout(2000);
-            }
-
-            // Find search box
-            const searchSelectors = [
-                'input#searchboxinput',
-                'input[name="q"]',
-                'input[aria-label*="Search"]',
-                'input[aria-label*="Buscar"]',
-            ];
-
-            let searchBox = null;
-            for (const selector of searchSelectors) {
-                searchBox = await page.$(selector);
-                if (searchBox) break;
-            }
-
-            if (!searchBox) {
-                throw new Error('Could not find search box');
-            }
-
-            await searchBox.fill(searchQuery);
-            await searchBox.press('Enter');
-
-            // Wait for results
-            const containerSelectors = Array.isArray(SELECTORS.searchResultsContainer)
-                ? SELECTORS.searchResultsContainer
-                : [SELECTORS.searchResultsContainer];
-
-            for (const selector of containerSelectors) {
-                try {
-                    await page.waitForSelector(selector, { timeout: 5000 });
-                    this.activeResultsSelector = selector;
-                    break;
-                } catch { continue; }
-            }
-
-            await page.waitForTimeout(2000);
-            await this.scrollResults(page);
+        return this.loadSearchResults(this.buildSearchUrl(searchQuery));
+    }
 
-            return await extractPlaceLinks(page);
-        } finally {
-            await page.close();
-        }
+    /**
+     * Search places inside a fixed map viewport
+     * @param {string} query - Search term (e.g., "restaurants")
+     * @param {Object} viewport - Viewport to pin the search to
+     * @param {number} viewport.lat - Latitude of the viewport center
+     * @param {number} viewport.lng - Longitude of the viewport center
+     * @param {number} viewport.zoom - Maps zoom level
+     * @returns {Promise<{links: string[], reachedEnd: boolean, viewport: Object|null}>} - Place URLs and list state
+     */
+    async searchPlacesAt(query, { lat, lng, zoom }) {
+        return this.loadSearchResults(this.buildSearchUrl(query, { lat, lng, zoom }));
     }
 }
 
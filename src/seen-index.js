@@ -0,0 +1,151 @@
+/**
+ * Seen Index Module
+ * Persistent record of the places already checked, so re-runs skip the ones
+ * checked recently without opening their page
+ */
+
+import { appendFile, readFile } from 'fs/promises';
+import path from 'path';
+import { writeFileAtomic } from './storage.js';
+
+// What a place check found
+export const SEEN_OUTCOMES = ['lead', 'has_website', 'closed', 'error'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the seen index path that belongs to an output file
+ * @param {string} outputFile - Path to the results file
+ * @returns {string} - e.g. "results.json" -> "results.seen.ndjson"
+ */
+export function getSeenIndexPath(outputFile) {
+    const { dir, name } = path.parse(outputFile);
+    return path.join(dir, `${name}.seen.ndjson`);
+}
+
+/**
+ * Read the latest entry per place from an index file
+ * @param {string} filename - Path to the index
+ * @returns {Promise<{entries: Map<string, Object>, lines: number}>} - Entries by place ID and intact line count
+ */
+async function readIndex(filename) {
+    let content;
+    try {
+        content = await readFile(filename, 'utf-8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return { entries: new Map(), lines: 0 };
+        throw error;
+    }
+
+    const entries = new Map();
+    let lines = 0;
+    for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            const entry = JSON.parse(line);
+            if (entry?.placeId && SEEN_OUTCOMES.includes(entry.outcome)) {
+                entries.set(entry.placeId, entry);
+                lines++;
+            }
+        } catch {
+            // Truncated by a crash mid-append
+        }
+    }
+    return { entries, lines };
+}
+
+/**
+ * Open (or start) a seen index. Each check is appended as one NDJSON line; the latest
+ * line per place wins, and the file is compacted on open once most lines are stale.
+ * Places whose last check was an error are never fresh, so they are retried next run.
+ * @param {string} filename - Path to the index
+ * @param {Object} options - Index options
+ * @param {number} options.freshDays - Days a check stays fresh (0 = always re-check)
+ * @returns {Promise<Object>} - { file, freshDays, isFresh, get, record, skip, flush, size, summary }
+ * @throws {Error} - If the file exists but cannot be read
+ */
+export async function openSeenIndex(filename, options = {}) {
+    const { freshDays = 7 } = options;
+    const freshMs = freshDays * DAY_MS;
+    const { entries, lines } = await readIndex(filename);
+
+    let writing = Promise.resolve();
+    if (lines > entries.size * 2) {
+        const compacted = [...entries.values()].map(entry => JSON.stringify(entry) + '\n').join('');
+        writing = writeFileAtomic(filename, compacted);
+        await writing;
+    }
+
+    const counts = { skipped: 0, recorded: 0 };
+
+    /**
+     * Check whether a place was checked recently enough to skip
+     * @param {string|null} placeId - Place ID (see GoogleMapsScraper#seenKey)
+     * @param {number} now - Current time (ms)
+     * @returns {boolean}
+     */
+    function isFresh(placeId, now = Date.now()) {
+        const entry = placeId && entries.get(placeId);
+        if (!entry || entry.outcome === 'error') return false;
+        return now - Date.parse(entry.visitedAt) < freshMs;
+    }
+
+    /**
+     * Remember the outcome of a place check. Appends are serialized so lines never interleave.
+     * @param {string} placeId - Place ID
+     * @param {string} outcome - One of SEEN_OUTCOMES
+     * @param {Object} extra - Extra fields to keep (e.g. name)
+     * @returns {Promise<void>}
+     */
+    function record(placeId, outcome, extra = {}) {
+        if (!SEEN_OUTCOMES.includes(outcome)) {
+            throw new Error(`Invalid outcome "${outcome}" (expected ${SEEN_OUTCOMES.join(', ')})`);
+        }
+        const entry = { placeId, outcome, visitedAt: new Date().toISOString(), ...extra };
+        entries.set(placeId, entry);
+        counts.recorded++;
+        writing = writing
+            .then(() => appendFile(filename, JSON.stringify(entry) + '\n', 'utf-8'))
+            .catch(error => console.error(`Error saving seen index: ${error.message}`));
+        return writing;
+    }
+
+    return {
+        file: filename,
+        freshDays,
+        isFresh,
+        record,
+        /**
+         * @param {string} placeId - Place ID
+         * @returns {Object|null} - Latest entry { placeId, outcome, visitedAt, name }
+         */
+        get(placeId) {
+            return entries.get(placeId) || null;
+        },
+        /**
+         * Count places skipped because they were fresh
+         * @param {number} count - Places skipped
+         */
+        skip(count = 1) {
+            counts.skipped += count;
+        },
+        /**
+         * Wait for pending appends
+         * @returns {Promise<void>}
+         */
+        flush() {
+            return writing;
+        },
+        get size() {
+            return entries.size;
+        },
+        /**
+         * @returns {{places: number, skipped: number, recorded: number}}
+         */
+        summary() {
+            return { places: entries.size, ...counts };
+        },
+    };
+}
+
+export default { openSeenIndex, getSeenIndexPath, SEEN_OUTCOMES };
@@ -0,0 +1,437 @@
+/**
+ * Server Module
+ * Local HTTP API to launch, monitor and cancel scrape jobs. Jobs run through
+ * GoogleMapsScraper, a limited number at a time; their progress and results
+ * are streamed as Server-Sent Events
+ */
+
+import { createServer } from 'http';
+import { GoogleMapsScraper } from './scraper.js';
+import { smartSubdivide } from './subdivide.js';
+import { inferCountry } from './phone.js';
+
+// queued -> running -> done | failed | cancelled (queued jobs can go straight to cancelled)
+export const JOB_STATUSES = ['queued', 'running', 'done', 'failed', 'cancelled'];
+
+const FINISHED_STATUSES = ['done', 'failed', 'cancelled'];
+
+// Largest page of results, and largest request body accepted
+const MAX_PAGE_SIZE = 500;
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Comment line sent on idle event streams so proxies keep them open
+const HEARTBEAT_MS = 15000;
+
+/**
+ * Validate a job submission
+ * @param {Object} body - Parsed request body { query, location, subdivide, concurrency }
+ * @param {Object} limits - Limits
+ * @param {number} limits.concurrency - Concurrency when the body has none
+ * @param {number} limits.maxConcurrency - Highest concurrency a job may ask for
+ * @returns {{query: string, location: string, subdivide: boolean, concurrency: number}}
+ * @throws {Error} - On a missing location or invalid field
+ */
+export function parseJobRequest(body, limits = {}) {
+    const { concurrency: defaultConcurrency = 10, maxConcurrency = 20 } = limits;
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new Error('Invalid job (expected a JSON object with "location")');
+    }
+    const { query = '', location, subdivide = false, concurrency = defaultConcurrency } = body;
+    if (typeof location !== 'string' || !location.trim()) {
+        throw new Error('Invalid "location" (expected a non-empty string)');
+    }
+    if (typeof query !== 'string') {
+        throw new Error('Invalid "query" (expected a string)');
+    }
+    if (typeof subdivide !== 'boolean') {
+        throw new Error('Invalid "subdivide" (expected true or false)');
+    }
+    if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > maxConcurrency) {
+        throw new Error(`Invalid "concurrency" (expected a whole number from 1 to ${maxConcurrency})`);
+    }
+    return { query: query.trim(), location: location.trim(), subdivide, concurrency };
+}
+
+/**
+ * Create a job manager: a queue of scrape jobs of which at most maxRunning run at once
+ * @param {Object} options - Manager options
+ * @param {number} options.maxRunning - Jobs running at once
+ * @param {Object} options.scraperOptions - Options shared by every job's GoogleMapsScraper
+ *          (headless, locale, language, contactDiscovery, replayFrom, ...)
+ * @returns {Object} - { submit, list, get, cancel, results, subscribe, close }
+ */
+export function createJobManager(options = {}) {
+    const { maxRunning = 1, scraperOptions = {} } = options;
+    const jobs = new Map();
+    const queue = [];
+    const running = new Set();
+    let nextId = 1;
+
+    /**
+     * Public view of a job (no results or internals)
+     * @param {Object} job - Job
+     * @returns {Object}
+     */
+    const summarize = (job) => ({
+        id: job.id,
+        status: job.status,
+        query: job.query,
+        location: job.location,
+        subdivide: job.subdivide,
+        concurrency: job.concurrency,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        progress: job.progress,
+        resultCount: job.results.length,
+        blocks: job.blocks,
+        error: job.error,
+    });
+
+    /**
+     * Send an event to everyone following a job
+     * @param {Object} job - Job
+     * @param {string} event - "status", "progress" or "result"
+     * @param {Object} data - Event data
+     */
+    const emit = (job, event, data) => {
+        for (const listener of job.listeners) {
+            listener(event, data);
+        }
+    };
+
+    /**
+     * Run a job to the end and start the next queued one
+     * @param {Object} job - Job
+     */
+    const run = async (job) => {
+        running.add(job);
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        emit(job, 'status', summarize(job));
+
+        let scraper = null;
+        try {
+            scraper = new GoogleMapsScraper({
+                ...scraperOptions,
+                concurrency: job.concurrency,
+                country: scraperOptions.country || inferCountry(job.location),
+                onProgress: (message) => {
+                    job.progress = message;
+                    emit(job, 'progress', { message });
+                },
+                onResult: (result) => {
+                    job.results.push(result);
+                    emit(job, 'result', { index: job.results.length - 1, result });
+                },
+            });
+            job.scraper = scraper;
+
+            const results = job.subdivide
+                ? await scraper.scrapeWithSubdivision(job.query, job.location,
+                    smartSubdivide(job.location, job.query ? { categories: [job.query] } : {}))
+                : await scraper.scrape(job.query, job.location);
+            // Leads seen under several links come back merged
+            job.results = results;
+            job.status = job.cancelRequested ? 'cancelled' : 'done';
+        } catch (error) {
+            job.status = 'failed';
+            job.error = error.message;
+        } finally {
+            job.blocks = scraper?.getBlockSummary() ?? null;
+            job.scraper = null;
+            job.finishedAt = new Date().toISOString();
+            running.delete(job);
+            emit(job, 'status', summarize(job));
+            job.listeners.clear();
+            job.done();
+            startNext();
+        }
+    };
+
+    const startNext = () => {
+        while (running.size < maxRunning && queue.length > 0) {
+            run(queue.shift());
+        }
+    };
+
+    /**
+     * @param {string} id - Job ID
+     * @returns {Object} - The job
+     * @throws {Error} - With code "ENOJOB" if there is no such job
+     */
+    const getJob = (id) => {
+        const job = jobs.get(id);
+        if (!job) {
+            throw Object.assign(new Error(`No job "${id}"`), { code: 'ENOJOB' });
+        }
+        return job;
+    };
+
+    return {
+        /**
+         * Queue a job; it starts as soon as fewer than maxRunning jobs run
+         * @param {Object} request - Validated request (see parseJobRequest)
+         * @returns {Object} - Job summary
+         */
+        submit(request) {
+            let done;
+            const job = {
+                id: String(nextId++),
+                ...request,
+                status: 'queued',
+                createdAt: new Date().toISOString(),
+                startedAt: null,
+                finishedAt: null,
+                progress: null,
+                results: [],
+                blocks: null,
+                error: null,
+                cancelRequested: false,
+                scraper: null,
+                listeners: new Set(),
+                finished: new Promise(resolve => { done = resolve; }),
+            };
+            job.done = done;
+            jobs.set(job.id, job);
+            queue.push(job);
+            startNext();
+            return summarize(job);
+        },
+
+        /**
+         * @returns {Object[]} - Summaries of all jobs, oldest first
+         */
+        list() {
+            return [...jobs.values()].map(summarize);
+        },
+
+        /**
+         * @param {string} id - Job ID
+         * @returns {Object} - Job summary
+         */
+        get(id) {
+            return summarize(getJob(id));
+        },
+
+        /**
+         * Cancel a job: a queued one never starts, a running one stops after
+         * the pages in flight (leads found so far are kept)
+         * @param {string} id - Job ID
+         * @returns {Object} - Job summary
+         */
+        cancel(id) {
+            const job = getJob(id);
+            if (job.status === 'queued') {
+                queue.splice(queue.indexOf(job), 1);
+                job.status = 'cancelled';
+                job.finishedAt = new Date().toISOString();
+                emit(job, 'status', summarize(job));
+                job.listeners.clear();
+                job.done();
+            } else if (job.status === 'running') {
+                job.cancelRequested = true;
+                job.scraper?.stop();
+            }
+            return summarize(job);
+        },
+
+        /**
+         * Page through the leads of a job
+         * @param {string} id - Job ID
+         * @param {Object} page - Page to return
+         * @param {number} page.offset - Leads to skip
+         * @param {number} page.limit - Leads to return (up to MAX_PAGE_SIZE)
+         * @returns {{total: number, offset: number, limit: number, results: Object[]}}
+         */
+        results(id, page = {}) {
+            const job = getJob(id);
+            const offset = Math.max(0, page.offset || 0);
+            const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, page.limit || 50));
+            return { total: job.results.length, offset, limit, results: job.results.slice(offset, offset + limit) };
+        },
+
+        /**
+         * Follow the events of a job until it finishes
+         * @param {string} id - Job ID
+         * @param {Function} listener - Called with (event, data)
+         * @returns {Function} - Stops following
+         */
+        subscribe(id, listener) {
+            const job = getJob(id);
+            job.listeners.add(listener);
+            return () => job.listeners.delete(listener);
+        },
+
+        /**
+         * Cancel every job and wait for the running ones to stop
+         * @returns {Promise<void>}
+         */
+        async close() {
+            const unfinished = [...jobs.values()].filter(job => !FINISHED_STATUSES.includes(job.status));
+            unfinished.forEach(job => this.cancel(job.id));
+            await Promise.all(unfinished.map(job => job.finished));
+        },
+    };
+}
+
+/**
+ * Send a JSON response
+ * @param {import('http').ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'content-type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {import('http').IncomingMessage} req - Request
+ * @returns {Promise<Object>}
+ * @throws {Error} - With status 413 if too large, 400 if not JSON
+ */
+async function readJsonBody(req) {
+    let body = '';
+    for await (const chunk of req) {
+        body += chunk;
+        if (body.length > MAX_BODY_BYTES) {
+            throw Object.assign(new Error(`Request body too large (expected at most ${MAX_BODY_BYTES} bytes)`), { status: 413 });
+        }
+    }
+    try {
+        return JSON.parse(body || '{}');
+    } catch {
+        throw Object.assign(new Error('Request body is not valid JSON'), { status: 400 });
+    }
+}
+
+/**
+ * Stream the events of a job as Server-Sent Events. The stream starts with the
+ * job's current status and ends after its final status event.
+ * @param {Object} manager - Job manager
+ * @param {string} id - Job ID
+ * @param {import('http').IncomingMessage} req - Request
+ * @param {import('http').ServerResponse} res - Response
+ */
+function streamEvents(manager, id, req, res) {
+    const job = manager.get(id);
+    res.writeHead(200, {
+        'content-type': 'text/event-stream; charset=utf-8',
+        'cache-control': 'no-cache',
+        connection: 'keep-alive',
+    });
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    send('status', job);
+    if (FINISHED_STATUSES.includes(job.status)) {
+        res.end();
+        return;
+    }
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    const stop = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    };
+    const unsubscribe = manager.subscribe(id, (event, data) => {
+        send(event, data);
+        if (event === 'status' && FINISHED_STATUSES.includes(data.status)) {
+            stop();
+            res.end();
+        }
+    });
+    req.on('close', stop);
+}
+
+/**
+ * Create the HTTP server of the job API:
+ * GET /jobs, POST /jobs, GET /jobs/:id, POST /jobs/:id/cancel,
+ * GET /jobs/:id/results?offset=&limit=, GET /jobs/:id/events (Server-Sent Events)
+ * @param {Object} manager - Job manager (see createJobManager)
+ * @param {Object} limits - Job limits (see parseJobRequest)
+ * @returns {import('http').Server}
+ */
+export function createApiServer(manager, limits = {}) {
+    return createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const [resource, id, action, ...rest] = url.pathname.split('/').filter(Boolean);
+        const route = `${req.method} ${[resource, id && ':id', action].filter(Boolean).join('/')}`;
+
+        try {
+            if (resource !== 'jobs' || rest.length > 0) {
+                return sendJson(res, 404, { error: `Not found: ${url.pathname}` });
+            }
+            switch (route) {
+                case 'GET jobs':
+                    return sendJson(res, 200, { jobs: manager.list() });
+                case 'POST jobs': {
+                    const body = await readJsonBody(req);
+                    let request;
+                    try {
+                        request = parseJobRequest(body, limits);
+                    } catch (error) {
+                        return sendJson(res, 400, { error: error.message });
+                    }
+                    return sendJson(res, 201, manager.submit(request));
+                }
+                case 'GET jobs/:id':
+                    return sendJson(res, 200, manager.get(id));
+                case 'POST jobs/:id/cancel':
+                    return sendJson(res, 200, manager.cancel(id));
+                case 'GET jobs/:id/results':
+                    return sendJson(res, 200, manager.results(id, {
+                        offset: parseInt(url.searchParams.get('offset'), 10) || 0,
+                        limit: parseInt(url.searchParams.get('limit'), 10) || undefined,
+                    }));
+                case 'GET jobs/:id/events':
+                    return streamEvents(manager, id, req, res);
+                default:
+                    return sendJson(res, 405, { error: `Method ${req.method} not allowed on ${url.pathname}` });
+            }
+        } catch (error) {
+            const status = error.code === 'ENOJOB' ? 404 : error.status || 500;
+            return sendJson(res, status, { error: error.message });
+        }
+    });
+}
+
+/**
+ * Start the job API
+ * @param {Object} options - Server options
+ * @param {number} options.port - Port to listen on (0 = any free port)
+ * @param {string} options.host - Interface to listen on
+ * @param {number} options.maxRunning - Jobs running at once
+ * @param {number} options.concurrency - Concurrency of jobs that do not ask for one
+ * @param {number} options.maxConcurrency - Highest concurrency a job may ask for
+ * @param {Object} options.scraperOptions - Options shared by every job's GoogleMapsScraper
+ * @returns {Promise<{url: string, manager: Object, server: import('http').Server, close: Function}>}
+ */
+export async function startServer(options = {}) {
+    const { port = 3000, host = '127.0.0.1', maxRunning = 1, concurrency, maxConcurrency, scraperOptions } = options;
+    const manager = createJobManager({ maxRunning, scraperOptions });
+    const server = createApiServer(manager, { concurrency, maxConcurrency });
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+    });
+
+    const address = server.address();
+    return {
+        url: `http://${address.family === 'IPv6' ? `[${address.address}]` : address.address}:${address.port}`,
+        manager,
+        server,
+        /**
+         * Stop accepting requests, cancel all jobs and close open streams
+         * @returns {Promise<void>}
+         */
+        async close() {
+            const closed = new Promise(resolve => server.close(resolve));
+            await manager.close();
+            server.closeAllConnections();
+            await closed;
+        },
+    };
+}
+
+export default { startServer, createApiServer, createJobManager, parseJobRequest, JOB_STATUSES };
@@ -0,0 +1,277 @@
+/**
+ * SQLite Storage Backend
+ * Stores places, runs and sightings in a SQLite database; repeated sightings
+ * of a place (see identity.js) are merged into its row, and each sighting keeps
+ * the place as that run left it
+ */
+
+import Database from 'better-sqlite3';
+import { placeIdentity, samePlace, mergePlaces, normalizeName, normalizeAddress } from './identity.js';
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS places (
+        key TEXT PRIMARY KEY,
+        place_id TEXT,
+        name TEXT,
+        name_key TEXT,
+        address TEXT,
+        phone TEXT,
+        data TEXT NOT NULL,
+        first_seen_at TEXT NOT NULL,
+        last_seen_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS places_place_id ON places (place_id);
+    CREATE INDEX IF NOT EXISTS places_name_key ON places (name_key);
+    CREATE INDEX IF NOT EXISTS places_phone ON places (phone);
+
+    CREATE TABLE IF NOT EXISTS runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        query TEXT,
+        location TEXT,
+        started_at TEXT NOT NULL,
+        finished_at TEXT,
+        found_count INTEGER
+    );
+
+    CREATE TABLE IF NOT EXISTS sightings (
+        run_id INTEGER NOT NULL REFERENCES runs (id),
+        place_key TEXT NOT NULL REFERENCES places (key),
+        seen_at TEXT NOT NULL,
+        PRIMARY KEY (run_id, place_key)
+    );
+    CREATE INDEX IF NOT EXISTS sightings_place_key ON sightings (place_key);
+`;
+
+// Columns added after the first schema (per table), added to older databases on open
+const ADDED_COLUMNS = {
+    places: { feature_id: 'TEXT', address_key: 'TEXT' },
+    sightings: { data: 'TEXT' },
+};
+
+/**
+ * Add missing columns and their indexes to a database created by an older version
+ * @param {import('better-sqlite3').Database} db - Open database
+ */
+function migrate(db) {
+    for (const [table, added] of Object.entries(ADDED_COLUMNS)) {
+        const columns = db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name);
+        for (const [column, type] of Object.entries(added)) {
+            if (!columns.includes(column)) {
+                db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+            }
+        }
+    }
+    db.exec(`
+        CREATE INDEX IF NOT EXISTS places_feature_id ON places (feature_id);
+        CREATE INDEX IF NOT EXISTS places_address_key ON places (address_key);
+    `);
+}
+
+/**
+ * Open (and create if needed) a SQLite results database
+ * @param {string} filename - Path to the database file
+ * @returns {Object} - Storage backend (see openStorage in storage.js)
+ */
+export function createSqliteStorage(filename) {
+    const db = new Database(filename);
+    // WAL + busy timeout let several runs write to the same database
+    db.pragma('journal_mode = WAL');
+    db.pragma('busy_timeout = 5000');
+    db.exec(SCHEMA);
+    migrate(db);
+
+    const statements = {
+        insertRun: db.prepare('INSERT INTO runs (query, location, started_at) VALUES (?, ?, ?)'),
+        finishRun: db.prepare('UPDATE runs SET finished_at = ?, found_count = ? WHERE id = ?'),
+        latestRun: db.prepare('SELECT * FROM runs ORDER BY id DESC LIMIT 1'),
+        getRun: db.prepare('SELECT * FROM runs WHERE id = ?'),
+        allRuns: db.prepare('SELECT * FROM runs ORDER BY id'),
+        upsertPlace: db.prepare(`
+            INSERT INTO places (key, place_id, feature_id, name, name_key, address, address_key, phone, data, first_seen_at, last_seen_at)
+            VALUES (@key, @placeId, @featureId, @name, @nameKey, @address, @addressKey, @phone, @data, @seenAt, @seenAt)
+            ON CONFLICT (key) DO UPDATE SET
+                place_id = excluded.place_id,
+                feature_id = excluded.feature_id,
+                name = excluded.name,
+                name_key = excluded.name_key,
+                address = excluded.address,
+                address_key = excluded.address_key,
+                phone = excluded.phone,
+                data = excluded.data,
+                last_seen_at = excluded.last_seen_at
+        `),
+        // Rows that could be the same place; samePlace makes the call
+        candidates: db.prepare(`
+            SELECT key, data FROM places
+            WHERE key = @key OR feature_id = @featureId OR name_key = @nameKey
+                OR address_key = @addressKey OR phone = @phone
+            ORDER BY first_seen_at, rowid
+        `),
+        upsertSighting: db.prepare(`
+            INSERT INTO sightings (run_id, place_key, seen_at, data) VALUES (?, ?, ?, ?)
+            ON CONFLICT (run_id, place_key) DO UPDATE SET data = excluded.data
+        `),
+        allPlaces: db.prepare('SELECT data FROM places ORDER BY first_seen_at, rowid'),
+        // Sightings from before snapshots were kept fall back to the current row
+        runPlaces: db.prepare(`
+            SELECT COALESCE(sightings.data, places.data) AS data FROM sightings
+            JOIN places ON places.key = sightings.place_key
+            WHERE sightings.run_id = ?
+            ORDER BY sightings.seen_at, sightings.rowid
+        `),
+        countPlaces: db.prepare('SELECT COUNT(*) AS count FROM places'),
+    };
+
+    let runId = null;
+
+    /**
+     * Find the row of the place a result belongs to
+     * @param {Object} result - Result item
+     * @returns {{key: string, data: string}|null}
+     */
+    const findRow = (result) => statements.candidates.all({
+        key: placeIdentity(result),
+        featureId: result.featureId || null,
+        nameKey: normalizeName(result.name),
+        addressKey: normalizeAddress(result.address),
+        phone: result.phone || null,
+    }).find(row => samePlace(JSON.parse(row.data), result)) || null;
+
+    /**
+     * Parameters of upsertPlace for a result
+     * @param {string} key - Row key
+     * @param {Object} result - Result item stored in the row
+     * @param {string} seenAt - ISO timestamp
+     * @returns {Object}
+     */
+    const placeRow = (key, result, seenAt) => ({
+        key,
+        placeId: result.placeId || null,
+        featureId: result.featureId || null,
+        name: result.name || null,
+        nameKey: normalizeName(result.name),
+        address: result.address || null,
+        addressKey: normalizeAddress(result.address),
+        phone: result.phone || null,
+        data: JSON.stringify(result),
+        seenAt,
+    });
+
+    const upsert = db.transaction((results, seenAt) => {
+        for (const sighting of results) {
+            let key = placeIdentity(sighting);
+            if (!key) continue;
+
+            // Merge into the row of the same place, if there is one
+            let result = sighting;
+            const match = findRow(sighting);
+            if (match) {
+                key = match.key;
+                result = mergePlaces(JSON.parse(match.data), sighting);
+            }
+
+            const row = placeRow(key, result, seenAt);
+            statements.upsertPlace.run(row);
+            if (runId !== null) {
+                statements.upsertSighting.run(runId, key, seenAt, row.data);
+            }
+        }
+    });
+
+    return {
+        backend: 'sqlite',
+
+        async startRun(query, location) {
+            runId = statements.insertRun.run(query, location, new Date().toISOString()).lastInsertRowid;
+            return runId;
+        },
+
+        async appendResult(result) {
+            try {
+                upsert([result], new Date().toISOString());
+                return true;
+            } catch (error) {
+                console.error(`Error saving result: ${error.message}`);
+                return false;
+            }
+        },
+
+        async finishRun(results) {
+            try {
+                const now = new Date().toISOString();
+                upsert(results, now);
+                if (runId !== null) {
+                    statements.finishRun.run(now, results.length, runId);
+                }
+                return { saved: true, total: statements.countPlaces.get().count };
+            } catch (error) {
+                console.error(`Error saving results: ${error.message}`);
+                return { saved: false, total: 0 };
+            }
+        },
+
+        async replaceResults(replacements) {
+            try {
+                let replaced = 0;
+                const now = new Date().toISOString();
+                db.transaction(() => {
+                    for (const { previous, result } of replacements) {
+                        const match = findRow(previous);
+                        if (!match) continue;
+                        statements.upsertPlace.run(placeRow(match.key, result, now));
+                        replaced++;
+                    }
+                })();
+                return { saved: true, replaced };
+            } catch (error) {
+                console.error(`Error saving results: ${error.message}`);
+                return { saved: false, replaced: 0 };
+            }
+        },
+
+        async loadResults(id = null) {
+            if (id !== null) {
+                const run = statements.getRun.get(id);
+                if (!run) {
+                    throw new Error(`No run ${id} in ${filename} (see the runs table)`);
+                }
+                const results = statements.runPlaces.all(id).map(row => JSON.parse(row.data));
+                return {
+                    scrapedAt: run.started_at,
+                    query: run.query ?? '',
+                    location: run.location ?? '',
+                    run: id,
+                    totalFound: results.length,
+                    results,
+                };
+            }
+
+            const results = statements.allPlaces.all().map(row => JSON.parse(row.data));
+            const run = statements.latestRun.get();
+            return {
+                scrapedAt: run?.started_at || null,
+                query: run?.query ?? '',
+                location: run?.location ?? '',
+                totalFound: results.length,
+                results,
+            };
+        },
+
+        async listRuns() {
+            return statements.allRuns.all().map(run => ({
+                id: run.id,
+                query: run.query,
+                location: run.location,
+                startedAt: run.started_at,
+                finishedAt: run.finished_at,
+                foundCount: run.found_count,
+            }));
+        },
+
+        async close() {
+            db.close();
+        },
+    };
+}
+
+export default createSqliteStorage;
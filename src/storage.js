@@ -1,10 +1,13 @@
 /**
  * Storage Module
- * Handles JSON file operations for saving and loading scraping results
+ * Handles JSON file operations for saving and loading scraping results,
+ * and picks a storage backend (JSON file or SQLite database) for a run
  */
 
-import { writeFile, readFile, access } from 'fs/promises';
+import { writeFile, readFile, access, rename } from 'fs/promises';
 import { constants } from 'fs';
+import { getJournalPath, appendJournal, readJournal, clearJournal, acquireLock } from './journal.js';
+import { createPlaceIndex } from './identity.js';
 
 /**
  * Check if a file exists
@@ -20,21 +23,34 @@ async function fileExists(filepath) {
     }
 }
 
+/**
+ * Write a file atomically: write a temp file next to it, then rename over it.
+ * Readers see either the old or the new content, never a truncated file.
+ * @param {string} filename - Destination path
+ * @param {string} content - File content
+ * @returns {Promise<void>}
+ */
+export async function writeFileAtomic(filename, content) {
+    const tempFile = `${filename}.${process.pid}.tmp`;
+    await writeFile(tempFile, content, 'utf-8');
+    await rename(tempFile, filename);
+}
+
 /**
  * Load existing results from a JSON file
  * @param {string} filename - Path to the JSON file
  * @returns {Promise<Object|null>} - Parsed JSON data or null if file doesn't exist
+ * @throws {Error} - If the file exists but is not valid JSON (so callers never overwrite it)
  */
 export async function loadExisting(filename) {
+    if (!(await fileExists(filename))) {
+        return null;
+    }
+    const content = await readFile(filename, 'utf-8');
     try {
-        if (!(await fileExists(filename))) {
-            return null;
-        }
-        const content = await readFile(filename, 'utf-8');
         return JSON.parse(content);
     } catch (error) {
-        console.error(`Error loading existing file: ${error.message}`);
-        return null;
+        throw new Error(`${filename} is not valid JSON (${error.message}). Run "repair ${filename}" to rebuild it from its journal.`);
     }
 }
 
@@ -47,7 +63,7 @@ export async function loadExisting(filename) {
 export async function saveResults(data, filename) {
     try {
         const jsonContent = JSON.stringify(data, null, 2);
-        await writeFile(filename, jsonContent, 'utf-8');
+        await writeFileAtomic(filename, jsonContent);
         return true;
     } catch (error) {
         console.error(`Error saving results: ${error.message}`);
@@ -56,43 +72,41 @@ export async function saveResults(data, filename) {
 }
 
 /**
- * Merge new results with existing results, avoiding duplicates
+ * Merge new results with existing results. Sightings of the same place
+ * (see samePlace in identity.js) are combined into one result.
  * @param {Object|null} existing - Existing results object
  * @param {Object[]} newResults - Array of new result items
- * @returns {Object[]} - Merged and deduplicated results
+ * @returns {Object[]} - Merged and deduplicated results, existing places first
  */
 export function mergeResults(existing, newResults) {
-    if (!existing || !existing.results) {
-        return newResults;
+    const index = createPlaceIndex();
+    for (const item of [...(existing?.results || []), ...newResults]) {
+        index.upsert(item);
     }
+    return index.values();
+}
 
-    // Create a Set of existing place IDs for fast lookup
-    const existingIds = new Set(
-        existing.results
-            .filter(r => r.placeId)
-            .map(r => r.placeId)
-    );
-
-    // Create a Set of existing names as fallback for places without IDs
-    const existingNames = new Set(
-        existing.results
-            .filter(r => !r.placeId && r.name)
-            .map(r => r.name.toLowerCase())
-    );
-
-    // Filter out duplicates from new results
-    const uniqueNew = newResults.filter(item => {
-        if (item.placeId) {
-            return !existingIds.has(item.placeId);
-        }
-        if (item.name) {
-            return !existingNames.has(item.name.toLowerCase());
-        }
-        return true;
-    });
+/**
+ * Swap stored results for updated versions of themselves
+ * @param {Object[]} stored - Results as stored
+ * @param {Object[]} replacements - { previous, result } pairs: a result as it was loaded and its new version
+ * @returns {{results: Object[], replaced: number}}
+ */
+export function replaceMatching(stored, replacements) {
+    const index = createPlaceIndex();
+    const updates = new Map();
+    for (const { previous, result } of replacements) {
+        updates.set(index.add(previous), result);
+    }
 
-    // Combine existing and new results
-    return [...existing.results, ...uniqueNew];
+    let replaced = 0;
+    const results = stored.map((item) => {
+        const update = updates.get(index.find(item));
+        if (!update) return item;
+        replaced++;
+        return update;
+    });
+    return { results, replaced };
 }
 
 /**
@@ -112,6 +126,21 @@ export function createResultsObject(query, location, results) {
     };
 }
 
+/**
+ * Replace the results of an existing results object, keeping its metadata
+ * @param {Object} existing - Existing results object
+ * @param {Object[]} results - New complete list of results
+ * @returns {Object}
+ */
+function updateResultsObject(existing, results) {
+    return {
+        ...existing,
+        totalFound: results.length,
+        lastUpdated: new Date().toISOString(),
+        results,
+    };
+}
+
 /**
  * Append a single result to an existing file (for streaming saves)
  * @param {Object} result - Single result to append
@@ -140,3 +169,264 @@ export async function appendResult(result, filename, query, location) {
         return false;
     }
 }
+
+// File extensions that select the SQLite backend
+const SQLITE_EXTENSIONS = ['.db', '.sqlite', '.sqlite3'];
+
+export const STORAGE_BACKENDS = ['json', 'sqlite'];
+
+/**
+ * Work out which backend a file uses
+ * @param {string} filename - Output file
+ * @param {string} [backend] - Explicit backend, overrides the extension
+ * @returns {string} - "json" or "sqlite"
+ */
+export function detectBackend(filename, backend) {
+    if (backend) {
+        if (!STORAGE_BACKENDS.includes(backend)) {
+            throw new Error(`Unknown storage backend "${backend}" (expected one of: ${STORAGE_BACKENDS.join(', ')})`);
+        }
+        return backend;
+    }
+    const lower = filename.toLowerCase();
+    return SQLITE_EXTENSIONS.some(ext => lower.endsWith(ext)) ? 'sqlite' : 'json';
+}
+
+/**
+ * JSON file backend built on the functions above.
+ * Each result is appended to an NDJSON journal (one line per lead) and the
+ * JSON file is rewritten atomically every `compactEvery` results and at the
+ * end of the run. The file is locked while a run is writing to it.
+ * @param {string} filename - Path to the JSON file
+ * @param {Object} options - Backend options
+ * @param {number} options.compactEvery - Results between JSON rewrites
+ * @returns {Object} - Storage backend (see openStorage)
+ */
+export function createJsonStorage(filename, options = {}) {
+    const journalFile = getJournalPath(filename);
+    const compactEvery = options.compactEvery || 25;
+    let run = { query: '', location: '' };
+    let releaseLock = null;
+    let pending = []; // Journaled but not yet in the JSON file
+    let queue = Promise.resolve();
+
+    // Compactions run one at a time
+    const serial = (task) => {
+        const next = queue.then(task);
+        queue = next.catch(() => { });
+        return next;
+    };
+
+    const compact = (extra, final) => serial(async () => {
+        const batch = [...pending, ...extra];
+        pending = [];
+
+        const existing = await loadExisting(filename);
+        if (!existing && batch.length === 0) {
+            return { saved: true, total: 0 }; // Nothing to write
+        }
+        const merged = mergeResults(existing, batch);
+        let data;
+        if (final) {
+            data = createResultsObject(run.query, run.location, merged);
+        } else if (existing) {
+            data = updateResultsObject(existing, merged);
+        } else {
+            data = createResultsObject(run.query || 'food & drink', run.location, merged);
+        }
+        const saved = await saveResults(data, filename);
+        return { saved, total: merged.length };
+    });
+
+    return {
+        backend: 'json',
+
+        async startRun(query, location) {
+            releaseLock = await acquireLock(filename);
+            run = { query, location };
+            // Leads a crashed run journaled but never compacted go out with this run's
+            // compactions, before finishRun empties the journal
+            try {
+                const { entries } = await readJournal(journalFile);
+                pending = entries.map(entry => entry.result);
+            } catch (error) {
+                await releaseLock();
+                releaseLock = null;
+                throw error;
+            }
+            return null;
+        },
+
+        async appendResult(result) {
+            try {
+                await appendJournal(journalFile, result, run);
+            } catch (error) {
+                console.error(`Error appending result: ${error.message}`);
+                return false;
+            }
+
+            pending.push(result);
+            if (pending.length >= compactEvery) {
+                // The result is safe in the journal even if this fails
+                await compact([], false).catch(error => console.error(`Error updating results: ${error.message}`));
+            }
+            return true;
+        },
+
+        async finishRun(results) {
+            const outcome = await compact(results, true);
+            // The JSON file now holds every journaled result, including those left by
+            // a crashed run (see startRun), so the journal can start over
+            if (outcome.saved) {
+                await clearJournal(journalFile).catch(error => console.error(`Error clearing journal: ${error.message}`));
+            }
+            return outcome;
+        },
+
+        async replaceResults(replacements) {
+            // Journaled first, so a repair replays them on top of the older sightings
+            for (const { result } of replacements) {
+                await appendJournal(journalFile, result);
+            }
+            return serial(async () => {
+                const release = releaseLock ? null : await acquireLock(filename);
+                try {
+                    const existing = await loadExisting(filename);
+                    if (!existing?.results) {
+                        return { saved: false, replaced: 0 };
+                    }
+                    const { results, replaced } = replaceMatching(existing.results, replacements);
+                    const saved = await saveResults(updateResultsObject(existing, results), filename);
+                    return { saved, replaced };
+                } finally {
+                    await release?.();
+                }
+            });
+        },
+
+        async loadResults(run = null) {
+            if (run !== null) {
+                throw new Error(`${filename} does not keep separate runs (expected a SQLite database)`);
+            }
+            return loadExisting(filename);
+        },
+
+        async listRuns() {
+            return [];
+        },
+
+        async close() {
+            await queue;
+            if (releaseLock) {
+                await releaseLock();
+                releaseLock = null;
+            }
+        },
+    };
+}
+
+/**
+ * Open a storage backend for a results file.
+ * Every backend exposes the same async methods:
+ * startRun(query, location), appendResult(result), finishRun(results) -> { saved, total },
+ * replaceResults([{ previous, result }]) -> { saved, replaced },
+ * loadResults(run = null) -> results object (of one stored run if given) or null,
+ * listRuns() -> [{ id, query, location, startedAt, finishedAt, foundCount }] (SQLite only), close()
+ * @param {string} filename - Output file (.db/.sqlite/.sqlite3 selects SQLite)
+ * @param {Object} options - Storage options
+ * @param {string} options.backend - Force "json" or "sqlite"
+ * @returns {Promise<Object>} - Storage backend
+ */
+export async function openStorage(filename, options = {}) {
+    if (detectBackend(filename, options.backend) === 'sqlite') {
+        // Loaded lazily so JSON-only users never need the native module
+        const { createSqliteStorage } = await import('./sqlite-storage.js');
+        return createSqliteStorage(filename);
+    }
+    return createJsonStorage(filename);
+}
+
+/**
+ * Load a results object from any backend
+ * @param {string} filename - Results file or database
+ * @param {Object} options - Storage options (see openStorage)
+ * @param {number} options.run - Load only the places one stored run saw (SQLite only)
+ * @returns {Promise<Object|null>} - Results object or null if missing
+ * @throws {Error} - If a run is asked for and the backend does not keep runs or lacks it
+ */
+export async function loadResults(filename, options = {}) {
+    if (detectBackend(filename, options.backend) === 'sqlite' && !(await fileExists(filename))) {
+        return null;
+    }
+    const storage = await openStorage(filename, options);
+    try {
+        return await storage.loadResults(options.run ?? null);
+    } finally {
+        await storage.close();
+    }
+}
+
+/**
+ * List the runs stored in a results database
+ * @param {string} filename - Results file or database
+ * @param {Object} options - Storage options (see openStorage)
+ * @returns {Promise<Object[]>} - Runs, oldest first (none for JSON files or a missing database)
+ */
+export async function listRuns(filename, options = {}) {
+    if (detectBackend(filename, options.backend) !== 'sqlite' || !(await fileExists(filename))) {
+        return [];
+    }
+    const storage = await openStorage(filename, options);
+    try {
+        return await storage.listRuns();
+    } finally {
+        await storage.close();
+    }
+}
+
+/**
+ * Rebuild a JSON results file from its journal.
+ * A file that is not valid JSON is moved aside and rebuilt from the journal alone.
+ * @param {string} filename - Path to the JSON results file
+ * @returns {Promise<Object>} - { saved, total, recovered, journalEntries, skippedLines, backup }
+ * @throws {Error} - If neither the file nor its journal exist, or another run holds the lock
+ */
+export async function repairResults(filename) {
+    const journalFile = getJournalPath(filename);
+    if (!(await fileExists(filename)) && !(await fileExists(journalFile))) {
+        throw new Error(`Neither ${filename} nor its journal ${journalFile} exist`);
+    }
+
+    const release = await acquireLock(filename);
+    try {
+        const { entries, skipped } = await readJournal(journalFile);
+
+        let existing = null;
+        let backup = null;
+        try {
+            existing = await loadExisting(filename);
+        } catch {
+            backup = `${filename}.corrupt-${Date.now()}`;
+            await rename(filename, backup);
+        }
+
+        const previousCount = existing?.results?.length ?? 0;
+        const merged = mergeResults(existing, entries.map(entry => entry.result));
+        const last = entries[entries.length - 1];
+        const data = existing?.results
+            ? updateResultsObject(existing, merged)
+            : createResultsObject(last?.query ?? '', last?.location ?? '', merged);
+
+        const saved = await saveResults(data, filename);
+        return {
+            saved,
+            total: merged.length,
+            recovered: merged.length - previousCount,
+            journalEntries: entries.length,
+            skippedLines: skipped,
+            backup,
+        };
+    } finally {
+        await release();
+    }
+}
@@ -3,6 +3,9 @@
  * Breaks down wide area searches into smaller regions to get more results
  */
 
+import { readFile } from 'fs/promises';
+import { DEFAULT_VIEWPORTS } from './context-pool.js';
+
 // Food & drink establishment categories
 export const FOOD_DRINK_CATEGORIES = [
     'restaurants',
@@ -27,6 +30,113 @@ export const FOOD_DRINK_CATEGORIES = [
     'juice bars',
 ];
 
+// Category packs selectable with --vertical
+export const VERTICALS = {
+    food: FOOD_DRINK_CATEGORIES,
+    beauty: [
+        'hair salons',
+        'hairdressers',
+        'barber shops',
+        'beauty salons',
+        'nail salons',
+        'spas',
+        'massage',
+        'tanning salons',
+        'waxing',
+        'eyebrow bars',
+        'tattoo shops',
+        'makeup artists',
+    ],
+    trades: [
+        'plumbers',
+        'electricians',
+        'locksmiths',
+        'carpenters',
+        'painters',
+        'roofers',
+        'builders',
+        'handyman',
+        'heating engineers',
+        'glaziers',
+        'landscapers',
+        'cleaning services',
+        'movers',
+        'auto repair',
+    ],
+    health: [
+        'dentists',
+        'physiotherapists',
+        'chiropractors',
+        'opticians',
+        'podiatrists',
+        'psychologists',
+        'veterinarians',
+        'pharmacies',
+        'medical clinics',
+        'gyms',
+        'yoga studios',
+        'pilates studios',
+        'martial arts schools',
+    ],
+    retail: [
+        'clothing stores',
+        'shoe stores',
+        'florists',
+        'bookstores',
+        'gift shops',
+        'jewelry stores',
+        'hardware stores',
+        'pet stores',
+        'toy stores',
+        'furniture stores',
+        'bike shops',
+        'butchers',
+        'greengrocers',
+        'convenience stores',
+    ],
+};
+
+/**
+ * Get the categories of one or more verticals
+ * @param {string} text - Comma-separated vertical names (e.g. "beauty,health")
+ * @returns {string[]} - Combined categories without duplicates
+ * @throws {Error} - On unknown verticals
+ */
+export function getVerticalCategories(text) {
+    const names = text.split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+    const unknown = names.filter(name => !VERTICALS[name]);
+    if (unknown.length > 0 || names.length === 0) {
+        throw new Error(`Unknown vertical(s): ${unknown.join(', ') || '(none)'} (expected: ${Object.keys(VERTICALS).join(', ')})`);
+    }
+    return [...new Set(names.flatMap(name => VERTICALS[name]))];
+}
+
+/**
+ * Load a custom category list
+ * @param {string} filename - JSON array, or a text file with one category per line (# for comments)
+ * @returns {Promise<string[]>}
+ * @throws {Error} - If the file is unreadable or has no categories
+ */
+export async function loadCategoriesFile(filename) {
+    const content = await readFile(filename, 'utf-8');
+
+    let categories;
+    if (filename.toLowerCase().endsWith('.json')) {
+        categories = JSON.parse(content);
+        if (!Array.isArray(categories) || categories.some(c => typeof c !== 'string')) {
+            throw new Error(`Invalid categories file ${filename} (expected a JSON array of strings)`);
+        }
+    } else {
+        categories = content.split(/\r?\n/).map(line => line.replace(/#.*/, ''));
+    }
+
+    categories = [...new Set(categories.map(c => c.trim()).filter(Boolean))];
+    if (categories.length === 0) {
+        throw new Error(`No categories found in ${filename}`);
+    }
+    return categories;
+}
+
 /**
  * Generate grid-based sub-locations for a given location
  * Uses compass directions and district naming to create sub-searches
@@ -133,5 +243,243 @@ export function smartSubdivide(location, options = {}) {
     return [...allSearches];
 }
 
-export default { subdivideLocation, generateZoneSearches, smartSubdivide, FOOD_DRINK_CATEGORIES };
+// Approximate kilometres per degree of latitude / of longitude at the equator
+const KM_PER_DEG_LAT = 110.574;
+const KM_PER_DEG_LNG = 111.320;
+
+// Size in pixels of the smallest browser viewport the context pool rotates through
+// (see DEFAULT_VIEWPORTS in context-pool.js): a cell sized for it fits every viewport
+const VIEWPORT_WIDTH_PX = Math.min(...DEFAULT_VIEWPORTS.map(viewport => viewport.width));
+const VIEWPORT_HEIGHT_PX = Math.min(...DEFAULT_VIEWPORTS.map(viewport => viewport.height));
+
+// Web Mercator metres per pixel at zoom 0 on the equator
+const METERS_PER_PIXEL_Z0 = 156543.03;
+
+/**
+ * Parse a comma-separated list of numbers
+ * @param {string} text - e.g. "40.3,-3.8"
+ * @param {string} label - Name used in error messages
+ * @param {string} format - Expected format, used in error messages
+ * @returns {number[]}
+ */
+function parseNumbers(text, label, format) {
+    const values = String(text).split(',').map(p => parseFloat(p.trim()));
+    if (values.length !== format.split(',').length || values.some(v => Number.isNaN(v))) {
+        throw new Error(`Invalid ${label} "${text}" (expected "${format}")`);
+    }
+    return values;
+}
+
+/**
+ * Parse a bounding box string
+ * @param {string} text - "south,west,north,east" in decimal degrees
+ * @returns {{south: number, west: number, north: number, east: number}}
+ */
+export function parseBounds(text) {
+    const [south, west, north, east] = parseNumbers(text, 'bounds', 'south,west,north,east');
+    if (south >= north || west >= east) {
+        throw new Error(`Invalid bounds "${text}": south/west must be smaller than north/east`);
+    }
+    return { south, west, north, east };
+}
+
+/**
+ * Parse a center point string
+ * @param {string} text - "lat,lng" in decimal degrees
+ * @returns {{lat: number, lng: number}}
+ */
+export function parseCenter(text) {
+    const [lat, lng] = parseNumbers(text, 'center', 'lat,lng');
+    return { lat, lng };
+}
+
+/**
+ * Build the bounding box of a circle around a center point
+ * @param {{lat: number, lng: number}} center - Center point
+ * @param {number} radiusKm - Radius in kilometres
+ * @returns {{south: number, west: number, north: number, east: number}}
+ */
+export function boundsFromCenter(center, radiusKm) {
+    const dLat = radiusKm / KM_PER_DEG_LAT;
+    const dLng = radiusKm / (KM_PER_DEG_LNG * Math.cos(center.lat * Math.PI / 180));
+    return {
+        south: center.lat - dLat,
+        west: center.lng - dLng,
+        north: center.lat + dLat,
+        east: center.lng + dLng,
+    };
+}
+
+/**
+ * Pick the Maps zoom level whose viewport roughly spans one cell
+ * @param {number} cellSizeKm - Cell width in kilometres
+ * @param {number} lat - Latitude of the cell center
+ * @returns {number} - Integer zoom level (3-21)
+ */
+export function zoomForCellSize(cellSizeKm, lat) {
+    // Web Mercator: metres per pixel = METERS_PER_PIXEL_Z0 * cos(lat) / 2^zoom.
+    // The cell has to fit the shorter side of the viewport to be shown whole
+    const metersPerPixel = (cellSizeKm * 1000) / Math.min(VIEWPORT_WIDTH_PX, VIEWPORT_HEIGHT_PX);
+    const zoom = Math.log2(METERS_PER_PIXEL_Z0 * Math.cos(lat * Math.PI / 180) / metersPerPixel);
+    return Math.min(21, Math.max(3, Math.floor(zoom)));
+}
+
+/**
+ * Tile a bounding box into square-ish lat/lng cells
+ * @param {{south: number, west: number, north: number, east: number}} bounds - Area to cover
+ * @param {number} cellSizeKm - Cell width/height in kilometres
+ * @returns {Object[]} - Cells with center (lat, lng), their own bounds, size and a zoom level
+ */
+export function generateGridCells(bounds, cellSizeKm = 1) {
+    if (!(cellSizeKm > 0)) {
+        throw new Error(`Invalid cell size: ${cellSizeKm}`);
+    }
+
+    const cells = [];
+    // Round to whole cells (with a little slack for floating point error)
+    const countCells = (spanKm) => Math.max(1, Math.ceil(spanKm / cellSizeKm - 1e-6));
+
+    const rows = countCells((bounds.north - bounds.south) * KM_PER_DEG_LAT);
+    const latStep = (bounds.north - bounds.south) / rows;
+
+    for (let row = 0; row < rows; row++) {
+        const south = bounds.south + row * latStep;
+        const north = south + latStep;
+        const lat = (south + north) / 2;
+
+        // Longitude degrees shrink towards the poles, so each row gets its own column count
+        const kmPerDegLng = KM_PER_DEG_LNG * Math.cos(lat * Math.PI / 180);
+        const cols = countCells((bounds.east - bounds.west) * kmPerDegLng);
+        const lngStep = (bounds.east - bounds.west) / cols;
+
+        for (let col = 0; col < cols; col++) {
+            const west = bounds.west + col * lngStep;
+            const east = west + lngStep;
+            cells.push({
+                lat,
+                lng: (west + east) / 2,
+                south,
+                west,
+                north,
+                east,
+                sizeKm: cellSizeKm,
+                zoom: zoomForCellSize(cellSizeKm, lat),
+            });
+        }
+    }
+
+    return cells;
+}
+
+/**
+ * Combine a search term with a grid cell
+ * @param {string} query - Search term (e.g., "bars")
+ * @param {Object} cell - Cell from generateGridCells
+ * @returns {Object} - Cell search with a unique label
+ */
+function createCellSearch(query, cell) {
+    return {
+        label: `${query} @ ${cell.lat.toFixed(5)},${cell.lng.toFixed(5)},${cell.zoom}z`,
+        query,
+        ...cell,
+    };
+}
+
+/**
+ * Geographic subdivision: cross every grid cell with every category.
+ * Each entry is searched through a Maps URL pinned to the cell's viewport.
+ * @param {{south: number, west: number, north: number, east: number}} bounds - Area to cover
+ * @param {Object} options - Subdivision options
+ * @returns {Object[]} - Array of { label, query, lat, lng, zoom, ...bounds } cell searches
+ */
+export function gridSubdivide(bounds, options = {}) {
+    const {
+        cellSizeKm = 1,
+        categories = FOOD_DRINK_CATEGORIES
+    } = options;
+
+    const searches = [];
+    for (const cell of generateGridCells(bounds, cellSizeKm)) {
+        for (const category of categories) {
+            searches.push(createCellSearch(category, cell));
+        }
+    }
+
+    return searches;
+}
+
+/**
+ * Split a cell search into four quadrants covering the same area
+ * @param {Object} search - Cell search from gridSubdivide or cellSearchFromViewport
+ * @param {number} minCellSizeKm - Smallest cell size allowed
+ * @returns {Object[]} - Child cell searches, empty if the cell is already minimal
+ */
+export function splitCellSearch(search, minCellSizeKm = 0.25) {
+    const sizeKm = search.sizeKm / 2;
+    if (sizeKm < minCellSizeKm) {
+        return [];
+    }
+
+    const midLat = (search.south + search.north) / 2;
+    const midLng = (search.west + search.east) / 2;
+    const quadrants = [
+        { south: search.south, west: search.west, north: midLat, east: midLng },
+        { south: search.south, west: midLng, north: midLat, east: search.east },
+        { south: midLat, west: search.west, north: search.north, east: midLng },
+        { south: midLat, west: midLng, north: search.north, east: search.east },
+    ];
+
+    return quadrants.map(bounds => {
+        const lat = (bounds.south + bounds.north) / 2;
+        return createCellSearch(search.query, {
+            lat,
+            lng: (bounds.west + bounds.east) / 2,
+            ...bounds,
+            sizeKm,
+            zoom: zoomForCellSize(sizeKm, lat),
+        });
+    });
+}
+
+/**
+ * Build a cell search covering what a Maps viewport shows
+ * @param {string} query - Search term
+ * @param {{lat: number, lng: number, zoom: number}} viewport - Viewport center and zoom
+ * @returns {Object} - Cell search covering the viewport
+ */
+export function cellSearchFromViewport(query, { lat, lng, zoom }) {
+    const metersPerPixel = METERS_PER_PIXEL_Z0 * Math.cos(lat * Math.PI / 180) / 2 ** zoom;
+    const widthKm = metersPerPixel * VIEWPORT_WIDTH_PX / 1000;
+    const heightKm = metersPerPixel * VIEWPORT_HEIGHT_PX / 1000;
+    const dLat = heightKm / 2 / KM_PER_DEG_LAT;
+    const dLng = widthKm / 2 / (KM_PER_DEG_LNG * Math.cos(lat * Math.PI / 180));
+
+    return createCellSearch(query, {
+        lat,
+        lng,
+        south: lat - dLat,
+        west: lng - dLng,
+        north: lat + dLat,
+        east: lng + dLng,
+        sizeKm: widthKm,
+        zoom,
+    });
+}
+
+export default {
+    subdivideLocation,
+    generateZoneSearches,
+    smartSubdivide,
+    gridSubdivide,
+    generateGridCells,
+    splitCellSearch,
+    cellSearchFromViewport,
+    parseBounds,
+    parseCenter,
+    boundsFromCenter,
+    getVerticalCategories,
+    loadCategoriesFile,
+    FOOD_DRINK_CATEGORIES,
+    VERTICALS,
+};
 
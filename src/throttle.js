@@ -0,0 +1,178 @@
+/**
+ * Throttle Module
+ * Request-rate limiting, and detection of and backoff from Google's
+ * "unusual traffic", CAPTCHA and consent-loop pages
+ */
+
+import { DEFAULT_LANGUAGE } from './language.js';
+
+export const BLOCK_KINDS = ['unusual-traffic', 'captcha', 'consent-loop'];
+
+// Error code of the errors thrown when a page turns out to be a block page
+export const BLOCKED_ERROR_CODE = 'MAPS_BLOCKED';
+
+/**
+ * Create a limiter that spaces calls at least intervalMs apart.
+ * Concurrent callers are queued in call order.
+ * @param {number} intervalMs - Minimum time between two calls
+ * @returns {Function} - Async function to await before each call
+ */
+export function createRateLimiter(intervalMs) {
+    let nextSlot = 0;
+
+    return async () => {
+        const now = Date.now();
+        const slot = Math.max(now, nextSlot);
+        nextSlot = slot + intervalMs;
+        if (slot > now) {
+            await new Promise(resolve => setTimeout(resolve, slot - now));
+        }
+    };
+}
+
+/**
+ * Check whether a loaded page is a block page instead of Maps
+ * @param {import('playwright').Page} page - Page after navigation
+ * @param {string[]} phrases - Lowercase "unusual traffic" phrases (see language packs)
+ * @returns {Promise<{kind: string, url: string}|null>} - The block, or null for a normal page
+ */
+export async function detectBlock(page, phrases = DEFAULT_LANGUAGE.blockPhrases) {
+    const url = page.url();
+    if (/^https?:\/\/[^/]*google\.[^/]+\/sorry\//.test(url)) {
+        return { kind: 'unusual-traffic', url };
+    }
+
+    const kind = await page.evaluate((phrases) => {
+        if (document.querySelector('#captcha-form, .g-recaptcha, iframe[src*="recaptcha"]')) {
+            return 'captcha';
+        }
+        // Block pages are short; only their opening text is checked, not whole place panels
+        const text = `${document.title} ${(document.body?.innerText || '').slice(0, 1000)}`.toLowerCase();
+        return phrases.some(phrase => text.includes(phrase)) ? 'unusual-traffic' : null;
+    }, phrases).catch(() => null);
+
+    return kind ? { kind, url } : null;
+}
+
+/**
+ * Build the error thrown for a block page
+ * @param {Object} block - Block found by detectBlock
+ * @returns {Error} - Error with code BLOCKED_ERROR_CODE and the block attached
+ */
+export function createBlockedError(block) {
+    const error = new Error(`Blocked by Google (${block.kind}) at ${block.url}`);
+    error.code = BLOCKED_ERROR_CODE;
+    error.block = block;
+    return error;
+}
+
+/**
+ * Check whether an error was caused by a block page
+ * @param {Error} error - Caught error
+ * @returns {boolean}
+ */
+export function isBlockedError(error) {
+    return error?.code === BLOCKED_ERROR_CODE;
+}
+
+/**
+ * Track blocks and decide how to back off: every new block halves the concurrency
+ * and pauses requests for an exponentially growing delay; after maxStrikes blocks
+ * in a row the run gives up. Concurrency climbs back one step per recoverAfter
+ * pages that load normally.
+ * @param {Object} options - Guard options
+ * @param {number} options.concurrency - Concurrency to start from (and recover to)
+ * @param {number} options.baseDelayMs - Pause after the first block
+ * @param {number} options.maxDelayMs - Longest pause
+ * @param {number} options.maxStrikes - Blocks in a row before giving up
+ * @param {number} options.recoverAfter - Normal pages per concurrency step back up
+ * @returns {Object} - { wait, report, success, concurrency, remainingPauseMs, summary }
+ */
+export function createBlockGuard(options = {}) {
+    const {
+        concurrency: maxConcurrency = 5,
+        baseDelayMs = 30000,
+        maxDelayMs = 10 * 60 * 1000,
+        maxStrikes = 5,
+        recoverAfter = 20,
+    } = options;
+
+    let concurrency = maxConcurrency;
+    let strikes = 0;
+    let successes = 0;
+    let lastBlockAt = -Infinity;
+    let pausedUntil = 0;
+    let gaveUp = false;
+    const kinds = {};
+    let total = 0;
+
+    /**
+     * Wait out the current pause, if any
+     * @returns {Promise<void>}
+     */
+    async function wait() {
+        while (Date.now() < pausedUntil) {
+            await new Promise(resolve => setTimeout(resolve, pausedUntil - Date.now()));
+        }
+    }
+
+    /**
+     * Record a block page
+     * @param {Object} block - Block found by detectBlock
+     * @param {number} requestedAt - When the blocked request started; requests started
+     *                               before the last block are part of the same incident
+     * @returns {{newStrike: boolean, delayMs: number, concurrency: number, gaveUp: boolean}}
+     */
+    function report(block, requestedAt = Date.now()) {
+        total++;
+        kinds[block.kind] = (kinds[block.kind] || 0) + 1;
+        successes = 0;
+
+        const newStrike = requestedAt >= lastBlockAt;
+        if (newStrike) {
+            strikes++;
+            lastBlockAt = Date.now();
+            concurrency = Math.max(1, Math.floor(concurrency / 2));
+            if (strikes >= maxStrikes) {
+                gaveUp = true;
+            } else {
+                pausedUntil = Date.now() + Math.min(maxDelayMs, baseDelayMs * 2 ** (strikes - 1));
+            }
+        }
+        return { newStrike, delayMs: Math.max(0, pausedUntil - Date.now()), concurrency, gaveUp };
+    }
+
+    /**
+     * Record a page that loaded normally
+     * @param {number} requestedAt - When the request started (pages from before the last block don't count)
+     */
+    function success(requestedAt = Date.now()) {
+        if (requestedAt < lastBlockAt) return;
+        strikes = 0;
+        successes++;
+        if (successes >= recoverAfter && concurrency < maxConcurrency) {
+            concurrency++;
+            successes = 0;
+        }
+    }
+
+    return {
+        wait,
+        report,
+        success,
+        get concurrency() {
+            return concurrency;
+        },
+        get remainingPauseMs() {
+            return Math.max(0, pausedUntil - Date.now());
+        },
+        /**
+         * @returns {{total: number, kinds: Object, gaveUp: boolean}} - Blocks seen so far
+         */
+        summary() {
+            return { total, kinds: { ...kinds }, gaveUp };
+        },
+    };
+}
+
+export default { createRateLimiter, createBlockGuard, detectBlock, createBlockedError, isBlockedError, BLOCK_KINDS };
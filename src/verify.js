@@ -0,0 +1,238 @@
+/**
+ * Verify Module
+ * Revisits stored leads, records what changed on their place page and
+ * whether they are still leads
+ */
+
+import { GoogleMapsScraper } from './scraper.js';
+import { DEFAULT_NO_WEBSITE_TYPES } from './website.js';
+import { samePlace } from './identity.js';
+import { isBlockedError } from './throttle.js';
+
+// still a lead | got a (real) website | closed down | no longer on Maps
+export const VERIFY_STATUSES = ['lead', 'got_website', 'closed', 'vanished'];
+
+// Place fields whose changes are recorded in the history
+export const TRACKED_FIELDS = [
+    'name', 'address', 'phone', 'website', 'websiteType', 'isActive',
+    'rating', 'reviewCount', 'category', 'priceLevel', 'plusCode', 'openingHours',
+];
+
+// Fields taken over from a fresh read along with the tracked ones
+const SYNCED_FIELDS = ['phoneDisplay', 'phoneType', 'hasWebsite'];
+
+// Fields kept from the stored result when the fresh read has none
+const KEPT_FIELDS = ['featureId', 'mapsUrl', 'coordinates', 'placeId'];
+
+/**
+ * Build the place page URL of a stored result
+ * @param {Object} result - Stored result
+ * @returns {string|null} - The page it was read from, or one built from its feature ID, or null
+ */
+export function placeUrlFor(result) {
+    if (result.mapsUrl) return result.mapsUrl;
+    if (result.featureId && result.placeId) {
+        return `https://www.google.com/maps/place/${result.placeId}/data=!4m2!3m1!1s${result.featureId}`;
+    }
+    return null;
+}
+
+/**
+ * Work out the status of a place from a fresh read of its page
+ * @param {Object|null} details - Details from the place page (null: a search found no such place)
+ * @param {string[]} noWebsiteTypes - Website types that still count as "no website"
+ * @returns {string} - One of VERIFY_STATUSES
+ */
+export function verificationStatus(details, noWebsiteTypes = DEFAULT_NO_WEBSITE_TYPES) {
+    if (!details?.name) return 'vanished';
+    if (!details.isActive) return 'closed';
+    return noWebsiteTypes.includes(details.websiteType) ? 'lead' : 'got_website';
+}
+
+/**
+ * List the tracked fields that differ between two versions of a place
+ * @param {Object} before - Stored result
+ * @param {Object} after - Updated result
+ * @returns {{field: string, from: *, to: *}[]}
+ */
+export function diffFields(before, after) {
+    return TRACKED_FIELDS
+        .filter(field => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null))
+        .map(field => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+}
+
+/**
+ * Apply a fresh read to a stored result. Tracked fields take the new values
+ * (a vanished place keeps its last known ones); each change, including the
+ * status, is appended to verification.history.
+ * @param {Object} result - Stored result
+ * @param {Object|null} details - Fresh details, or null if the place was not found
+ * @param {Object} options - Options
+ * @param {string[]} options.noWebsiteTypes - Website types that still count as "no website"
+ * @param {string} options.checkedAt - ISO timestamp of the check
+ * @returns {{result: Object, status: string, changes: Object[]}} - Updated result and what changed
+ */
+export function applyVerification(result, details, options = {}) {
+    const { noWebsiteTypes = DEFAULT_NO_WEBSITE_TYPES, checkedAt = new Date().toISOString() } = options;
+    const status = verificationStatus(details, noWebsiteTypes);
+    const previousStatus = result.verification?.status || 'lead';
+
+    const updated = { ...result };
+    if (status !== 'vanished') {
+        for (const field of [...TRACKED_FIELDS, ...SYNCED_FIELDS]) {
+            updated[field] = details[field] ?? null;
+        }
+        for (const field of KEPT_FIELDS) {
+            updated[field] = details[field] ?? result[field] ?? null;
+        }
+    }
+
+    const changes = diffFields(result, updated);
+    if (status !== previousStatus) {
+        changes.push({ field: 'status', from: previousStatus, to: status });
+    }
+    updated.verification = {
+        status,
+        checkedAt,
+        previousCheckAt: result.verification?.checkedAt || null,
+        history: [...(result.verification?.history || []), ...changes.map(change => ({ at: checkedAt, ...change }))],
+    };
+    return { result: updated, status, changes };
+}
+
+/**
+ * Summarize a verification run
+ * @param {Object[]} checks - { previous, result, status, changes } per checked place
+ * @param {number} failed - Places that could not be checked
+ * @returns {{checked: number, failed: number, statuses: Object, transitions: Object, fields: Object, statusChanges: Object[]}}
+ */
+export function summarizeVerification(checks, failed = 0) {
+    const statuses = Object.fromEntries(VERIFY_STATUSES.map(status => [status, 0]));
+    const transitions = {};
+    const fields = {};
+    const statusChanges = [];
+
+    for (const { previous, result, status, changes } of checks) {
+        statuses[status]++;
+        for (const { field, from, to } of changes) {
+            if (field === 'status') {
+                transitions[`${from} → ${to}`] = (transitions[`${from} → ${to}`] || 0) + 1;
+                statusChanges.push({ name: result.name || previous.name, from, to });
+            } else {
+                fields[field] = (fields[field] || 0) + 1;
+            }
+        }
+    }
+    return { checked: checks.length, failed, statuses, transitions, fields, statusChanges };
+}
+
+/**
+ * Revisit stored results and check whether each is still a lead
+ * @param {Object[]} results - Stored results
+ * @param {Object} options - Verify options
+ * @param {number} options.concurrency - Parallel place page loads
+ * @param {number} options.maxRequestsPerMinute - Cap on Maps page loads (0 = no cap)
+ * @param {string[]} options.noWebsiteTypes - Website types that still count as "no website"
+ * @param {Object} options.websiteDomains - Domain lists used to classify website links
+ * @param {string} options.country - Default country (ISO code) for phone numbers
+ * @param {string} options.locale - Browser locale
+ * @param {Object} options.language - Language profile for the locale
+ * @param {string} options.replayFrom - Fixture directory to serve responses from
+ * @param {boolean} options.headless - Run browser in headless mode
+ * @param {Function} options.onProgress - Progress callback
+ * @param {Function} options.onChecked - Called with each check { previous, result, status, changes } (awaited)
+ * @param {AbortSignal} options.signal - Stops the run (pages in flight finish) when aborted
+ * @returns {Promise<{checks: Object[], failed: number, blocks: Object}>} - Checks done, failures and blocks seen
+ */
+export async function runVerify(results, options = {}) {
+    const onProgress = options.onProgress || (() => { });
+    const onChecked = options.onChecked || (() => { });
+    const noWebsiteTypes = options.noWebsiteTypes || DEFAULT_NO_WEBSITE_TYPES;
+    const scraper = new GoogleMapsScraper({
+        concurrency: options.concurrency || 5,
+        maxRequestsPerMinute: options.maxRequestsPerMinute,
+        noWebsiteTypes,
+        websiteDomains: options.websiteDomains,
+        country: options.country,
+        locale: options.locale,
+        language: options.language,
+        replayFrom: options.replayFrom,
+        headless: options.headless ?? true,
+        onProgress,
+    });
+    options.signal?.addEventListener('abort', () => scraper.stop());
+
+    const queue = [...results];
+    const checks = [];
+    let failed = 0;
+
+    /**
+     * Read the current page of a stored result; results without a page URL are
+     * looked up by name and address and only accepted if the match is the same place
+     * @param {Object} result - Stored result
+     * @returns {Promise<Object|null>} - Fresh details, or null if Maps no longer shows the place
+     * @throws {Error} - If the place page did not load (the check failed, not the place)
+     */
+    const readPlace = async (result) => {
+        let url = placeUrlFor(result);
+        if (!url) {
+            const search = await scraper.searchPlacesDirect([result.name, result.address].filter(Boolean).join(' '));
+            url = search.links[0];
+            if (!url) return null;
+        }
+        const { details, gone } = await scraper.readPlacePage(url);
+        if (gone) return null;
+        // Maps never rendered (slow, transient): the check failed, not the place
+        if (!details.name) {
+            throw new Error('Place page did not render');
+        }
+        if (!placeUrlFor(result) && !samePlace(result, details)) return null;
+        return details;
+    };
+
+    // Workers above the (block-lowered) concurrency wait until it recovers; a worker
+    // only leaves once nothing is queued or in flight (a blocked place comes back)
+    let inFlight = 0;
+    const worker = async (index) => {
+        while (!scraper.stopped) {
+            const previous = index < scraper.blockGuard.concurrency ? queue.shift() : null;
+            if (!previous) {
+                if (queue.length === 0 && inFlight === 0) break;
+                await new Promise(resolve => setTimeout(resolve, 250));
+                continue;
+            }
+
+            let details;
+            inFlight++;
+            try {
+                details = await readPlace(previous);
+            } catch (error) {
+                if (isBlockedError(error)) {
+                    queue.unshift(previous); // Retried after the backoff
+                } else {
+                    failed++;
+                    onProgress(`Error checking ${previous.name}: ${error.message.split('\n')[0]}`);
+                }
+                continue;
+            } finally {
+                inFlight--;
+            }
+
+            const check = { previous, ...applyVerification(previous, details, { noWebsiteTypes }) };
+            checks.push(check);
+            await onChecked(check);
+            onProgress(`Verifying: ${checks.length + failed}/${results.length} (${checks.filter(c => c.status === 'lead').length} still leads)`);
+        }
+    };
+
+    try {
+        await scraper.launch();
+        await Promise.all(Array.from({ length: Math.min(scraper.concurrency, queue.length) }, (_, index) => worker(index)));
+    } finally {
+        await scraper.close();
+    }
+
+    return { checks, failed, blocks: scraper.getBlockSummary() };
+}
+
+export default { runVerify, applyVerification, summarizeVerification, verificationStatus, diffFields, placeUrlFor, VERIFY_STATUSES, TRACKED_FIELDS };
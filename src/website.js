@@ -0,0 +1,135 @@
+/**
+ * Website Classification Module
+ * Tells real business websites apart from social profiles, booking/delivery
+ * listings and menu-only pages
+ */
+
+import { readFile } from 'fs/promises';
+
+export const WEBSITE_TYPES = ['none', 'own', 'social', 'aggregator', 'menu'];
+
+// Website types that still count as "no website" unless configured otherwise
+export const DEFAULT_NO_WEBSITE_TYPES = ['none', 'social', 'aggregator', 'menu'];
+
+// Known domains per type. "name.*" matches any TLD (tripadvisor.es, tripadvisor.co.uk, ...)
+export const DEFAULT_WEBSITE_DOMAINS = {
+    social: [
+        'facebook.com', 'fb.com', 'fb.me', 'instagram.com', 'twitter.com', 'x.com',
+        'tiktok.com', 'linkedin.com', 'youtube.com', 'pinterest.*', 'threads.net',
+        'linktr.ee', 'linkin.bio', 'beacons.ai', 'bio.link', 'taplink.cc',
+        'wa.me', 'whatsapp.com', 't.me',
+    ],
+    aggregator: [
+        'tripadvisor.*', 'yelp.*', 'thefork.*', 'eltenedor.*', 'lafourchette.*', 'opentable.*',
+        'quandoo.*', 'covermanager.com', 'resy.com', 'sevenrooms.com', 'booking.com',
+        'ubereats.com', 'deliveroo.*', 'just-eat.*', 'justeat.*', 'glovoapp.com', 'doordash.com',
+        'grubhub.com', 'foodpanda.*', 'lieferando.*', 'thuisbezorgd.nl', 'toasttab.com',
+        'booksy.com', 'fresha.com', 'treatwell.*', 'setmore.com', 'calendly.com',
+        'restaurantguru.com',
+        // Links back to the Google listing itself (short links, Maps share links), not
+        // Google-hosted sites like sites.google.com
+        'g.page', 'maps.app.goo.gl', 'goo.gl', 'maps.google.com',
+    ],
+    menu: [
+        'menu.app', 'qr.menu', 'carta.menu', 'menufy.com', 'bitmenu.app', 'menus.tips',
+    ],
+};
+
+/**
+ * Unwrap Google redirect links ("https://www.google.com/url?q=<target>")
+ * @param {string|null} href - Link href
+ * @returns {string|null} - Target URL
+ */
+export function unwrapUrl(href) {
+    if (!href) return null;
+    try {
+        const url = new URL(href, 'https://www.google.com');
+        if (/(^|\.)google\.[a-z.]+$/.test(url.hostname) && url.pathname === '/url') {
+            return url.searchParams.get('q') || url.searchParams.get('url') || url.href;
+        }
+        return url.href;
+    } catch {
+        return href;
+    }
+}
+
+/**
+ * Check whether a hostname belongs to a domain list entry
+ * @param {string} hostname - Lowercase hostname without "www."
+ * @param {string} entry - "example.com" or "example.*"
+ * @returns {boolean}
+ */
+function matchesDomain(hostname, entry) {
+    if (entry.endsWith('.*')) {
+        const name = entry.slice(0, -2).replace(/[.-]/g, '\\$&');
+        return new RegExp(`(^|\\.)${name}\\.[a-z]{2,}(\\.[a-z]{2})?$`).test(hostname);
+    }
+    return hostname === entry || hostname.endsWith(`.${entry}`);
+}
+
+/**
+ * Classify a website URL
+ * @param {string|null} url - Website URL from the place panel
+ * @param {Object} domains - Domain lists per type (see DEFAULT_WEBSITE_DOMAINS)
+ * @returns {string} - One of WEBSITE_TYPES
+ */
+export function classifyWebsite(url, domains = DEFAULT_WEBSITE_DOMAINS) {
+    if (!url) return 'none';
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return 'own'; // Unparseable but present: give it the benefit of the doubt
+    }
+
+    const hostname = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    for (const type of ['social', 'aggregator', 'menu']) {
+        if ((domains[type] || []).some(entry => matchesDomain(hostname, entry))) {
+            return type;
+        }
+    }
+
+    // A PDF on its own is a menu, not a website
+    if (parsed.pathname.toLowerCase().endsWith('.pdf')) {
+        return 'menu';
+    }
+    return 'own';
+}
+
+/**
+ * Parse a comma-separated list of website types
+ * @param {string} text - e.g. "social,aggregator"
+ * @returns {string[]}
+ * @throws {Error} - On unknown types
+ */
+export function parseWebsiteTypes(text) {
+    const types = text.split(',').map(t => t.trim().toLowerCase()).filter(Boolean);
+    const unknown = types.filter(t => !WEBSITE_TYPES.includes(t));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown website type(s): ${unknown.join(', ')} (expected: ${WEBSITE_TYPES.join(', ')})`);
+    }
+    // A place without any link is always a lead
+    return [...new Set(['none', ...types])];
+}
+
+/**
+ * Load extra domains from a JSON file and add them to the defaults
+ * @param {string} filename - JSON file like { "social": ["example.com"], "menu": [...] }
+ * @returns {Promise<Object>} - Combined domain lists
+ * @throws {Error} - If the file is unreadable or has unknown types
+ */
+export async function loadWebsiteDomains(filename) {
+    const extra = JSON.parse(await readFile(filename, 'utf-8'));
+    const domains = { ...DEFAULT_WEBSITE_DOMAINS };
+
+    for (const [type, list] of Object.entries(extra)) {
+        if (!(type in DEFAULT_WEBSITE_DOMAINS) || !Array.isArray(list)) {
+            throw new Error(`Invalid entry "${type}" in ${filename} (expected arrays for: ${Object.keys(DEFAULT_WEBSITE_DOMAINS).join(', ')})`);
+        }
+        domains[type] = [...domains[type], ...list.map(d => String(d).toLowerCase().replace(/^www\./, ''))];
+    }
+    return domains;
+}
+
+export default { classifyWebsite, unwrapUrl, parseWebsiteTypes, loadWebsiteDomains };
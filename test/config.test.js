@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { loadConfig, findConfigFile, resolveProfile } from '../src/config.js';
+
+/**
+ * Run a test body with a fresh temp directory
+ * @param {Function} fn - Receives the directory path
+ */
+async function withTempDir(fn) {
+    const dir = await mkdtemp(path.join(tmpdir(), 'config-'));
+    try {
+        await fn(dir);
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+}
+
+test('loadConfig reads YAML profiles on top of defaults', () => withTempDir(async (dir) => {
+    const file = path.join(dir, 'gmaps-bot.config.yaml');
+    await writeFile(file, [
+        'defaults:',
+        '  concurrency: 5',
+        '  email-providers: [duckduckgo, bing]',
+        'profiles:',
+        '  madrid:',
+        '    location: Madrid, Spain',
+        '    subdivide: true',
+        '    concurrency: 3',
+        '    center: [40.4168, -3.7038]',
+        '    categories: [plumbers, electricians]',
+        '    website-domains: domains.json',
+        '',
+    ].join('\n'));
+
+    assert.equal(await findConfigFile(dir), file);
+
+    const config = await loadConfig(file);
+    assert.deepEqual(resolveProfile(config, null), { concurrency: '5', emailProviders: ['duckduckgo', 'bing'] });
+    assert.deepEqual(resolveProfile(config, 'madrid'), {
+        concurrency: '3',
+        emailProviders: ['duckduckgo', 'bing'],
+        location: 'Madrid, Spain',
+        subdivide: true,
+        center: '40.4168,-3.7038',
+        categories: ['plumbers', 'electricians'],
+        websiteDomains: path.join(dir, 'domains.json'),
+    });
+}));
+
+test('loadConfig reads JSON and lists every invalid setting', () => withTempDir(async (dir) => {
+    const file = path.join(dir, 'gmaps-bot.config.json');
+    await writeFile(file, JSON.stringify({
+        defaults: { locale: 'fr-FR' },
+        profiles: { paris: { concurency: 2, radius: 'big', headless: 'no' } },
+        profile: {},
+    }));
+
+    await assert.rejects(loadConfig(file), (error) => {
+        assert.match(error.message, /^Invalid config file /);
+        assert.match(error.message, /profile: unknown section \(did you mean "profiles"\?\)/);
+        assert.match(error.message, /profiles\.paris\.concurency: unknown setting \(did you mean "concurrency"\?\)/);
+        assert.match(error.message, /profiles\.paris\.radius: expected a number, got "big"/);
+        assert.match(error.message, /profiles\.paris\.headless: expected true or false, got "no"/);
+        return true;
+    });
+
+    await writeFile(file, '{ "profiles": ');
+    await assert.rejects(loadConfig(file), /Cannot parse /);
+}));
+
+test('resolveProfile rejects unknown profiles', () => withTempDir(async (dir) => {
+    const file = path.join(dir, 'runs.yml');
+    await writeFile(file, 'profiles:\n  madrid:\n    location: Madrid, Spain\n');
+
+    const config = await loadConfig(file);
+    assert.throws(() => resolveProfile(config, 'madird'), /Unknown profile "madird" .*did you mean "madrid".*available: madrid/);
+    assert.equal(await findConfigFile(dir), null);
+}));
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { diffResults, diffRows, formatDiff } from '../src/diff.js';
+import { openStorage, loadResults, listRuns } from '../src/storage.js';
+
+const uno = { name: 'Cafe Uno', address: '1 High Street, Testville', phone: '+442071234567', emails: [], isActive: true, featureId: '0x0:0x1' };
+const dos = { name: 'Bar Dos', address: '2 High Street, Testville', phone: null, emails: ['a@bardos.example'], isActive: true, featureId: '0x0:0x2' };
+const tres = { name: 'Tres Coffee', address: '3 High Street, Testville', phone: '+442071230003', emails: [], isActive: true };
+
+test('diffResults lists added, removed and changed places by identity', () => {
+    const diff = diffResults(
+        [uno, dos],
+        [
+            // Same place under a slightly different name, new phone
+            { ...uno, name: "Cafe Uno's", phone: '+442079999999' },
+            tres,
+        ],
+    );
+    assert.deepEqual(diff.added.map(p => p.name), ['Tres Coffee']);
+    assert.deepEqual(diff.removed.map(p => p.name), ['Bar Dos']);
+    assert.deepEqual(diff.changed[0].changes, [{ field: 'phone', from: uno.phone, to: '+442079999999' }]);
+    assert.equal(diff.unchanged, 0);
+
+    // Email order does not count as a change; chosen fields do
+    const same = diffResults([{ ...dos, emails: ['a@x.example', 'b@x.example'] }], [{ ...dos, emails: ['b@x.example', 'a@x.example'], rating: 4 }]);
+    assert.equal(same.unchanged, 1);
+    assert.equal(diffResults([dos], [{ ...dos, rating: 4 }], { fields: ['rating'] }).changed.length, 1);
+});
+
+test('formatDiff renders JSON and CSV', () => {
+    const diff = diffResults([uno, dos], [{ ...uno, isActive: false }, dos, tres]);
+    assert.deepEqual(diffRows(diff).map(row => [row.change, row.name, row.field]),
+        [['added', 'Tres Coffee', null], ['changed', 'Cafe Uno', 'isActive']]);
+
+    const json = JSON.parse(formatDiff(diff, 'json', { before: 'old.json', after: 'new.json' }));
+    assert.deepEqual(json.summary, { added: 1, removed: 0, changed: 1, unchanged: 1 });
+    assert.equal(json.changed[0].changes[0].to, false);
+
+    const csv = formatDiff(diff, 'csv').trim().split('\r\n');
+    assert.equal(csv[0], 'change,name,address,phone,field,from,to');
+    assert.equal(csv[2], 'changed,Cafe Uno,"1 High Street, Testville",+442071234567,isActive,true,false');
+    assert.throws(() => formatDiff(diff, 'table'), /Unknown diff file format/);
+});
+
+test('SQLite keeps each run\'s sightings so two runs can be compared', async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'diff-'));
+    const file = path.join(dir, 'leads.db');
+    try {
+        for (const results of [[uno, dos], [{ ...uno, phone: '+442079999999' }, tres]]) {
+            const storage = await openStorage(file);
+            await storage.startRun('cafes', 'Testville');
+            for (const result of results) await storage.appendResult(result);
+            await storage.finishRun(results);
+            await storage.close();
+        }
+
+        const runs = await listRuns(file);
+        assert.deepEqual(runs.map(run => [run.id, run.foundCount]), [[1, 2], [2, 2]]);
+        const first = await loadResults(file, { run: 1 });
+        const second = await loadResults(file, { run: 2 });
+        assert.equal(first.results[0].phone, uno.phone); // As the first run left it
+        const diff = diffResults(first.results, second.results);
+        assert.deepEqual([diff.added, diff.removed, diff.changed].map(list => list.map(p => p.name || p.after.name)),
+            [['Tres Coffee'], ['Bar Dos'], ['Cafe Uno']]);
+
+        await assert.rejects(loadResults(file, { run: 9 }), /No run 9/);
+        await assert.rejects(loadResults(path.join(dir, 'leads.json'), { run: 1 }), /does not keep separate runs/);
+        assert.deepEqual(await listRuns(path.join(dir, 'leads.json')), []);
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runDoctor } from '../src/doctor.js';
+import { FIXTURES_DIR, NO_BROWSER } from './helpers.js';
+
+test('doctor reports matching selectors', { skip: NO_BROWSER, timeout: 60000 }, async () => {
+    const report = await runDoctor({ query: 'cafes', location: 'Testville', replayFrom: FIXTURES_DIR });
+    const group = (name) => report.groups.find(g => g.name === name);
+
+    assert.equal(report.ok, true);
+    assert.deepEqual(report.errors, []);
+    assert.equal(group('searchBox').matched, 'input#searchboxinput');
+    assert.equal(group('consentButton').matched, null);
+    assert.equal(group('searchResultLink').candidates[0].count, 4);
+    assert.equal(group('priceLevel').matched, 'span[aria-label^="Price"]');
+    // Cafe Uno, the first result, has no website link
+    assert.equal(group('website').matched, null);
+});
+
+test('doctor fails when a required page cannot be checked', { skip: NO_BROWSER, timeout: 60000 }, async () => {
+    const report = await runDoctor({
+        query: 'cafes',
+        location: 'Testville',
+        placeUrl: 'https://www.google.com/maps/place/Not+Recorded',
+        replayFrom: FIXTURES_DIR,
+    });
+
+    assert.equal(report.ok, false);
+    assert.equal(report.groups.find(g => g.name === 'placeName').matched, null);
+    assert.match(report.errors[0], /ERR_INTERNET_DISCONNECTED/);
+});
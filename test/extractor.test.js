@@ -0,0 +1,133 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    extractPlaceDetails,
+    extractPlaceLinks,
+    parsePlaceId,
+    parseFeatureId,
+    parseViewport,
+    parseRating,
+    parseReviewCount,
+    parsePriceLevel,
+    parseCoordinates,
+} from '../src/extractor.js';
+import { launchReplayBrowser, NO_BROWSER, PLACE_URLS, SEARCH_URL } from './helpers.js';
+
+test('URL parsers', () => {
+    assert.equal(parsePlaceId(PLACE_URLS.cafeUno), 'Cafe+Uno');
+    assert.deepEqual(parseViewport(PLACE_URLS.cafeUno), { lat: 51.5012, lng: -0.1201, zoom: 17 });
+    assert.deepEqual(parseCoordinates(PLACE_URLS.cuatroBakery), { lat: 51.504, lng: -0.116 });
+    assert.equal(parsePlaceId('https://www.google.com/maps'), null);
+    assert.equal(parseFeatureId(PLACE_URLS.cafeUno), '0x0:0x1');
+    assert.equal(parseFeatureId('/maps/place/X/data=!4m7!3m6!1s0x47E66:0xAB12!8m2'), '0x47e66:0xab12');
+    assert.equal(parseFeatureId('https://www.google.com/maps/place/Cafe+Uno'), null);
+});
+
+test('field parsers', () => {
+    assert.equal(parseRating('4,5 stars'), 4.5);
+    assert.equal(parseRating('12'), null);
+    assert.equal(parseReviewCount('1,045 reviews'), 1045);
+    assert.equal(parseReviewCount('1.2K'), 1200);
+    assert.equal(parseReviewCount('12 mentions'), 12);
+    assert.equal(parseReviewCount('(3 Meinungen)'), 3);
+    assert.equal(parsePriceLevel('Price: Very expensive'), 4);
+    assert.equal(parsePriceLevel('€€'), 2);
+    assert.equal(parsePriceLevel('€10–20'), null);
+});
+
+test('extraction from replayed pages', { skip: NO_BROWSER }, async (t) => {
+    let browser;
+    let context;
+    let fixtures;
+
+    before(async () => {
+        ({ browser, context, fixtures } = await launchReplayBrowser());
+    });
+
+    after(async () => {
+        await browser?.close();
+    });
+
+    const open = async (url) => {
+        const page = await context.newPage();
+        await page.goto(url, { waitUntil: 'domcontentloaded' });
+        return page;
+    };
+
+    await t.test('extractPlaceLinks lists every place in the feed', async () => {
+        const page = await open(SEARCH_URL);
+        const links = await extractPlaceLinks(page);
+        await page.close();
+
+        assert.deepEqual(links, [PLACE_URLS.cafeUno, PLACE_URLS.barDos, PLACE_URLS.tresCoffee, PLACE_URLS.cuatroBakery]);
+    });
+
+    await t.test('extractPlaceDetails reads every field', async () => {
+        const page = await open(PLACE_URLS.cafeUno);
+        const details = await extractPlaceDetails(page);
+        await page.close();
+
+        assert.equal(details.name, 'Cafe Uno');
+        assert.equal(details.address, '12 High Street, Testville TV1 2AB, United Kingdom');
+        assert.equal(details.phone, '+442079460018');
+        assert.equal(details.phoneType, 'landline');
+        assert.deepEqual(details.emails, ['hello@cafeuno.co.uk']);
+        assert.equal(details.hasWebsite, false);
+        assert.equal(details.websiteType, 'none');
+        assert.equal(details.placeId, 'Cafe+Uno');
+        assert.equal(details.isActive, true);
+        assert.equal(details.rating, 4.6);
+        assert.equal(details.reviewCount, 212);
+        assert.equal(details.category, 'Coffee shop');
+        assert.equal(details.priceLevel, 1);
+        assert.equal(details.plusCode, 'GV2G+2W Testville');
+        assert.deepEqual(details.coordinates, { lat: 51.5012, lng: -0.1201 });
+        assert.deepEqual(details.openingHours, { Monday: '8 AM–6 PM', Tuesday: '8 AM–6 PM', Sunday: 'Closed' });
+    });
+
+    await t.test('extractPlaceDetails classifies website links', async () => {
+        const page = await open(PLACE_URLS.barDos);
+        const details = await extractPlaceDetails(page);
+        await page.close();
+
+        assert.equal(details.website, 'https://www.instagram.com/bardos_testville/');
+        assert.equal(details.websiteType, 'social');
+        assert.equal(details.phone, '+447400100200');
+        assert.equal(details.phoneType, 'mobile');
+        assert.equal(details.reviewCount, 1045);
+    });
+
+    await t.test('extractPlaceDetails detects closed places', async () => {
+        const page = await open(PLACE_URLS.cuatroBakery);
+        const details = await extractPlaceDetails(page);
+        await page.close();
+
+        assert.equal(details.isActive, false);
+        assert.equal(details.phone, null);
+    });
+
+    await t.test('extractPlaceDetails strips icon glyphs from the address', async () => {
+        const page = await context.newPage();
+        await page.setContent('<h1>Glyph Cafe</h1>'
+            + '<button data-item-id="address">&#xe0c8;\n   1 Main Street,\n   Testville  </button>');
+        const details = await extractPlaceDetails(page);
+        await page.close();
+
+        assert.equal(details.address, '1 Main Street, Testville');
+    });
+
+    await t.test('extractPlaceDetails keeps unvalidated phone numbers out of phone', async () => {
+        const page = await context.newPage();
+        await page.setContent('<h1>Odd Number Cafe</h1><button data-item-id="phone:tel:0000000000">000 000 0000</button>');
+        const details = await extractPlaceDetails(page, { defaultCountry: 'GB' });
+        await page.close();
+
+        assert.equal(details.phone, null);
+        assert.equal(details.phoneDisplay, '000 000 0000');
+        assert.equal(details.phoneType, 'unknown');
+    });
+
+    await t.test('every request was served from the fixtures', () => {
+        assert.deepEqual(fixtures.misses, []);
+    });
+});
@@ -0,0 +1,60 @@
+/**
+ * Test helpers: fixture paths and a browser that replays them
+ */
+
+import { createServer } from 'http';
+import { fileURLToPath } from 'url';
+import { chromium } from 'playwright';
+import { loadFixtures } from '../src/replay.js';
+
+export const FIXTURES_DIR = fileURLToPath(new URL('./fixtures/testville', import.meta.url));
+
+export const PLACE_URLS = {
+    cafeUno: 'https://www.google.com/maps/place/Cafe+Uno/@51.5012,-0.1201,17z/data=!3m1!4b1!4m6!3m5!1s0x0:0x1!8m2!3d51.5012!4d-0.1201',
+    barDos: 'https://www.google.com/maps/place/Bar+Dos/@51.5021,-0.1188,17z/data=!3m1!4b1!4m6!3m5!1s0x0:0x2!8m2!3d51.5021!4d-0.1188',
+    tresCoffee: 'https://www.google.com/maps/place/Tres+Coffee/@51.5033,-0.1175,17z/data=!3m1!4b1!4m6!3m5!1s0x0:0x3!8m2!3d51.5033!4d-0.1175',
+    cuatroBakery: 'https://www.google.com/maps/place/Cuatro+Bakery/@51.5040,-0.1160,17z/data=!3m1!4b1!4m6!3m5!1s0x0:0x4!8m2!3d51.504!4d-0.116',
+};
+
+export const SEARCH_URL = 'https://www.google.com/maps/search/cafes+in+Testville';
+
+// Reason to skip browser tests, or false if Chromium can be launched
+export const NO_BROWSER = await chromium.launch()
+    .then(async (browser) => {
+        await browser.close();
+        return false;
+    })
+    .catch(() => 'Playwright Chromium is not installed (run "npx playwright install chromium")');
+
+/**
+ * Launch a browser whose only network is the fixture set
+ * @returns {Promise<{browser: import('playwright').Browser, context: import('playwright').BrowserContext, fixtures: Object}>}
+ */
+export async function launchReplayBrowser() {
+    const browser = await chromium.launch();
+    const context = await browser.newContext();
+    const fixtures = await loadFixtures(FIXTURES_DIR);
+    await context.route('**/*', (route) => fixtures.handle(route));
+    return { browser, context, fixtures };
+}
+
+/**
+ * Start a local HTTP proxy stand-in that answers every request itself
+ * with a page naming the proxy, and remembers what it was asked for
+ * @param {string} name - Name shown in the page body
+ * @returns {Promise<{server: string, hits: Object[], close: Function}>}
+ */
+export async function startProxyStandIn(name) {
+    const hits = [];
+    const server = createServer((req, res) => {
+        hits.push({ url: req.url, userAgent: req.headers['user-agent'] });
+        res.writeHead(200, { 'content-type': 'text/html' });
+        res.end(`<html><body>${name}</body></html>`);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        server: `http://127.0.0.1:${server.address().port}`,
+        hits,
+        close: () => new Promise(resolve => server.close(resolve)),
+    };
+}
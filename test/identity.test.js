@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { createPlaceIndex, mergePlaces, normalizeAddress, placeIdentity, samePlace } from '../src/identity.js';
+import { mergeResults } from '../src/storage.js';
+import { createSqliteStorage } from '../src/sqlite-storage.js';
+
+const manoloCentro = {
+    name: 'Bar Manolo',
+    address: 'Calle Mayor 5, 28013 Madrid',
+    phone: '+34911111111',
+    coordinates: { lat: 40.4155, lng: -3.7074 },
+    emails: [],
+};
+const manoloVallecas = {
+    name: 'Bar Manolo',
+    address: 'Avenida de la Albufera 120, 28038 Madrid',
+    phone: '+34922222222',
+    coordinates: { lat: 40.3925, lng: -3.6571 },
+    emails: [],
+};
+
+test('samePlace keeps same-name places in different districts apart', () => {
+    assert.equal(samePlace(manoloCentro, manoloVallecas), false);
+    assert.equal(samePlace({ ...manoloCentro, featureId: '0x1:0xa' }, { ...manoloCentro, featureId: '0x1:0xb' }), false);
+    assert.equal(samePlace({ ...manoloCentro, featureId: '0x1:0xa' }, { name: 'Other', featureId: '0x1:0xa' }), true);
+});
+
+test('samePlace matches near-duplicate names at the same location', () => {
+    // Apostrophe, accents and street-type abbreviations
+    assert.equal(samePlace(manoloCentro, { name: "Bar Manolo's", address: 'C. Mayor, 5, 28013 Madrid' }), true);
+    assert.equal(samePlace({ name: 'Café Uno', phone: '+442071234567' }, { name: 'Cafe Uno', phone: '+44 20 7123 4567' }), true);
+    assert.equal(samePlace(manoloCentro, { name: 'Bar Manolo Madrid', coordinates: { lat: 40.41552, lng: -3.70745 } }), true);
+    assert.equal(samePlace(manoloCentro, { name: 'Bar Paco', address: manoloCentro.address }), false);
+
+    // Name only: nothing to compare the location with
+    assert.equal(samePlace({ name: 'Bar Manolo' }, manoloVallecas), true);
+    assert.equal(samePlace({ name: 'Bar Manolo' }, { name: 'Bar Manola' }), false);
+
+    assert.equal(normalizeAddress('Calle Mayor, 5'), normalizeAddress('C. Mayor 5'));
+    assert.equal(placeIdentity(manoloCentro), 'na:bar manolo|c mayor 5 28013 madrid');
+    assert.equal(placeIdentity({ ...manoloCentro, featureId: '0x1:0xa' }), 'fid:0x1:0xa');
+});
+
+test('mergePlaces combines fields of two sightings', () => {
+    const merged = mergePlaces(
+        { ...manoloCentro, rating: 4.1, category: 'Bar', emails: ['a@manolo.es'], emailCandidates: [{ email: 'a@manolo.es', confidence: 0.4 }] },
+        { ...manoloCentro, rating: 4.3, category: null, emails: ['b@manolo.es'], emailCandidates: [{ email: 'a@manolo.es', confidence: 0.9 }, { email: 'b@manolo.es', confidence: 0.5 }] },
+    );
+    assert.equal(merged.rating, 4.3); // Newer value wins
+    assert.equal(merged.category, 'Bar'); // ...unless it is missing
+    assert.deepEqual(merged.emails, ['a@manolo.es', 'b@manolo.es']);
+    assert.deepEqual(merged.emailCandidates.map(c => [c.email, c.confidence]), [['a@manolo.es', 0.9], ['b@manolo.es', 0.5]]);
+});
+
+test('createPlaceIndex and mergeResults merge repeated sightings', () => {
+    const index = createPlaceIndex();
+    assert.equal(index.upsert(manoloCentro).merged, false);
+    assert.equal(index.upsert(manoloVallecas).merged, false);
+    const { place, merged } = index.upsert({ name: 'Bar Manolo', address: 'C/ Mayor 5, 28013 Madrid', rating: 4.5 });
+    assert.equal(merged, true);
+    assert.equal(place.rating, 4.5);
+    assert.equal(place.phone, manoloCentro.phone);
+    assert.equal(index.size, 2);
+
+    const results = mergeResults({ results: [manoloCentro] }, [manoloVallecas, { ...manoloCentro, emails: ['hola@barmanolo.es'] }]);
+    assert.equal(results.length, 2);
+    assert.deepEqual(results[0].emails, ['hola@barmanolo.es']);
+});
+
+test('SQLite storage merges sightings of the same place into one row', async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'identity-'));
+    const storage = createSqliteStorage(path.join(dir, 'leads.db'));
+    try {
+        await storage.startRun('bars', 'Madrid');
+        await storage.appendResult(manoloCentro);
+        await storage.appendResult(manoloVallecas);
+        await storage.appendResult({ ...manoloCentro, name: "Bar Manolo's", featureId: '0x1:0xa', rating: 4.2 });
+        const { total } = await storage.finishRun([]);
+        assert.equal(total, 2);
+
+        const { results } = await storage.loadResults();
+        assert.equal(results[0].name, "Bar Manolo's");
+        assert.equal(results[0].featureId, '0x1:0xa');
+        assert.equal(results[0].rating, 4.2);
+        assert.equal(results[1].address, manoloVallecas.address);
+    } finally {
+        await storage.close();
+        await rm(dir, { recursive: true, force: true });
+    }
+});
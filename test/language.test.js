@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { loadLanguage, listLanguagePacks, DEFAULT_LANGUAGE } from '../src/language.js';
+import { getLocalizedSelectors, parsePriceLevel } from '../src/extractor.js';
+
+test('built-in packs', async () => {
+    assert.deepEqual(await listLanguagePacks(), ['de', 'en', 'es', 'fr', 'it', 'pt']);
+    assert.equal(DEFAULT_LANGUAGE.locale, 'en-US');
+    assert.ok(DEFAULT_LANGUAGE.closedPhrases.includes('permanently closed'));
+    // Any "Accept ..." consent label (e.g. "Accept cookies") is still clicked
+    assert.ok(getLocalizedSelectors(DEFAULT_LANGUAGE).consentButton.includes('[aria-label*="Accept"]'));
+
+    // Spanish phrases the scraper always recognized still work without --locale es
+    assert.ok(DEFAULT_LANGUAGE.closedPhrases.includes('cerrado temporalmente'));
+    const selectors = getLocalizedSelectors(DEFAULT_LANGUAGE);
+    assert.ok(selectors.consentButton.includes('button:has-text("Acepto")'));
+    assert.ok(selectors.consentButton.includes('[aria-label*="Aceptar"]'));
+    assert.ok(selectors.searchBox.includes('input[aria-label*="Buscar"]'));
+    assert.ok(selectors.priceLevel.includes('span[aria-label^="Precio"]'));
+});
+
+test('loadLanguage adds the pack for a locale to English', async () => {
+    const language = await loadLanguage('fr-FR');
+
+    assert.equal(language.locale, 'fr-FR');
+    assert.deepEqual(language.names, ['English', 'Français']);
+    assert.ok(language.closedPhrases.includes('définitivement fermé'));
+    assert.ok(language.closedPhrases.includes('permanently closed'));
+    assert.equal(parsePriceLevel('Prix : Très cher', language.priceLevels), 4);
+    assert.equal(parsePriceLevel('Prix : Peu cher', language.priceLevels), 1);
+});
+
+test('loadLanguage rejects locales without a pack', async () => {
+    await assert.rejects(loadLanguage('nl-NL'), /No language pack for locale "nl-NL"/);
+});
+
+test('custom language packs', async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'language-pack-'));
+    try {
+        const file = path.join(dir, 'nl.json');
+        await writeFile(file, JSON.stringify({
+            name: 'Nederlands',
+            consentButtons: ['Alles accepteren'],
+            closedPhrases: ['Permanent gesloten'],
+            priceLevels: { 'goedkoop': 1 },
+        }));
+        const language = await loadLanguage('nl-NL', [file]);
+
+        assert.ok(language.closedPhrases.includes('permanent gesloten'));
+        assert.equal(parsePriceLevel('Prijs: goedkoop', language.priceLevels), 1);
+        assert.ok(getLocalizedSelectors(language).consentButton.includes('button:has-text("Alles accepteren")'));
+
+        await writeFile(file, JSON.stringify({ closedPhrase: ['typo'] }));
+        await assert.rejects(loadLanguage('nl-NL', [file]), /Unknown field "closedPhrase"/);
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+});
+
+test('getLocalizedSelectors adds text and label selectors', async () => {
+    const selectors = getLocalizedSelectors(await loadLanguage('es-ES'));
+
+    assert.ok(selectors.consentButton.includes('button:has-text("Aceptar todo")'));
+    assert.ok(selectors.consentButton.includes('form[action*="consent"] button'));
+    assert.ok(selectors.searchBox.includes('input[aria-label*="Buscar"]'));
+    assert.equal(selectors.searchBox[0], 'input#searchboxinput');
+    assert.deepEqual(selectors.priceLevel, ['span[aria-label^="Price"]', 'span[aria-label^="Precio"]', 'span.mgr77e span']);
+});
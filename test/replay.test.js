@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { createRecorder, loadFixtures, requestKey } from '../src/replay.js';
+import { FIXTURES_DIR, PLACE_URLS } from './helpers.js';
+
+test('requestKey ignores the fragment', () => {
+    assert.equal(requestKey('get', 'https://www.google.com/maps#x'), 'GET https://www.google.com/maps');
+});
+
+test('loadFixtures finds recorded responses', async () => {
+    const fixtures = await loadFixtures(FIXTURES_DIR);
+
+    assert.equal(fixtures.lookup('GET', PLACE_URLS.cafeUno).file, 'bodies/0003-maps-place-cafe-uno.html');
+    // Session parameters in the query string don't prevent a match
+    assert.equal(fixtures.lookup('GET', 'https://www.google.com/maps?authuser=0').file, 'bodies/0001-maps-home.html');
+    assert.equal(fixtures.lookup('POST', 'https://www.google.com/maps'), null);
+    assert.equal(fixtures.lookup('GET', 'https://www.google.com/maps/place/Unknown'), null);
+});
+
+test('loadFixtures rejects a directory without a manifest', async () => {
+    await assert.rejects(loadFixtures(path.join(FIXTURES_DIR, 'bodies')), /Cannot read fixtures/);
+});
+
+test('recorded responses can be replayed', async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'maps-fixtures-'));
+    try {
+        const recorder = createRecorder(dir);
+        const fulfilled = [];
+        const route = {
+            request: () => ({ method: () => 'GET', url: () => 'https://www.google.com/maps/search/bars#top' }),
+            fetch: async () => ({
+                status: () => 200,
+                headers: () => ({ 'content-type': 'text/html' }),
+                body: async () => Buffer.from('<div role="feed"></div>'),
+            }),
+            fulfill: async (options) => fulfilled.push(options),
+        };
+        await recorder.handle(route);
+        await recorder.handle(route); // Same request twice is stored once
+        await recorder.save();
+
+        assert.equal(fulfilled.length, 2);
+        assert.equal(recorder.count(), 1);
+
+        const fixtures = await loadFixtures(dir);
+        const entry = fixtures.lookup('GET', 'https://www.google.com/maps/search/bars');
+        assert.equal(entry.status, 200);
+        assert.equal(entry.contentType, 'text/html');
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+});
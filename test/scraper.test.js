@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GoogleMapsScraper } from '../src/scraper.js';
+import { createContactDiscovery } from '../src/contact-providers.js';
+import { FIXTURES_DIR, NO_BROWSER, PLACE_URLS, SEARCH_URL } from './helpers.js';
+
+test('GoogleMapsScraper finds leads in replayed searches', { skip: NO_BROWSER, timeout: 120000 }, async () => {
+    const found = [];
+    const scraper = new GoogleMapsScraper({
+        concurrency: 2,
+        replayFrom: FIXTURES_DIR,
+        contactDiscovery: createContactDiscovery([{ type: 'stub' }]),
+        onResult: (result) => found.push(result.name),
+    });
+
+    const results = await scraper.scrape('cafes', 'Testville');
+    const byName = Object.fromEntries(results.map(result => [result.name, result]));
+
+    // Tres Coffee has its own website and Cuatro Bakery is closed
+    assert.deepEqual(Object.keys(byName).sort(), ['Bar Dos', 'Cafe Uno']);
+    assert.deepEqual(found.sort(), ['Bar Dos', 'Cafe Uno']);
+
+    // Emails on the Maps page are used as-is, others come from the contact providers
+    assert.deepEqual(byName['Cafe Uno'].emails, ['hello@cafeuno.co.uk']);
+    assert.equal(byName['Cafe Uno'].emailCandidates[0].source, 'maps');
+    // "Bar Dos" is all common words, which then have to match together
+    assert.deepEqual(byName['Bar Dos'].emails, ['info@bardos.test']);
+    assert.equal(byName['Bar Dos'].emailCandidates[0].source, 'stub');
+    assert.equal(byName['Bar Dos'].websiteType, 'social');
+
+    const checkpoint = scraper.getCheckpoint();
+    assert.deepEqual(checkpoint.completedQueries, ['cafes in Testville']);
+    assert.equal(checkpoint.visitedPlaceIds.length, 4);
+    assert.deepEqual(scraper.fixtures.misses, []);
+
+    // One page per worker, reused for the search and every place
+    assert.ok(scraper.contextPool.summary().pagesOpened <= 2);
+});
+
+test('GoogleMapsScraper keeps emails from the Maps page whatever their score', async () => {
+    const scraper = new GoogleMapsScraper({ minEmailConfidence: 0.5 });
+    // A freemail address that shares nothing with the name would score 0.25
+    scraper.loadPlace = async () => ({ name: 'Bar Dos', isActive: true, websiteType: 'none', emails: ['juan123@gmail.com'] });
+
+    const { outcome, details } = await scraper.getPlaceDetails('https://www.google.com/maps/place/Bar+Dos');
+    assert.equal(outcome, 'lead');
+    assert.deepEqual(details.emails, ['juan123@gmail.com']);
+    assert.equal(details.emailCandidates[0].confidence, 1);
+    assert.equal(details.emailCandidates[0].source, 'maps');
+});
+
+test('GoogleMapsScraper accepts checkpoints that list visited places by slug', () => {
+    // Older checkpoints keyed visited places by the slug in the URL, newer ones by feature ID
+    const scraper = new GoogleMapsScraper({ resumeFrom: { visitedPlaceIds: ['Cafe+Uno', '0x0:0x2'] } });
+    assert.equal(scraper.isVisited(PLACE_URLS.cafeUno), true);
+    assert.equal(scraper.isVisited(PLACE_URLS.barDos), true);
+    assert.equal(scraper.isVisited(PLACE_URLS.tresCoffee), false);
+});
+
+test('GoogleMapsScraper pipelines subdivided searches into one deduplicated queue', { skip: NO_BROWSER, timeout: 120000 }, async () => {
+    const progress = [];
+    const scraper = new GoogleMapsScraper({
+        concurrency: 2,
+        searchConcurrency: 2,
+        replayFrom: FIXTURES_DIR,
+        contactDiscovery: createContactDiscovery([{ type: 'stub' }]),
+        onProgress: (message) => progress.push(message),
+    });
+
+    // Both searches list Cafe Uno and Cuatro Bakery
+    const results = await scraper.scrapeWithSubdivision('', 'Testville', ['cafes in Testville', 'bakeries in Testville']);
+    assert.deepEqual(results.map(result => result.name).sort(), ['Bar Dos', 'Cafe Uno']);
+
+    const checkpoint = scraper.getCheckpoint();
+    assert.deepEqual(checkpoint.completedQueries.sort(), ['bakeries in Testville', 'cafes in Testville']);
+    assert.equal(checkpoint.visitedPlaceIds.length, 4);
+    assert.deepEqual(checkpoint.pendingUrls, []);
+    assert.ok(progress.some(message => /^Searches: \d+\/2 done, \d+ running \| Places: \d+ queued/.test(message)));
+    assert.equal(progress.at(-1), 'Searches: 2/2 done, 0 running | Places: 0 queued, 0 checking, 4 checked | Found: 2');
+});
+
+test('buildSearchUrl matches the URLs the Maps search box opens', () => {
+    const scraper = new GoogleMapsScraper();
+    assert.equal(scraper.buildSearchUrl('cafes in Testville'), SEARCH_URL);
+    assert.equal(
+        scraper.buildSearchUrl('bars', { lat: 40.4168, lng: -3.7038, zoom: 15 }),
+        'https://www.google.com/maps/search/bars/@40.416800,-3.703800,15z');
+    assert.equal(scraper.buildSearchUrl('café & bar in São Paulo'), 'https://www.google.com/maps/search/caf%C3%A9+%26+bar+in+S%C3%A3o+Paulo');
+});
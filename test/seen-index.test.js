@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { GoogleMapsScraper } from '../src/scraper.js';
+import { createContactDiscovery } from '../src/contact-providers.js';
+import { openSeenIndex, getSeenIndexPath } from '../src/seen-index.js';
+import { FIXTURES_DIR, NO_BROWSER } from './helpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('getSeenIndexPath sits next to the output file', () => {
+    assert.equal(getSeenIndexPath('out/results.json'), path.join('out', 'results.seen.ndjson'));
+    assert.equal(getSeenIndexPath('leads.db'), 'leads.seen.ndjson');
+});
+
+test('openSeenIndex keeps the latest outcome per place and skips fresh ones', async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'seen-'));
+    try {
+        const file = path.join(dir, 'results.seen.ndjson');
+        const old = new Date(Date.now() - 10 * DAY_MS).toISOString();
+        await writeFile(file, [
+            JSON.stringify({ placeId: '0x0:0x1', outcome: 'lead', visitedAt: old }),
+            JSON.stringify({ placeId: '0x0:0x2', outcome: 'error', visitedAt: new Date().toISOString() }),
+            '{"placeId": "0x0:0x3", "outc', // Truncated by a crash
+        ].join('\n') + '\n');
+
+        const index = await openSeenIndex(file, { freshDays: 7 });
+        assert.equal(index.size, 2);
+        assert.equal(index.isFresh('0x0:0x1'), false); // Checked 10 days ago
+        assert.equal(index.isFresh('0x0:0x2'), false); // Errors are always retried
+        assert.equal(index.isFresh(null), false);
+
+        await index.record('0x0:0x1', 'has_website', { name: 'Cafe Uno' });
+        assert.equal(index.isFresh('0x0:0x1'), true);
+        assert.equal(index.isFresh('0x0:0x1', Date.now() + 8 * DAY_MS), false);
+        assert.throws(() => index.record('0x0:0x9', 'maybe'), /Invalid outcome "maybe"/);
+
+        const reopened = await openSeenIndex(file, { freshDays: 7 });
+        assert.equal(reopened.get('0x0:0x1').outcome, 'has_website');
+        assert.equal(reopened.get('0x0:0x1').name, 'Cafe Uno');
+        assert.equal((await openSeenIndex(file, { freshDays: 0 })).isFresh('0x0:0x1'), false);
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+});
+
+test('openSeenIndex compacts a file that is mostly stale lines', async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'seen-'));
+    try {
+        const file = path.join(dir, 'results.seen.ndjson');
+        const lines = ['lead', 'closed', 'has_website'].map(outcome =>
+            JSON.stringify({ placeId: '0x0:0x1', outcome, visitedAt: new Date().toISOString() }));
+        await writeFile(file, lines.join('\n') + '\n');
+
+        const index = await openSeenIndex(file);
+        assert.equal(index.get('0x0:0x1').outcome, 'has_website');
+        assert.equal((await readFile(file, 'utf-8')).trim().split('\n').length, 1);
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+});
+
+test('GoogleMapsScraper skips places a recent run checked, unless refreshing', { skip: NO_BROWSER, timeout: 120000 }, async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'seen-'));
+    const run = async (options) => {
+        const scraper = new GoogleMapsScraper({
+            concurrency: 2,
+            replayFrom: FIXTURES_DIR,
+            contactDiscovery: createContactDiscovery([{ type: 'stub' }]),
+            ...options,
+        });
+        const results = await scraper.scrape('cafes', 'Testville');
+        return { results, visited: scraper.getCheckpoint().visitedPlaceIds.length };
+    };
+
+    try {
+        const file = path.join(dir, 'results.seen.ndjson');
+        const first = await run({ seenIndex: await openSeenIndex(file) });
+        assert.equal(first.results.length, 2);
+
+        // Every outcome is recorded: two leads, one with a website, one closed
+        const index = await openSeenIndex(file);
+        assert.deepEqual(['0x0:0x1', '0x0:0x2', '0x0:0x3', '0x0:0x4'].map(id => index.get(id)?.outcome),
+            ['lead', 'lead', 'has_website', 'closed']);
+
+        const second = await run({ seenIndex: index });
+        assert.deepEqual(second, { results: [], visited: 0 });
+        assert.equal(index.summary().skipped, 4);
+
+        const refreshed = await run({ seenIndex: await openSeenIndex(file), refresh: true });
+        assert.equal(refreshed.results.length, 2);
+        assert.equal(refreshed.visited, 4);
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, parseJobRequest } from '../src/server.js';
+import { createContactDiscovery } from '../src/contact-providers.js';
+import { FIXTURES_DIR, NO_BROWSER } from './helpers.js';
+
+/**
+ * Read a Server-Sent Events stream to its end
+ * @param {Response} response - Fetch response of the stream
+ * @returns {Promise<{event: string, data: Object}[]>}
+ */
+async function readEvents(response) {
+    const text = await response.text();
+    return text.split('\n\n').filter(block => block.startsWith('event: ')).map(block => {
+        const [eventLine, dataLine] = block.split('\n');
+        return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+    });
+}
+
+test('parseJobRequest validates a job submission', () => {
+    assert.deepEqual(parseJobRequest({ location: ' Testville ' }, { concurrency: 4 }),
+        { query: '', location: 'Testville', subdivide: false, concurrency: 4 });
+    assert.equal(parseJobRequest({ location: 'Testville', query: 'cafes', subdivide: true, concurrency: 2 }).subdivide, true);
+    assert.throws(() => parseJobRequest({ query: 'cafes' }), /Invalid "location"/);
+    assert.throws(() => parseJobRequest({ location: 'Testville', subdivide: 'yes' }), /Invalid "subdivide"/);
+    assert.throws(() => parseJobRequest({ location: 'Testville', concurrency: 50 }, { maxConcurrency: 20 }), /from 1 to 20/);
+    assert.throws(() => parseJobRequest([]), /Invalid job/);
+});
+
+test('serve runs jobs one at a time, streams their events and pages results', { skip: NO_BROWSER, timeout: 180000 }, async () => {
+    const api = await startServer({
+        port: 0,
+        maxRunning: 1,
+        scraperOptions: { replayFrom: FIXTURES_DIR, contactDiscovery: createContactDiscovery([{ type: 'stub' }]) },
+    });
+    const request = async (method, path, body) => {
+        const response = await fetch(`${api.url}${path}`, {
+            method,
+            headers: body ? { 'content-type': 'application/json' } : {},
+            body: body && JSON.stringify(body),
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    try {
+        assert.equal((await request('POST', '/jobs', { query: 'cafes' })).status, 400);
+        assert.equal((await request('GET', '/jobs/99')).status, 404);
+
+        const first = await request('POST', '/jobs', { query: 'cafes', location: 'Testville', concurrency: 2 });
+        const second = await request('POST', '/jobs', { query: 'cafes', location: 'Testville', concurrency: 2 });
+        const third = await request('POST', '/jobs', { query: 'cafes', location: 'Testville' });
+        assert.equal(first.status, 201);
+        assert.deepEqual([first, second, third].map(job => job.body.status), ['running', 'queued', 'queued']);
+
+        // A queued job is cancelled without starting
+        assert.equal((await request('POST', `/jobs/${third.body.id}/cancel`)).body.status, 'cancelled');
+
+        // Follow the second job, then free its slot by cancelling the first
+        const stream = await fetch(`${api.url}/jobs/${second.body.id}/events`);
+        assert.equal(stream.headers.get('content-type'), 'text/event-stream; charset=utf-8');
+        const events = readEvents(stream);
+        await request('POST', `/jobs/${first.body.id}/cancel`);
+
+        const received = await events;
+        assert.deepEqual(received.filter(e => e.event === 'status').map(e => e.data.status), ['queued', 'running', 'done']);
+        assert.ok(received.some(e => e.event === 'progress'));
+        assert.deepEqual(received.filter(e => e.event === 'result').map(e => e.data.result.name).sort(), ['Bar Dos', 'Cafe Uno']);
+
+        const { body: jobs } = await request('GET', '/jobs');
+        assert.deepEqual(jobs.jobs.map(job => job.status), ['cancelled', 'done', 'cancelled']);
+
+        const page = await request('GET', `/jobs/${second.body.id}/results?offset=1&limit=1`);
+        assert.equal(page.body.total, 2);
+        assert.equal(page.body.results.length, 1);
+
+        // The stream of a finished job ends after its status
+        const finished = await readEvents(await fetch(`${api.url}/jobs/${second.body.id}/events`));
+        assert.deepEqual(finished.map(e => [e.event, e.data.status]), [['status', 'done']]);
+    } finally {
+        await api.close();
+    }
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, stat } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { openStorage, loadResults, repairResults } from '../src/storage.js';
+import { getJournalPath, appendJournal, readJournal } from '../src/journal.js';
+
+const uno = { name: 'Cafe Uno', address: '1 High Street, Testville', phone: '+442071234567', emails: [], isActive: true, featureId: '0x0:0x1' };
+const dos = { name: 'Bar Dos', address: '2 High Street, Testville', phone: null, emails: [], isActive: true, featureId: '0x0:0x2' };
+
+test('JSON storage empties the journal once a run is saved', async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'storage-'));
+    const file = path.join(dir, 'leads.json');
+    const journal = getJournalPath(file);
+    try {
+        for (const result of [uno, dos]) {
+            const storage = await openStorage(file);
+            await storage.startRun('cafes', 'Testville');
+            await storage.appendResult(result);
+            // Safe in the journal before the run ends
+            assert.equal((await readJournal(journal)).entries.length, 1);
+            await storage.finishRun([result]);
+            await storage.close();
+
+            assert.equal((await stat(journal)).size, 0);
+        }
+
+        const saved = await loadResults(file);
+        assert.deepEqual(saved.results.map(result => result.name), ['Cafe Uno', 'Bar Dos']);
+        // The JSON file alone is enough to repair from
+        assert.equal((await repairResults(file)).total, 2);
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+});
+
+test('JSON storage keeps leads a crashed run left in the journal', async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'storage-'));
+    const file = path.join(dir, 'leads.json');
+    try {
+        // A run that crashed after journaling Cafe Uno, before writing the JSON file
+        await appendJournal(getJournalPath(file), uno, { query: 'cafes', location: 'Testville' });
+
+        const storage = await openStorage(file);
+        await storage.startRun('cafes', 'Testville');
+        await storage.appendResult(dos);
+        await storage.finishRun([dos]);
+        await storage.close();
+
+        const saved = await loadResults(file);
+        assert.deepEqual(saved.results.map(result => result.name).sort(), ['Bar Dos', 'Cafe Uno']);
+        assert.equal((await stat(getJournalPath(file))).size, 0);
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import {
+    smartSubdivide,
+    gridSubdivide,
+    getVerticalCategories,
+    loadCategoriesFile,
+    FOOD_DRINK_CATEGORIES,
+    VERTICALS,
+    zoomForCellSize,
+} from '../src/subdivide.js';
+
+test('getVerticalCategories combines packs', () => {
+    assert.deepEqual(getVerticalCategories('food'), FOOD_DRINK_CATEGORIES);
+
+    const categories = getVerticalCategories('beauty, health');
+    assert.equal(categories.length, VERTICALS.beauty.length + VERTICALS.health.length);
+    assert.ok(categories.includes('hairdressers') && categories.includes('dentists'));
+
+    assert.throws(() => getVerticalCategories('cars'), /Unknown vertical\(s\): cars/);
+});
+
+test('smartSubdivide and gridSubdivide search the given categories', () => {
+    const searches = smartSubdivide('Madrid, Spain', { categories: ['plumbers'] });
+    assert.ok(searches.includes('plumbers in Madrid, Spain'));
+    assert.ok(searches.every(search => search.startsWith('plumbers in ')));
+
+    const cells = gridSubdivide({ south: 40.41, west: -3.71, north: 40.42, east: -3.70 }, { categories: ['gyms'] });
+    assert.ok(cells.length > 0);
+    assert.ok(cells.every(cell => cell.query === 'gyms'));
+});
+
+test('zoomForCellSize fits the cell into the viewport height', () => {
+    // At zoom 17 the smallest pool viewport (1280x720) on the equator shows about 0.86 km top to bottom
+    assert.equal(zoomForCellSize(1, 0), 16);
+    assert.equal(zoomForCellSize(0.5, 0), 17);
+    assert.equal(zoomForCellSize(1, 60), 15);
+});
+
+test('loadCategoriesFile reads text and JSON lists', async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'categories-'));
+    try {
+        const textFile = path.join(dir, 'categories.txt');
+        await writeFile(textFile, '# Trades we sell to\nplumbers\n\nelectricians  # and sparkies\nplumbers\n');
+        assert.deepEqual(await loadCategoriesFile(textFile), ['plumbers', 'electricians']);
+
+        const jsonFile = path.join(dir, 'categories.json');
+        await writeFile(jsonFile, JSON.stringify(['dentists', 'opticians']));
+        assert.deepEqual(await loadCategoriesFile(jsonFile), ['dentists', 'opticians']);
+
+        await writeFile(jsonFile, JSON.stringify({ categories: [] }));
+        await assert.rejects(loadCategoriesFile(jsonFile), /expected a JSON array/);
+
+        await writeFile(textFile, '# nothing here\n');
+        await assert.rejects(loadCategoriesFile(textFile), /No categories found/);
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { chromium } from 'playwright';
+import { GoogleMapsScraper } from '../src/scraper.js';
+import { createContactDiscovery } from '../src/contact-providers.js';
+import { createBlockGuard, createBlockedError, createRateLimiter, detectBlock } from '../src/throttle.js';
+import { NO_BROWSER, PLACE_URLS } from './helpers.js';
+
+const BLOCKED_FIXTURES_DIR = fileURLToPath(new URL('./fixtures/blocked', import.meta.url));
+
+test('createRateLimiter spaces calls apart', async () => {
+    const waitForSlot = createRateLimiter(50);
+    const start = Date.now();
+    await Promise.all([waitForSlot(), waitForSlot(), waitForSlot()]);
+    assert.ok(Date.now() - start >= 95);
+});
+
+test('createBlockGuard backs off and lowers concurrency', () => {
+    const guard = createBlockGuard({ concurrency: 8, baseDelayMs: 1000, maxStrikes: 3, recoverAfter: 2 });
+    const block = { kind: 'captcha', url: 'https://www.google.com/sorry/index' };
+
+    const first = guard.report(block, Date.now());
+    assert.equal(first.newStrike, true);
+    assert.equal(first.concurrency, 4);
+    assert.ok(first.delayMs > 900 && first.delayMs <= 1000);
+
+    // Pages requested before the block belong to the same incident
+    assert.equal(guard.report(block, 0).newStrike, false);
+
+    const second = guard.report(block, Date.now() + 1);
+    assert.equal(second.concurrency, 2);
+    assert.ok(second.delayMs > 1900 && second.delayMs <= 2000);
+    assert.equal(second.gaveUp, false);
+
+    // Normal pages reset the strikes and bring concurrency back step by step
+    guard.success(Date.now() + 1);
+    guard.success(Date.now() + 1);
+    assert.equal(guard.concurrency, 3);
+    assert.equal(guard.report(block, Date.now() + 1).gaveUp, false);
+    guard.report(block, Date.now() + 1);
+    assert.equal(guard.report(block, Date.now() + 1).gaveUp, true);
+
+    assert.deepEqual(guard.summary(), { total: 6, kinds: { captcha: 6 }, gaveUp: true });
+});
+
+test('detectBlock recognizes CAPTCHA and unusual traffic pages', { skip: NO_BROWSER, timeout: 60000 }, async () => {
+    const browser = await chromium.launch();
+    try {
+        const page = await browser.newPage();
+
+        await page.setContent('<form id="captcha-form"><div class="g-recaptcha"></div></form>');
+        assert.equal((await detectBlock(page)).kind, 'captcha');
+
+        await page.setContent('<p>Nuestros sistemas han detectado tráfico inusual en su red.</p>');
+        assert.equal(await detectBlock(page), null); // Not an English phrase
+        assert.equal((await detectBlock(page, ['nuestros sistemas han detectado tráfico inusual'])).kind, 'unusual-traffic');
+
+        await page.setContent('<h1>Cafe Uno</h1><p>Great coffee, no unusual traffic on weekdays.</p>');
+        assert.equal(await detectBlock(page), null);
+    } finally {
+        await browser.close();
+    }
+});
+
+test('GoogleMapsScraper pauses the run when place pages stay blocked', { skip: NO_BROWSER, timeout: 120000 }, async () => {
+    const progress = [];
+    const scraper = new GoogleMapsScraper({
+        concurrency: 2,
+        replayFrom: BLOCKED_FIXTURES_DIR,
+        contactDiscovery: createContactDiscovery([{ type: 'stub' }]),
+        blockBackoffMs: 10,
+        maxBlockStrikes: 2,
+        maxRequestsPerMinute: 0,
+        onProgress: (message) => progress.push(message),
+    });
+
+    const results = await scraper.scrape('cafes', 'Testville');
+    assert.deepEqual(results, []);
+
+    const blocks = scraper.getBlockSummary();
+    assert.equal(blocks.gaveUp, true);
+    assert.ok(blocks.kinds['unusual-traffic'] >= 2);
+    assert.ok(progress.some(message => message.includes('results are incomplete')));
+    assert.ok(scraper.contextPool.summary().retired >= 2); // Each new block replaces the browser context
+
+    // Blocked places stay pending for --resume instead of counting as visited
+    const checkpoint = scraper.getCheckpoint();
+    assert.deepEqual(checkpoint.completedQueries, ['cafes in Testville']);
+    assert.deepEqual(checkpoint.visitedPlaceIds, []);
+    assert.deepEqual(checkpoint.pendingUrls.sort(), Object.values(PLACE_URLS).sort());
+});
+
+test('GoogleMapsScraper retries a blocked last place after concurrency drops', async () => {
+    const urls = Object.values(PLACE_URLS);
+    const block = { kind: 'captcha', url: 'https://www.google.com/sorry/index' };
+    const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    /**
+     * Scraper whose place checks are stubbed: the last place is blocked once,
+     * after every other worker has run out of places
+     * @returns {GoogleMapsScraper}
+     */
+    const stubbedScraper = () => {
+        const scraper = new GoogleMapsScraper({ concurrency: 4, maxRequestsPerMinute: 0 });
+        let blocked = false;
+        scraper.launch = async () => { };
+        scraper.close = async () => { };
+        scraper.searchPlacesDirect = async () => ({ links: urls, reachedEnd: true, viewport: null });
+        scraper.getPlaceDetails = async (url) => {
+            if (url === urls.at(-1) && !blocked) {
+                blocked = true;
+                await delay(50);
+                scraper.blockGuard.report(block, Date.now());
+                throw createBlockedError(block);
+            }
+            await delay(5);
+            return { outcome: 'lead', details: { name: url } };
+        };
+        return scraper;
+    };
+
+    const plain = stubbedScraper();
+    const results = await plain.processPlaces(urls);
+    assert.equal(plain.blockGuard.concurrency, 2);
+    assert.deepEqual(results.map(r => r.name).sort(), [...urls].sort());
+    assert.deepEqual(plain.getCheckpoint().pendingUrls, []);
+
+    const subdivided = stubbedScraper();
+    await subdivided.scrapeWithSubdivision('cafes', 'Testville', ['cafes in Testville']);
+    assert.equal(subdivided.getCheckpoint().visitedPlaceIds.length, urls.length);
+    assert.deepEqual(subdivided.getCheckpoint().pendingUrls, []);
+});
@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { applyVerification, placeUrlFor, runVerify, summarizeVerification } from '../src/verify.js';
+import { openStorage, loadResults, createResultsObject, saveResults } from '../src/storage.js';
+import { FIXTURES_DIR, NO_BROWSER, PLACE_URLS } from './helpers.js';
+
+const stored = {
+    name: 'Cafe Uno',
+    address: '1 High Street, Testville',
+    phone: '+442071234567',
+    website: null,
+    websiteType: 'none',
+    isActive: true,
+    rating: 4.2,
+    reviewCount: 10,
+    featureId: '0x0:0x1',
+    placeId: 'Cafe+Uno',
+    emails: ['hello@cafeuno.example'],
+};
+
+test('applyVerification records field changes and status transitions', () => {
+    const first = applyVerification(stored, { ...stored, rating: 4.4, reviewCount: 12 }, { checkedAt: '2026-01-01T00:00:00.000Z' });
+    assert.equal(first.status, 'lead');
+    assert.deepEqual(first.changes.map(c => c.field), ['rating', 'reviewCount']);
+    assert.deepEqual(first.result.emails, stored.emails); // Untracked fields are kept
+    assert.equal(first.result.verification.previousCheckAt, null);
+
+    const second = applyVerification(first.result, { ...first.result, website: 'https://cafeuno.example', websiteType: 'own' }, { checkedAt: '2026-02-01T00:00:00.000Z' });
+    assert.equal(second.status, 'got_website');
+    assert.equal(second.result.verification.previousCheckAt, '2026-01-01T00:00:00.000Z');
+    assert.deepEqual(second.result.verification.history.map(h => [h.at.slice(0, 7), h.field]), [
+        ['2026-01', 'rating'], ['2026-01', 'reviewCount'],
+        ['2026-02', 'website'], ['2026-02', 'websiteType'], ['2026-02', 'status'],
+    ]);
+
+    // A vanished place keeps its last known details
+    const gone = applyVerification(second.result, null, { checkedAt: '2026-03-01T00:00:00.000Z' });
+    assert.equal(gone.status, 'vanished');
+    assert.equal(gone.result.website, 'https://cafeuno.example');
+    assert.deepEqual(gone.changes, [{ field: 'status', from: 'got_website', to: 'vanished' }]);
+
+    const summary = summarizeVerification([first, second, gone].map(check => ({ previous: stored, ...check })), 1);
+    assert.deepEqual(summary.statuses, { lead: 1, got_website: 1, closed: 0, vanished: 1 });
+    assert.deepEqual(summary.transitions, { 'lead → got_website': 1, 'got_website → vanished': 1 });
+    assert.equal(summary.fields.rating, 1);
+    assert.equal(summary.failed, 1);
+});
+
+test('placeUrlFor prefers the stored page and falls back to the feature ID', () => {
+    assert.equal(placeUrlFor({ ...stored, mapsUrl: PLACE_URLS.cafeUno }), PLACE_URLS.cafeUno);
+    assert.match(placeUrlFor(stored), /\/place\/Cafe\+Uno\/data=.*!1s0x0:0x1$/);
+    assert.equal(placeUrlFor({ name: 'Cafe Uno' }), null);
+});
+
+for (const ext of ['json', 'db']) {
+    test(`replaceResults updates stored ${ext} results in place`, async () => {
+        const dir = await mkdtemp(path.join(tmpdir(), 'verify-'));
+        const file = path.join(dir, `leads.${ext}`);
+        try {
+            const other = { ...stored, name: 'Bar Dos', featureId: '0x0:0x2', placeId: 'Bar+Dos' };
+            let storage = await openStorage(file);
+            await storage.startRun('cafes', 'Testville');
+            await storage.appendResult(stored);
+            await storage.appendResult(other);
+            await storage.finishRun([stored, other]);
+            await storage.close();
+
+            const { results } = await loadResults(file);
+            const { result } = applyVerification(results[0], { ...results[0], isActive: false });
+            storage = await openStorage(file);
+            assert.deepEqual(await storage.replaceResults([{ previous: results[0], result }]), { saved: true, replaced: 1 });
+            await storage.close();
+
+            const reloaded = await loadResults(file);
+            assert.equal(reloaded.results.length, 2);
+            const cafe = reloaded.results.find(r => r.name === 'Cafe Uno');
+            assert.equal(cafe.isActive, false);
+            assert.equal(cafe.verification.status, 'closed');
+        } finally {
+            await rm(dir, { recursive: true, force: true });
+        }
+    });
+}
+
+test('runVerify re-reads each place page and reports its status', { skip: NO_BROWSER, timeout: 120000 }, async () => {
+    const results = Object.values(PLACE_URLS).map(mapsUrl => ({ name: 'Stored', mapsUrl, websiteType: 'none', isActive: true }));
+    // A page that does not load is a failed check, not a vanished place
+    results.push({ name: 'Not Loaded', mapsUrl: 'https://www.google.com/maps/place/Not+Recorded', websiteType: 'none', isActive: true });
+    // Removed places: Maps loads without a place panel, or redirects to a map view
+    const goneUrls = [
+        'https://www.google.com/maps/place/Gone+Cafe/@51.505,-0.115,17z/data=!3m1!4b1!4m6!3m5!1s0x0:0x5!8m2!3d51.505!4d-0.115',
+        'https://www.google.com/maps/place/Moved+Bar/@51.506,-0.114,17z/data=!3m1!4b1!4m6!3m5!1s0x0:0x6!8m2!3d51.506!4d-0.114',
+    ];
+    results.push(...goneUrls.map(mapsUrl => ({ name: 'Removed', mapsUrl, websiteType: 'none', isActive: true })));
+    const checked = [];
+    const { checks, failed } = await runVerify(results, {
+        concurrency: 2,
+        replayFrom: FIXTURES_DIR,
+        onChecked: async (check) => { checked.push(check.result.name); },
+    });
+
+    assert.equal(failed, 1);
+    assert.equal(checked.length, 6);
+    assert.ok(!checks.some(check => check.previous.name === 'Not Loaded'));
+    const byUrl = new Map(checks.map(check => [check.previous.mapsUrl, check]));
+    assert.deepEqual(Object.values(PLACE_URLS).map(url => byUrl.get(url).status), ['lead', 'lead', 'got_website', 'closed']);
+    assert.deepEqual(goneUrls.map(url => byUrl.get(url).status), ['vanished', 'vanished']);
+    assert.equal(byUrl.get(goneUrls[0]).result.name, 'Removed'); // Last known details are kept
+    assert.equal(byUrl.get(PLACE_URLS.cafeUno).result.name, 'Cafe Uno');
+    assert.equal(byUrl.get(PLACE_URLS.cafeUno).result.featureId, '0x0:0x1');
+    assert.ok(byUrl.get(PLACE_URLS.cafeUno).changes.some(c => c.field === 'name'));
+});
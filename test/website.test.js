@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyWebsite, unwrapUrl } from '../src/website.js';
+
+test('classifyWebsite tells own sites from listings', () => {
+    assert.equal(classifyWebsite(null), 'none');
+    assert.equal(classifyWebsite('https://www.cafeuno.co.uk/'), 'own');
+    assert.equal(classifyWebsite('https://www.instagram.com/bardos_testville/'), 'social');
+    assert.equal(classifyWebsite('https://www.tripadvisor.co.uk/Restaurant_Review-x'), 'aggregator');
+    assert.equal(classifyWebsite('https://example.com/carta.pdf'), 'menu');
+
+    // Links back to the Google listing are not a website, Google-hosted sites are
+    assert.equal(classifyWebsite('https://g.page/cafe-uno'), 'aggregator');
+    assert.equal(classifyWebsite('https://maps.app.goo.gl/AbC123'), 'aggregator');
+    assert.equal(classifyWebsite('https://sites.google.com/view/cafeuno'), 'own');
+    assert.equal(classifyWebsite(unwrapUrl('/url?q=https://sites.google.com/view/cafeuno')), 'own');
+});